@@ -0,0 +1,227 @@
+/**
+ * Barnes-Hut Approximation for t-SNE
+ * Space-partitioning tree (binary tree in 1D, quadtree in 2D, octree in 3D)
+ * used to approximate the O(N²) repulsive forces in O(N log N)
+ */
+
+import { squaredEuclideanDistance } from './math-utils.js';
+import { isSparseMatrix } from './sparse-matrix.js';
+import { Matrix } from './matrix.js';
+
+const MAX_TREE_DEPTH = 32;
+
+/**
+ * Node of a space-partitioning tree over d-dimensional points
+ */
+class SPTreeNode {
+  constructor(center, halfWidth) {
+    this.center = center;
+    this.halfWidth = halfWidth;
+    this.dim = center.length;
+    this.maxWidth = 2 * Math.max(...halfWidth);
+    this.centerOfMass = Array(this.dim).fill(0);
+    this.cumSize = 0;
+    this.indices = [];      // Point indices stored in a leaf
+    this.children = null;   // 2^d children once subdivided
+  }
+
+  /**
+   * Index of the child cell containing a point
+   */
+  _childIndex(point) {
+    let index = 0;
+    for (let d = 0; d < this.dim; d++) {
+      if (point[d] > this.center[d]) {
+        index |= 1 << d;
+      }
+    }
+    return index;
+  }
+
+  _subdivide() {
+    const numChildren = 1 << this.dim;
+    this.children = [];
+    for (let c = 0; c < numChildren; c++) {
+      const center = [];
+      const halfWidth = [];
+      for (let d = 0; d < this.dim; d++) {
+        const hw = this.halfWidth[d] / 2;
+        halfWidth.push(hw);
+        center.push(this.center[d] + ((c >> d) & 1 ? hw : -hw));
+      }
+      this.children.push(new SPTreeNode(center, halfWidth));
+    }
+  }
+
+  /**
+   * Insert a point into the subtree
+   * @param {number} index - Point index
+   * @param {number[][]} Y - All points
+   * @param {number} depth - Current depth (guards against coincident points)
+   */
+  insert(index, Y, depth = 0) {
+    const point = Y[index];
+
+    // Update center of mass
+    this.cumSize++;
+    for (let d = 0; d < this.dim; d++) {
+      this.centerOfMass[d] += (point[d] - this.centerOfMass[d]) / this.cumSize;
+    }
+
+    if (!this.children) {
+      // Empty leaf, duplicate of the stored point, or too deep to split further
+      const isDuplicate = this.indices.length > 0 &&
+        squaredEuclideanDistance(Y[this.indices[0]], point) === 0;
+      if (this.indices.length === 0 || isDuplicate || depth >= MAX_TREE_DEPTH) {
+        this.indices.push(index);
+        return;
+      }
+
+      // Split leaf and push existing points down
+      this._subdivide();
+      const existing = this.indices;
+      this.indices = [];
+      existing.forEach(j => this.children[this._childIndex(Y[j])].insert(j, Y, depth + 1));
+    }
+
+    this.children[this._childIndex(point)].insert(index, Y, depth + 1);
+  }
+
+  /**
+   * Accumulate the (unnormalized) repulsive force on a point
+   * @param {number} index - Point index
+   * @param {number[]} point - Point coordinates
+   * @param {number} theta - Barnes-Hut accuracy threshold
+   * @param {number[]} negForce - Output force accumulator (length d)
+   * @returns {number} Contribution to the normalization sum Z
+   */
+  computeRepulsion(index, point, theta, negForce) {
+    if (this.cumSize === 0) return 0;
+    if (!this.children && this.indices.length === 1 && this.indices[0] === index) return 0;
+
+    const distSq = squaredEuclideanDistance(point, this.centerOfMass);
+
+    // Treat the cell as a single body if it is a leaf or far enough away
+    if (!this.children || this.maxWidth * this.maxWidth < theta * theta * distSq) {
+      const count = !this.children && this.indices.includes(index) ? this.cumSize - 1 : this.cumSize;
+      const q = 1 / (1 + distSq);
+      const mult = count * q * q;
+      for (let d = 0; d < this.dim; d++) {
+        negForce[d] += mult * (point[d] - this.centerOfMass[d]);
+      }
+      return count * q;
+    }
+
+    let sumQ = 0;
+    for (const child of this.children) {
+      sumQ += child.computeRepulsion(index, point, theta, negForce);
+    }
+    return sumQ;
+  }
+}
+
+/**
+ * Space-partitioning tree over an embedding
+ */
+export class SPTree {
+  /**
+   * @param {number[][]} Y - Points (N x d)
+   */
+  constructor(Y) {
+    const dim = Y[0].length;
+    const min = Array(dim).fill(Infinity);
+    const max = Array(dim).fill(-Infinity);
+
+    Y.forEach(p => {
+      for (let d = 0; d < dim; d++) {
+        min[d] = Math.min(min[d], p[d]);
+        max[d] = Math.max(max[d], p[d]);
+      }
+    });
+
+    const center = min.map((v, d) => (v + max[d]) / 2);
+    const halfWidth = min.map((v, d) => Math.max((max[d] - v) / 2, 1e-5) + 1e-5);
+
+    this.root = new SPTreeNode(center, halfWidth);
+    for (let i = 0; i < Y.length; i++) {
+      this.root.insert(i, Y);
+    }
+  }
+
+  /**
+   * Compute the repulsive force on one point
+   * @returns {{negForce: number[], sumQ: number}}
+   */
+  computeRepulsion(index, point, theta) {
+    const negForce = Array(point.length).fill(0);
+    const sumQ = this.root.computeRepulsion(index, point, theta, negForce);
+    return { negForce, sumQ };
+  }
+}
+
+/**
+ * Compute the t-SNE gradient using the Barnes-Hut approximation
+ * dC/dy_i = 4 * (sum_j p_ij q̃_ij (y_i - y_j) - sum_j q̃_ij² (y_i - y_j) / Z)
+ * where q̃_ij = (1 + ||y_i - y_j||^2)^-1 and Z = sum_k≠l q̃_kl
+ *
+ * The KL divergence is accumulated in the same pass over P, using
+ * log(p_ij / q_ij) = log(p_ij / q̃_ij) + log Z. With a sparse P both the
+ * attractive forces and the cost only visit the stored neighbours; a dense P
+ * makes them O(N²) again (precomputeTSNE always pairs Barnes-Hut with a
+ * sparse P, see validation.js).
+ * @param {Matrix|SparseMatrix} P - High-dimensional joint probabilities
+ * @param {number[][]} Y - Current embedding (N x d)
+ * @param {number} theta - Accuracy threshold (0 = exact, larger = faster)
+ * @returns {{gradient: Matrix, sumQ: number, cost: number}} Gradient, normalization Z and KL divergence
+ */
+export function computeGradientBarnesHut(P, Y, theta = 0.5) {
+  const n = Y.length;
+  const d = Y[0].length;
+  const tree = new SPTree(Y);
+
+  const attractive = Array(n).fill(null).map(() => Array(d).fill(0));
+  const repulsive = [];
+  let sumQ = 0;
+  let sumP = 0;
+  let klPartial = 0;
+  const sparse = isSparseMatrix(P);
+
+  const attract = (i, j, pij) => {
+    if (i === j || pij <= 1e-12) return;
+    const qunnorm = 1 / (1 + squaredEuclideanDistance(Y[i], Y[j]));
+    const mult = pij * qunnorm;
+    for (let dim = 0; dim < d; dim++) {
+      attractive[i][dim] += mult * (Y[i][dim] - Y[j][dim]);
+    }
+    sumP += pij;
+    klPartial += pij * Math.log(pij / qunnorm);
+  };
+
+  for (let i = 0; i < n; i++) {
+    // Attractive forces use the exact P
+    if (sparse) {
+      for (let k = P.rowPtr[i]; k < P.rowPtr[i + 1]; k++) {
+        attract(i, P.colIdx[k], P.values[k]);
+      }
+    } else {
+      for (let j = 0; j < n; j++) {
+        attract(i, j, P.data[i * n + j]);
+      }
+    }
+
+    // Repulsive forces are approximated by the tree
+    const result = tree.computeRepulsion(i, Y[i], theta);
+    repulsive.push(result.negForce);
+    sumQ += result.sumQ;
+  }
+
+  const gradient = new Matrix(n, d);
+  for (let i = 0; i < n; i++) {
+    for (let dim = 0; dim < d; dim++) {
+      gradient.data[i * d + dim] = 4 * (attractive[i][dim] - repulsive[i][dim] / sumQ);
+    }
+  }
+  const cost = klPartial + sumP * Math.log(sumQ);
+
+  return { gradient, sumQ, cost };
+}
@@ -1,39 +1,10 @@
 /**
  * Data Generator for t-SNE Visualization
- * Creates synthetic 3D datasets for demonstrating t-SNE dimensionality reduction
+ * Creates synthetic datasets (mostly 3D, plus high-dimensional blobs) for
+ * demonstrating t-SNE dimensionality reduction
  */
 
-/**
- * Box-Muller transform for Gaussian random numbers
- * @returns {number} Random number from N(0, 1)
- */
-function gaussianRandom() {
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-}
-
-/**
- * Seeded random number generator for reproducible datasets
- */
-class SeededRandom {
-  constructor(seed = 12345) {
-    this.seed = seed;
-  }
-  
-  next() {
-    this.seed = (this.seed * 1103515245 + 12345) & 0x7fffffff;
-    return this.seed / 0x7fffffff;
-  }
-  
-  gaussian() {
-    let u = 0, v = 0;
-    while (u === 0) u = this.next();
-    while (v === 0) v = this.next();
-    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-  }
-}
+import { SeededRandom, gaussianRandom } from './random.js';
 
 /**
  * Generate 3D Gaussian blobs (clusters)
@@ -49,7 +20,7 @@ export function generate3DBlobs(options = {}) {
     seed = null
   } = options;
   
-  const rng = seed ? new SeededRandom(seed) : null;
+  const rng = seed !== null ? new SeededRandom(seed) : null;
   const rand = () => rng ? rng.gaussian() : gaussianRandom();
   
   const points = [];
@@ -85,6 +56,46 @@ export function generate3DBlobs(options = {}) {
   return { points, labels, centers };
 }
 
+/**
+ * Generate Gaussian blobs in an arbitrary number of dimensions
+ * Cluster centers are random directions scaled to clusterSeparation, so no
+ * single pair of axes shows the cluster structure
+ * @param {object} options - Configuration options
+ * @returns {{points: number[][], labels: number[], centers: number[][]}}
+ */
+export function generateHighDimBlobs(options = {}) {
+  const {
+    dim = 10,
+    numClusters = 4,
+    pointsPerCluster = 12,
+    clusterSpread = 1.0,
+    clusterSeparation = 6,
+    seed = null
+  } = options;
+  
+  const rng = seed !== null ? new SeededRandom(seed) : null;
+  const rand = () => rng ? rng.gaussian() : gaussianRandom();
+  
+  const points = [];
+  const labels = [];
+  const centers = [];
+  
+  for (let c = 0; c < numClusters; c++) {
+    const direction = Array(dim).fill(0).map(() => rand());
+    const norm = Math.sqrt(direction.reduce((sum, v) => sum + v * v, 0)) || 1;
+    centers.push(direction.map(v => v / norm * clusterSeparation));
+  }
+  
+  for (let c = 0; c < numClusters; c++) {
+    for (let p = 0; p < pointsPerCluster; p++) {
+      points.push(centers[c].map(v => v + rand() * clusterSpread));
+      labels.push(c);
+    }
+  }
+  
+  return { points, labels, centers };
+}
+
 /**
  * Generate 3D Swiss Roll dataset
  * @param {object} options - Configuration options
@@ -97,7 +108,7 @@ export function generate3DSwissRoll(options = {}) {
     seed = null
   } = options;
   
-  const rng = seed ? new SeededRandom(seed) : null;
+  const rng = seed !== null ? new SeededRandom(seed) : null;
   const rand = () => rng ? rng.next() : Math.random();
   const randGauss = () => rng ? rng.gaussian() : gaussianRandom();
   
@@ -130,7 +141,7 @@ export function generate3DHelix(options = {}) {
     seed = null
   } = options;
   
-  const rng = seed ? new SeededRandom(seed) : null;
+  const rng = seed !== null ? new SeededRandom(seed) : null;
   const randGauss = () => rng ? rng.gaussian() : gaussianRandom();
   
   const points = [];
@@ -174,7 +185,7 @@ export function generate3DLayers(options = {}) {
     seed = null
   } = options;
   
-  const rng = seed ? new SeededRandom(seed) : null;
+  const rng = seed !== null ? new SeededRandom(seed) : null;
   const randGauss = () => rng ? rng.gaussian() : gaussianRandom();
   
   const points = [];
@@ -258,6 +269,30 @@ export function getPreset(preset) {
         noise: 0.1
       }
     },
+    'blobs-10d': {
+      generator: 'blobs-nd',
+      name: '10D Clusters',
+      description: '4 clusters in 10 dimensions',
+      options: {
+        dim: 10,
+        numClusters: 4,
+        pointsPerCluster: 12,
+        clusterSpread: 1.0,
+        clusterSeparation: 6
+      }
+    },
+    'blobs-64d': {
+      generator: 'blobs-nd',
+      name: '64D Clusters',
+      description: '5 clusters in 64 dimensions',
+      options: {
+        dim: 64,
+        numClusters: 5,
+        pointsPerCluster: 10,
+        clusterSpread: 1.0,
+        clusterSeparation: 10
+      }
+    },
     'layers': {
       generator: 'layers',
       name: 'Stacked Layers',
@@ -297,6 +332,9 @@ export function generateDataset(config, overrides = {}) {
     case 'blobs':
       result = generate3DBlobs(options);
       break;
+    case 'blobs-nd':
+      result = generateHighDimBlobs(options);
+      break;
     case 'swiss-roll':
       result = generate3DSwissRoll(options);
       break;
@@ -324,7 +362,9 @@ export function getAvailablePresets() {
     { id: 'overlapping', name: 'Overlapping' },
     { id: 'swiss-roll', name: 'Swiss Roll' },
     { id: 'helix', name: 'Double Helix' },
-    { id: 'layers', name: 'Stacked Layers' }
+    { id: 'layers', name: 'Stacked Layers' },
+    { id: 'blobs-10d', name: '10D Clusters' },
+    { id: 'blobs-64d', name: '64D Clusters' }
   ];
 }
 
@@ -375,7 +415,7 @@ export function generateLargeDataset(preset, overrides = {}) {
   // Override to get ~500 points
   let options = { ...presetConfig.options, ...overrides };
   
-  if (presetConfig.generator === 'blobs') {
+  if (presetConfig.generator === 'blobs' || presetConfig.generator === 'blobs-nd') {
     options.numClusters = options.numClusters || 5;
     options.pointsPerCluster = 100; // 500 points total
   } else if (presetConfig.generator === 'swiss-roll' || presetConfig.generator === 'helix') {
@@ -3,6 +3,10 @@
  * Core mathematical functions for distance computation, probability calculations, etc.
  */
 
+import { isSparseMatrix } from './sparse-matrix.js';
+import { Matrix } from './matrix.js';
+import { createRandom } from './random.js';
+
 /**
  * Compute Euclidean distance between two points
  * @param {number[]} a - First point
@@ -36,17 +40,18 @@ export function squaredEuclideanDistance(a, b) {
 /**
  * Compute pairwise squared distance matrix for all points
  * @param {number[][]} X - Array of points (N x D)
- * @returns {number[][]} N x N distance matrix
+ * @returns {Matrix} N x N distance matrix
  */
 export function computeDistanceMatrix(X) {
   const n = X.length;
-  const D = Array(n).fill(null).map(() => Array(n).fill(0));
+  const D = new Matrix(n, n);
+  const data = D.data;
   
   for (let i = 0; i < n; i++) {
     for (let j = i + 1; j < n; j++) {
       const dist = squaredEuclideanDistance(X[i], X[j]);
-      D[i][j] = dist;
-      D[j][i] = dist;
+      data[i * n + j] = dist;
+      data[j * n + i] = dist;
     }
   }
   
@@ -113,16 +118,35 @@ export function computeConditionalProbabilities(distances, sigma, i) {
 
 /**
  * Binary search to find sigma that produces target perplexity
- * @param {number[][]} distanceMatrix - Full distance matrix
+ * @param {Matrix} distanceMatrix - Full distance matrix
  * @param {number} i - Index of center point
  * @param {number} targetPerplexity - Target perplexity value
  * @param {boolean} returnHistory - Whether to return search history
  * @param {number} maxIter - Maximum iterations for binary search
  * @param {number} tol - Tolerance for convergence
- * @returns {{sigma: number, P: number[], entropy: number, history: object[]}}
+ * @returns {{sigma: number, P: number[], entropy: number, perplexity: number,
+ *   iterations: number, converged: boolean, history: object[]}}
  */
 export function findSigma(distanceMatrix, i, targetPerplexity, returnHistory = false, maxIter = 50, tol = 1e-5) {
-  const distances = distanceMatrix[i];
+  return findSigmaForDistances(distanceMatrix.row(i), i, targetPerplexity, returnHistory, maxIter, tol);
+}
+
+/**
+ * Binary search for sigma over a single row of squared distances
+ * Used directly for sparse (kNN) affinities, where each row holds only the
+ * distances to the nearest neighbours.
+ * converged is false when maxIter steps did not bring the entropy within tol
+ * of the target; perplexity is then the closest value the search reached.
+ * @param {number[]} distances - Squared distances from the center point
+ * @param {number} i - Position of the center point in the row (-1 if absent)
+ * @param {number} targetPerplexity - Target perplexity value
+ * @param {boolean} returnHistory - Whether to return search history
+ * @param {number} maxIter - Maximum iterations for binary search
+ * @param {number} tol - Tolerance for convergence
+ * @returns {{sigma: number, P: number[], entropy: number, perplexity: number,
+ *   iterations: number, converged: boolean, history: object[]}}
+ */
+export function findSigmaForDistances(distances, i, targetPerplexity, returnHistory = false, maxIter = 50, tol = 1e-5) {
   const targetEntropy = Math.log2(targetPerplexity);
   
   let sigmaMin = 1e-10;
@@ -147,7 +171,7 @@ export function findSigma(distanceMatrix, i, targetPerplexity, returnHistory = f
     const entropyDiff = entropy - targetEntropy;
     
     if (Math.abs(entropyDiff) < tol) {
-      return { sigma, P, entropy, perplexity, history };
+      return { sigma, P, entropy, perplexity, iterations: iter + 1, converged: true, history };
     }
     
     if (entropyDiff > 0) {
@@ -167,8 +191,9 @@ export function findSigma(distanceMatrix, i, targetPerplexity, returnHistory = f
   const P = computeConditionalProbabilities(distances, sigma, i);
   const entropy = shannonEntropy(P);
   const perplexity = entropyToPerplexity(entropy);
+  const converged = Math.abs(entropy - targetEntropy) < tol;
   
-  return { sigma, P, entropy, perplexity, history };
+  return { sigma, P, entropy, perplexity, iterations: maxIter, converged, history };
 }
 
 /**
@@ -196,62 +221,40 @@ export function studentTPDF(x) {
  * Compute Q matrix (low-dimensional similarities using t-distribution)
  * q_ij = (1 + ||yi - yj||^2)^-1 / sum_k≠l (1 + ||yk - yl||^2)^-1
  * @param {number[][]} Y - Low-dimensional embedding (N x d)
- * @returns {number[][]} Normalized Q matrix
+ * @returns {Matrix} Normalized Q matrix
  */
 export function computeQMatrix(Y) {
-  const n = Y.length;
-  const Qunnorm = Array(n).fill(null).map(() => Array(n).fill(0));
-  
-  let sum = 0;
-  for (let i = 0; i < n; i++) {
-    for (let j = i + 1; j < n; j++) {
-      const distSq = squaredEuclideanDistance(Y[i], Y[j]);
-      const qij = 1 / (1 + distSq);
-      Qunnorm[i][j] = qij;
-      Qunnorm[j][i] = qij;
-      sum += 2 * qij;
-    }
-  }
-  
-  // Normalize
-  const Q = Array(n).fill(null).map(() => Array(n).fill(0));
-  for (let i = 0; i < n; i++) {
-    for (let j = 0; j < n; j++) {
-      if (i !== j) {
-        Q[i][j] = Math.max(Qunnorm[i][j] / sum, 1e-12);
-      }
-    }
-  }
-  
-  return Q;
+  return computeQMatrixFull(Y).Q;
 }
 
 /**
  * Compute Q matrix with unnormalized values (for gradient computation)
  * @param {number[][]} Y - Low-dimensional embedding (N x d)
- * @returns {{Q: number[][], Qunnorm: number[][]}} Normalized and unnormalized Q matrices
+ * @returns {{Q: Matrix, Qunnorm: Matrix}} Normalized and unnormalized Q matrices
  */
 export function computeQMatrixFull(Y) {
   const n = Y.length;
-  const Qunnorm = Array(n).fill(null).map(() => Array(n).fill(0));
+  const Qunnorm = new Matrix(n, n);
+  const qu = Qunnorm.data;
   
   let sum = 0;
   for (let i = 0; i < n; i++) {
     for (let j = i + 1; j < n; j++) {
       const distSq = squaredEuclideanDistance(Y[i], Y[j]);
       const qij = 1 / (1 + distSq);
-      Qunnorm[i][j] = qij;
-      Qunnorm[j][i] = qij;
+      qu[i * n + j] = qij;
+      qu[j * n + i] = qij;
       sum += 2 * qij;
     }
   }
   
   // Normalize
-  const Q = Array(n).fill(null).map(() => Array(n).fill(0));
+  const Q = new Matrix(n, n);
+  const q = Q.data;
   for (let i = 0; i < n; i++) {
     for (let j = 0; j < n; j++) {
       if (i !== j) {
-        Q[i][j] = Math.max(Qunnorm[i][j] / sum, 1e-12);
+        q[i * n + j] = Math.max(qu[i * n + j] / sum, 1e-12);
       }
     }
   }
@@ -262,18 +265,35 @@ export function computeQMatrixFull(Y) {
 /**
  * Compute KL divergence between P and Q
  * KL(P||Q) = sum_ij p_ij * log(p_ij / q_ij)
- * @param {number[][]} P - High-dimensional joint probabilities
- * @param {number[][]} Q - Low-dimensional joint probabilities
+ * @param {Matrix|SparseMatrix} P - High-dimensional joint probabilities
+ * @param {Matrix} Q - Low-dimensional joint probabilities
  * @returns {number} KL divergence
  */
 export function klDivergence(P, Q) {
-  const n = P.length;
+  const q = Q.data;
+  const n = Q.rows;
   let kl = 0;
   
+  // Only stored entries contribute when P is sparse
+  if (isSparseMatrix(P)) {
+    for (let i = 0; i < n; i++) {
+      for (let k = P.rowPtr[i]; k < P.rowPtr[i + 1]; k++) {
+        const j = P.colIdx[k];
+        const pij = P.values[k];
+        if (i !== j && pij > 1e-12) {
+          kl += pij * Math.log(pij / q[i * n + j]);
+        }
+      }
+    }
+    return kl;
+  }
+  
+  const p = P.data;
   for (let i = 0; i < n; i++) {
     for (let j = 0; j < n; j++) {
-      if (i !== j && P[i][j] > 1e-12) {
-        kl += P[i][j] * Math.log(P[i][j] / Q[i][j]);
+      const pij = p[i * n + j];
+      if (i !== j && pij > 1e-12) {
+        kl += pij * Math.log(pij / q[i * n + j]);
       }
     }
   }
@@ -284,24 +304,50 @@ export function klDivergence(P, Q) {
 /**
  * Compute gradient of KL divergence with respect to Y
  * dC/dy_i = 4 * sum_j (p_ij - q_ij)(y_i - y_j)(1 + ||y_i - y_j||^2)^-1
- * @param {number[][]} P - High-dimensional probabilities
- * @param {number[][]} Q - Low-dimensional probabilities
+ * @param {Matrix|SparseMatrix} P - High-dimensional probabilities
+ * @param {Matrix} Q - Low-dimensional probabilities
  * @param {number[][]} Y - Current embedding
- * @returns {number[][]} Gradient matrix (N x d)
+ * @returns {Matrix} Gradient matrix (N x d)
  */
 export function computeGradient(P, Q, Y) {
   const n = Y.length;
   const d = Y[0].length;
-  const grad = Array(n).fill(null).map(() => Array(d).fill(0));
+  const grad = new Matrix(n, d);
+  const g = grad.data;
+  const q = Q.data;
   
+  // Sparse P: attraction over the stored entries only (as in klDivergence),
+  // repulsion over every pair from the dense Q
+  if (isSparseMatrix(P)) {
+    for (let i = 0; i < n; i++) {
+      for (let k = P.rowPtr[i]; k < P.rowPtr[i + 1]; k++) {
+        const j = P.colIdx[k];
+        if (i === j) continue;
+        const mult = 4 * P.values[k] / (1 + squaredEuclideanDistance(Y[i], Y[j]));
+        for (let dim = 0; dim < d; dim++) {
+          g[i * d + dim] += mult * (Y[i][dim] - Y[j][dim]);
+        }
+      }
+      for (let j = 0; j < n; j++) {
+        if (i === j) continue;
+        const mult = -4 * q[i * n + j] / (1 + squaredEuclideanDistance(Y[i], Y[j]));
+        for (let dim = 0; dim < d; dim++) {
+          g[i * d + dim] += mult * (Y[i][dim] - Y[j][dim]);
+        }
+      }
+    }
+    return grad;
+  }
+  
+  const p = P.data;
   for (let i = 0; i < n; i++) {
     for (let j = 0; j < n; j++) {
       if (i !== j) {
         const distSq = squaredEuclideanDistance(Y[i], Y[j]);
         const qunnorm = 1 / (1 + distSq);
-        const mult = 4 * (P[i][j] - Q[i][j]) * qunnorm;
+        const mult = 4 * (p[i * n + j] - q[i * n + j]) * qunnorm;
         for (let dim = 0; dim < d; dim++) {
-          grad[i][dim] += mult * (Y[i][dim] - Y[j][dim]);
+          g[i * d + dim] += mult * (Y[i][dim] - Y[j][dim]);
         }
       }
     }
@@ -328,20 +374,120 @@ export function gradientMagnitude(gradPoint) {
  * @param {number} n - Number of points
  * @param {number} d - Target dimension
  * @param {number} scale - Scale of random initialization
+ * @param {{next: function(): number}} rng - Random source (see createRandom)
  * @returns {number[][]} Initial embedding
  */
-export function initializeEmbedding(n, d, scale = 0.0001) {
+export function initializeEmbedding(n, d, scale = 0.0001, rng = createRandom()) {
   const Y = [];
   for (let i = 0; i < n; i++) {
     const point = [];
     for (let j = 0; j < d; j++) {
-      point.push((Math.random() - 0.5) * 2 * scale);
+      point.push((rng.next() - 0.5) * 2 * scale);
     }
     Y.push(point);
   }
   return Y;
 }
 
+/**
+ * Principal component analysis by power iteration with deflation
+ * Cheap enough for the small input dimensions used here (D ≤ ~100).
+ * @param {number[][]} X - Points (N x D)
+ * @param {number} k - Number of components
+ * @param {number} maxIter - Power iterations per component
+ * @returns {{projection: number[][], components: number[][], variances: number[], explainedVariance: number[]}}
+ *   Centered data projected onto the top k components, the components
+ *   themselves, their variances and the fraction of total variance each explains
+ */
+export function computePCA(X, k, maxIter = 200) {
+  const n = X.length;
+  const D = X[0].length;
+
+  const mean = Array(D).fill(0);
+  X.forEach(p => p.forEach((v, d) => { mean[d] += v / n; }));
+  const centered = X.map(p => p.map((v, d) => v - mean[d]));
+
+  // Covariance matrix (D x D)
+  const cov = Array(D).fill(null).map(() => Array(D).fill(0));
+  centered.forEach(p => {
+    for (let a = 0; a < D; a++) {
+      for (let b = a; b < D; b++) {
+        cov[a][b] += p[a] * p[b] / n;
+      }
+    }
+  });
+  for (let a = 0; a < D; a++) {
+    for (let b = 0; b < a; b++) {
+      cov[a][b] = cov[b][a];
+    }
+  }
+  const totalVariance = cov.reduce((sum, row, d) => sum + row[d], 0);
+
+  const components = [];
+  const variances = [];
+  for (let c = 0; c < Math.min(k, D); c++) {
+    // Deterministic start vector so runs are reproducible
+    let v = Array(D).fill(0).map((_, d) => 1 + d / D);
+    let eigenvalue = 0;
+
+    for (let iter = 0; iter < maxIter; iter++) {
+      const w = cov.map(row => row.reduce((sum, x, d) => sum + x * v[d], 0));
+      const norm = Math.sqrt(w.reduce((sum, x) => sum + x * x, 0));
+      if (norm < 1e-12) break;
+      const next = w.map(x => x / norm);
+      const change = next.reduce((sum, x, d) => sum + Math.abs(x - v[d]), 0);
+      v = next;
+      eigenvalue = norm;
+      if (change < 1e-10) break;
+    }
+
+    // Fix the sign so the largest coordinate is positive
+    const maxIdx = v.reduce((best, x, d) => Math.abs(x) > Math.abs(v[best]) ? d : best, 0);
+    if (v[maxIdx] < 0) v = v.map(x => -x);
+
+    components.push(v);
+    variances.push(eigenvalue);
+
+    // Deflate: remove this component from the covariance
+    for (let a = 0; a < D; a++) {
+      for (let b = 0; b < D; b++) {
+        cov[a][b] -= eigenvalue * v[a] * v[b];
+      }
+    }
+  }
+
+  const projection = centered.map(p =>
+    components.map(v => p.reduce((sum, x, d) => sum + x * v[d], 0))
+  );
+
+  return {
+    projection,
+    components,
+    variances,
+    explainedVariance: variances.map(v => totalVariance > 0 ? v / totalVariance : 0)
+  };
+}
+
+/**
+ * Initialize the embedding from the top principal components of the input,
+ * rescaled so the first component has standard deviation `scale`
+ * @param {number[][]} X - Input points (N x D)
+ * @param {number} d - Target dimension
+ * @param {number} scale - Standard deviation of the first coordinate
+ * @returns {{embedding: number[][], explainedVariance: number[]}}
+ */
+export function initializeEmbeddingPCA(X, d, scale = 0.0001) {
+  const { projection, variances, explainedVariance } = computePCA(X, d);
+  const std = Math.sqrt(variances[0]) || 1;
+
+  // Pad with zeros if the input has fewer dimensions than the target
+  const embedding = projection.map(p =>
+    Array(d).fill(0).map((_, k) => k < p.length ? p[k] / std * scale : 0)
+  );
+
+  return { embedding, explainedVariance };
+}
+
 /**
  * Deep clone a 2D array
  * @param {number[][]} arr - Array to clone
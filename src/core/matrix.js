@@ -0,0 +1,106 @@
+/**
+ * Dense Matrix
+ * Row-major matrix backed by a single typed array, used for distances,
+ * P, Q and gradients. One contiguous buffer is cheaper to allocate and loop
+ * over than an array of arrays, and can be transferred to/from a worker
+ * without copying.
+ */
+
+/**
+ * Check whether a value is a dense matrix (also works on structured clones
+ * received from a worker, which lose their prototype)
+ * @param {*} m - Value to test
+ * @returns {boolean}
+ */
+export function isDenseMatrix(m) {
+  return !!m && m.format === 'dense';
+}
+
+/**
+ * Row-major dense matrix
+ */
+export class Matrix {
+  /**
+   * @param {number} rows - Number of rows
+   * @param {number} cols - Number of columns
+   * @param {Float64Array|Float32Array} data - Row-major values (zeros if omitted)
+   */
+  constructor(rows, cols, data = new Float64Array(rows * cols)) {
+    this.format = 'dense';
+    this.rows = rows;
+    this.cols = cols;
+    this.data = data;
+  }
+
+  /**
+   * Build from an array of rows
+   * @param {number[][]} arrays - Rows
+   * @param {Function} ArrayType - Float64Array or Float32Array
+   * @returns {Matrix}
+   */
+  static fromArray(arrays, ArrayType = Float64Array) {
+    const rows = arrays.length;
+    const cols = rows > 0 ? arrays[0].length : 0;
+    const data = new ArrayType(rows * cols);
+    arrays.forEach((row, i) => data.set(row, i * cols));
+    return new Matrix(rows, cols, data);
+  }
+
+  /**
+   * Restore the prototype of a structured-clone copy
+   * @param {object} obj - Plain object with matrix fields
+   * @returns {Matrix}
+   */
+  static from(obj) {
+    return new Matrix(obj.rows, obj.cols, obj.data);
+  }
+
+  get(i, j) {
+    return this.data[i * this.cols + j];
+  }
+
+  set(i, j, value) {
+    this.data[i * this.cols + j] = value;
+  }
+
+  /**
+   * View of one row (shares storage with the matrix)
+   * @returns {Float64Array|Float32Array}
+   */
+  row(i) {
+    return this.data.subarray(i * this.cols, (i + 1) * this.cols);
+  }
+
+  /**
+   * Copy one row into a plain array
+   * @returns {number[]}
+   */
+  denseRow(i) {
+    return Array.from(this.row(i));
+  }
+
+  /**
+   * Convert to an array of rows
+   * @returns {number[][]}
+   */
+  toArray() {
+    return Array(this.rows).fill(null).map((_, i) => this.denseRow(i));
+  }
+
+  /**
+   * Copy the matrix, optionally changing precision
+   * @param {Function} ArrayType - Typed array constructor (defaults to the current one)
+   * @returns {Matrix}
+   */
+  clone(ArrayType = this.data.constructor) {
+    return new Matrix(this.rows, this.cols, new ArrayType(this.data));
+  }
+
+  /**
+   * Multiply every entry by a factor
+   * @returns {Matrix} New matrix
+   */
+  scale(factor) {
+    return new Matrix(this.rows, this.cols, this.data.map(v => v * factor));
+  }
+}
@@ -0,0 +1,319 @@
+/**
+ * Embedding Quality Metrics
+ * Neighbourhood-based measures of how faithfully an embedding reflects the
+ * input space, for a chosen neighbourhood size k:
+ * - trustworthiness: are the embedding's neighbours true input neighbours?
+ * - continuity: are the input neighbours still neighbours in the embedding?
+ * - kNN recall: fraction of each point's k input neighbours kept
+ * - Spearman correlation between input and embedding pairwise distances
+ * (Venna & Kaski, 2001; van der Maaten, Postma & van den Herik, 2009)
+ */
+
+import { squaredEuclideanDistance } from './math-utils.js';
+import { createRandom } from './random.js';
+import { VPTree } from './vp-tree.js';
+
+/**
+ * Default neighbourhood size
+ */
+export const DEFAULT_METRICS_K = 10;
+
+/**
+ * Above this many point pairs the Spearman correlation uses a fixed random sample
+ */
+const MAX_SPEARMAN_PAIRS = 20000;
+
+/**
+ * Above this many points continuity is averaged over a fixed random sample
+ * of them (it needs each point's full distance row in the embedding)
+ */
+const MAX_CONTINUITY_POINTS = 500;
+
+/**
+ * Index of the first element of a sorted array that is >= value
+ * @param {Float32Array|Float64Array} sorted - Ascending values
+ * @param {number} value - Value to locate
+ * @returns {number}
+ */
+function lowerBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Squared distances from point i to every point
+ * @param {number[][]} X - Points
+ * @param {number} i - Point index
+ * @param {Float64Array} out - Output row (length N)
+ * @returns {Float64Array} out
+ */
+function distanceRow(X, i, out) {
+  for (let j = 0; j < X.length; j++) {
+    out[j] = squaredEuclideanDistance(X[i], X[j]);
+  }
+  return out;
+}
+
+/**
+ * The k nearest neighbours of point i from its distance row
+ * Ties at the k-th distance are broken by index.
+ * @param {Float64Array} row - Squared distances from i
+ * @param {Float64Array} sorted - The same row sorted ascending
+ * @param {number} i - Point index (excluded)
+ * @param {number} k - Number of neighbours
+ * @returns {number[]} Neighbour indices
+ */
+function nearestFromRow(row, sorted, i, k) {
+  // sorted[0] is the point itself, so the k-th neighbour is at index k
+  const kth = sorted[k];
+  const neighbours = [];
+  for (let j = 0; j < row.length && neighbours.length < k; j++) {
+    if (j !== i && row[j] < kth) neighbours.push(j);
+  }
+  for (let j = 0; j < row.length && neighbours.length < k; j++) {
+    if (j !== i && row[j] === kth) neighbours.push(j);
+  }
+  return neighbours;
+}
+
+/**
+ * Number of row entries below a distance (its index in the sorted row)
+ * @param {Float64Array} row - Distances
+ * @param {number} distance - Distance to locate
+ * @returns {number}
+ */
+function countBelow(row, distance) {
+  let count = 0;
+  for (let j = 0; j < row.length; j++) {
+    if (row[j] < distance) count++;
+  }
+  return count;
+}
+
+/**
+ * Ranks of values (1-based, ties get their average rank)
+ * @param {Float64Array} values - Values to rank
+ * @returns {Float64Array}
+ */
+function rankValues(values) {
+  // A native sort of the values and a lookup of each one is much faster than
+  // sorting indices with a comparator
+  const sorted = Float64Array.from(values).sort();
+  const tieRanks = new Float64Array(sorted.length);
+
+  let start = 0;
+  while (start < sorted.length) {
+    let end = start + 1;
+    while (end < sorted.length && sorted[end] === sorted[start]) end++;
+    tieRanks[start] = (start + end + 1) / 2;
+    start = end;
+  }
+
+  return values.map(value => tieRanks[lowerBound(sorted, value)]);
+}
+
+/**
+ * Pearson correlation of two equally long arrays
+ * @returns {number}
+ */
+function pearson(a, b) {
+  const n = a.length;
+  let meanA = 0, meanB = 0;
+  for (let i = 0; i < n; i++) {
+    meanA += a[i];
+    meanB += b[i];
+  }
+  meanA /= n;
+  meanB /= n;
+
+  let cov = 0, varA = 0, varB = 0;
+  for (let i = 0; i < n; i++) {
+    const da = a[i] - meanA;
+    const db = b[i] - meanB;
+    cov += da * db;
+    varA += da * da;
+    varB += db * db;
+  }
+
+  return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+}
+
+/**
+ * Quality metrics of embeddings of one input dataset
+ * The input side (neighbour sets, sorted distance rows, Spearman pairs) is
+ * computed once, so evaluating many embeddings of the same data is cheap:
+ * the embedding's neighbours come from a vantage-point tree, and only
+ * continuity (on at most MAX_CONTINUITY_POINTS points) scans whole rows.
+ */
+export class EmbeddingMetrics {
+  /**
+   * @param {number[][]} X - Input points (N x D)
+   * @param {object} options - { k }
+   */
+  constructor(X, options = {}) {
+    this.X = X;
+    this.n = X.length;
+    // The normalization of trustworthiness/continuity needs k < (2N - 1) / 3
+    this.k = Math.max(1, Math.min(options.k || DEFAULT_METRICS_K, Math.floor((2 * this.n - 2) / 3)));
+
+    // Sorted rows are kept in single precision (N x N of them), and distances
+    // are rounded the same way before they are looked up
+    const n = this.n;
+    this.inputSorted = new Float32Array(n * n);
+    this.inputNeighbours = new Int32Array(n * this.k);
+
+    const row = new Float64Array(n);
+    const sorted = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+      distanceRow(X, i, row);
+      sorted.set(row);
+      sorted.sort();
+      this.inputSorted.set(sorted, i * n);
+      this.inputNeighbours.set(nearestFromRow(row, sorted, i, this.k), i * this.k);
+    }
+
+    this._initSpearmanPairs();
+
+    // Points continuity is averaged over: all of them, or a sample drawn with
+    // a fixed seed as for the Spearman pairs
+    const order = X.map((_, i) => i);
+    const rng = createRandom(2);
+    for (let i = n - 1; i > 0; i--) {
+      const j = Math.floor(rng.next() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    this.continuityPoints = Int32Array.from(order.slice(0, MAX_CONTINUITY_POINTS)).sort();
+  }
+
+  /**
+   * Choose the point pairs for the Spearman correlation and rank their
+   * input distances
+   */
+  _initSpearmanPairs() {
+    const n = this.n;
+    const total = n * (n - 1) / 2;
+    const pairs = [];
+
+    if (total <= MAX_SPEARMAN_PAIRS) {
+      for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) pairs.push(i, j);
+      }
+    } else {
+      // Fixed seed: every evaluation of this dataset uses the same sample
+      const rng = createRandom(1);
+      while (pairs.length < 2 * MAX_SPEARMAN_PAIRS) {
+        const i = Math.floor(rng.next() * n);
+        const j = Math.floor(rng.next() * n);
+        if (i !== j) pairs.push(i, j);
+      }
+    }
+
+    this.pairs = Int32Array.from(pairs);
+    const distances = new Float64Array(this.pairs.length / 2);
+    for (let p = 0; p < distances.length; p++) {
+      distances[p] = squaredEuclideanDistance(this.X[this.pairs[2 * p]], this.X[this.pairs[2 * p + 1]]);
+    }
+    this.inputPairRanks = rankValues(distances);
+  }
+
+  /**
+   * Score an embedding of the input points
+   * @param {number[][]} Y - Embedding (N x d)
+   * pointScores holds each point's own kNN recall, to show where the map
+   * tears neighbourhoods apart.
+   * @returns {{k: number, trustworthiness: number, continuity: number,
+   *   knnRecall: number, spearman: number, pointScores: Float32Array}}
+   */
+  evaluate(Y) {
+    const { n, k } = this;
+    const scale = 2 / (k * (2 * n - 3 * k - 1));
+    const tree = new VPTree(Y);
+
+    const isInputNeighbour = new Uint8Array(n);
+    const isEmbeddingNeighbour = new Uint8Array(n);
+    const embeddingNeighbours = new Int32Array(n * k);
+
+    let trustPenalty = 0;
+    let shared = 0;
+    const pointScores = new Float32Array(n);
+
+    for (let i = 0; i < n; i++) {
+      const { indices } = tree.search(i, k);
+      embeddingNeighbours.set(indices, i * k);
+      const inputNeighbours = this.inputNeighbours.subarray(i * k, (i + 1) * k);
+      inputNeighbours.forEach(j => { isInputNeighbour[j] = 1; });
+
+      // Intruders: embedding neighbours ranked beyond k in the input space
+      const inputSorted = this.inputSorted.subarray(i * n, (i + 1) * n);
+      let kept = 0;
+      for (const j of indices) {
+        if (isInputNeighbour[j]) {
+          kept++;
+        } else {
+          const distance = Math.fround(squaredEuclideanDistance(this.X[i], this.X[j]));
+          trustPenalty += lowerBound(inputSorted, distance) - k;
+        }
+      }
+      shared += kept;
+      pointScores[i] = kept / k;
+
+      inputNeighbours.forEach(j => { isInputNeighbour[j] = 0; });
+    }
+
+    // Extruders: input neighbours ranked beyond k in the embedding
+    const row = new Float64Array(n);
+    let continuityPenalty = 0;
+    for (const i of this.continuityPoints) {
+      const neighbours = embeddingNeighbours.subarray(i * k, (i + 1) * k);
+      neighbours.forEach(j => { isEmbeddingNeighbour[j] = 1; });
+      const extruders = Array.from(this.inputNeighbours.subarray(i * k, (i + 1) * k))
+        .filter(j => !isEmbeddingNeighbour[j]);
+      neighbours.forEach(j => { isEmbeddingNeighbour[j] = 0; });
+      if (extruders.length === 0) continue;
+
+      distanceRow(Y, i, row);
+      for (const j of extruders) {
+        continuityPenalty += countBelow(row, row[j]) - k;
+      }
+    }
+
+    return {
+      k,
+      trustworthiness: 1 - scale * trustPenalty / n,
+      continuity: 1 - scale * continuityPenalty / this.continuityPoints.length,
+      knnRecall: shared / (n * k),
+      spearman: this._spearman(Y),
+      pointScores
+    };
+  }
+
+  /**
+   * Spearman correlation between input and embedding pairwise distances
+   * @param {number[][]} Y - Embedding
+   * @returns {number}
+   */
+  _spearman(Y) {
+    const distances = new Float64Array(this.inputPairRanks.length);
+    for (let p = 0; p < distances.length; p++) {
+      distances[p] = squaredEuclideanDistance(Y[this.pairs[2 * p]], Y[this.pairs[2 * p + 1]]);
+    }
+    return pearson(this.inputPairRanks, rankValues(distances));
+  }
+}
+
+/**
+ * Score a single embedding (see EmbeddingMetrics to score several)
+ * @param {number[][]} X - Input points
+ * @param {number[][]} Y - Embedding
+ * @param {number} k - Neighbourhood size
+ * @returns {object} See EmbeddingMetrics.evaluate
+ */
+export function computeEmbeddingMetrics(X, Y, k = DEFAULT_METRICS_K) {
+  return new EmbeddingMetrics(X, { k }).evaluate(Y);
+}
@@ -7,10 +7,23 @@
 import { 
   computeDistanceMatrix, 
   findSigma, 
+  findSigmaForDistances,
+  computeConditionalProbabilities,
   computeQMatrix, 
   klDivergence,
-  computeGradient 
+  computeGradient,
+  computePCA,
+  initializeEmbeddingPCA,
+  gradientMagnitude
 } from './math-utils.js';
+import { computeGradientBarnesHut } from './barnes-hut.js';
+import { VPTree } from './vp-tree.js';
+import { SparseMatrix, isSparseMatrix } from './sparse-matrix.js';
+import { Matrix, isDenseMatrix } from './matrix.js';
+import { createRandom } from './random.js';
+import { EmbeddingMetrics } from './metrics.js';
+import { buildSchedules, describeSchedules } from './schedules.js';
+import { validateRunOptions } from './validation.js';
 
 /**
  * Enum for t-SNE algorithm steps
@@ -44,7 +57,7 @@ export const StepInfo = {
   [TSNESteps.INPUT_DATA]: {
     title: 'Input Data',
     category: 'input',
-    shortDesc: 'Our 3D dataset to be reduced'
+    shortDesc: 'The high-dimensional dataset to be reduced'
   },
   [TSNESteps.COMPUTE_DISTANCES]: {
     title: 'Compute Pairwise Distances',
@@ -74,7 +87,7 @@ export const StepInfo = {
   [TSNESteps.INITIALIZE_EMBEDDING]: {
     title: 'Initialize Low-D Embedding',
     category: 'low-dim',
-    shortDesc: 'Random starting positions'
+    shortDesc: 'Random or PCA starting positions'
   },
   [TSNESteps.COMPUTE_Q]: {
     title: 'Compute Q Distribution',
@@ -109,26 +122,90 @@ export const StepInfo = {
 };
 
 /**
- * Box-Muller transform for Gaussian random numbers
+ * Datasets larger than this use the Barnes-Hut gradient, with sparse
+ * affinities, by default
  */
-function gaussianRandom() {
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+const BARNES_HUT_THRESHOLD = 200;
+
+/**
+ * Iterations captured by the 'preset' capture policy
+ */
+const PRESET_CAPTURE_ITERATIONS = [0, 5, 10, 25, 50, 75, 100, 150, 200, 300, 400];
+
+/**
+ * Work out which iterations to store for the iteration grid and player
+ * The last iteration is always included.
+ * @param {number} maxIterations - Total number of iterations (0 .. maxIterations-1)
+ * @param {object} options - Capture options
+ * @param {string} options.policy - 'preset' | 'list' | 'every-k' | 'log' | 'all'
+ * @param {number[]} options.list - Iterations to store ('list')
+ * @param {number} options.every - Spacing between stored iterations ('every-k')
+ * @param {number} options.count - Number of log-spaced iterations ('log')
+ * @param {number} options.maxFrames - Upper bound on stored iterations ('all')
+ * @returns {number[]} Sorted iteration numbers
+ */
+export function computeCaptureIterations(maxIterations, options = {}) {
+  const last = maxIterations - 1;
+  let iterations;
+  
+  switch (options.policy) {
+    case 'list':
+      iterations = options.list || [];
+      break;
+    case 'every-k': {
+      const every = Math.max(1, options.every || 25);
+      iterations = [];
+      for (let iter = 0; iter <= last; iter += every) iterations.push(iter);
+      break;
+    }
+    case 'log': {
+      // Dense early on, where the embedding changes fastest
+      const count = Math.max(2, options.count || 20);
+      iterations = Array.from({ length: count }, (_, i) =>
+        Math.round(Math.exp(Math.log(maxIterations) * i / (count - 1))) - 1
+      );
+      break;
+    }
+    case 'all': {
+      // Every iteration, evenly downsampled if there are too many
+      const frames = Math.min(maxIterations, Math.max(2, options.maxFrames || 200));
+      iterations = Array.from({ length: frames }, (_, i) =>
+        Math.round(i * last / (frames - 1))
+      );
+      break;
+    }
+    default:
+      iterations = PRESET_CAPTURE_ITERATIONS;
+  }
+  
+  const valid = iterations.filter(iter => Number.isInteger(iter) && iter >= 0 && iter <= last);
+  return [...new Set([...valid, last])].sort((a, b) => a - b);
 }
 
 /**
- * Deep clone an array or matrix
+ * Deep clone an array or matrix for a snapshot
+ * Dense matrices are stored in single precision, which is plenty for
+ * display and halves the memory held by the snapshots. Snapshot data is
+ * treated as immutable, so one clone may be referenced by several steps.
  */
 function deepClone(arr) {
   if (!arr) return arr;
+  if (isSparseMatrix(arr)) return arr.clone();
+  if (isDenseMatrix(arr)) return arr.clone(Float32Array);
   if (Array.isArray(arr[0])) {
     return arr.map(row => [...row]);
   }
   return [...arr];
 }
 
+/**
+ * State computed by _computeAffinities, shared by restarts on the same data
+ */
+const AFFINITY_FIELDS = [
+  'inputData', 'labels', 'n', 'sharedInput', 'sharedLabels', 'distanceMatrix', 'neighbours',
+  'sigmas', 'P_conditional', 'P_original', 'sharedP', 'qualityMetrics', 'affinityStepCount'
+];
+
 /**
  * PrecomputedTSNE class - runs full algorithm and stores all snapshots
  */
@@ -140,9 +217,55 @@ export class PrecomputedTSNE {
     this.targetDim = options.targetDim || 2;
     this.earlyExaggeration = options.earlyExaggeration || 4;
     this.earlyExaggerationIter = options.earlyExaggerationIter || 100;
-    this.momentum = 0.5;
-    this.finalMomentum = 0.8;
-    this.momentumSwitchIter = 250;
+    this.lateExaggeration = options.lateExaggeration || 1; // Factor over the last lateExaggerationIter iterations (1 = none)
+    this.lateExaggerationIter = options.lateExaggerationIter || 0;
+    this.initialMomentum = options.initialMomentum ?? 0.5;
+    this.finalMomentum = options.finalMomentum ?? 0.8;
+    this.momentumSwitchIter = options.momentumSwitchIter ?? 250;
+    
+    // Exaggeration, learning rate and momentum per iteration (see schedules.js);
+    // options.schedules replaces the phases built from the settings above
+    this.schedules = buildSchedules({
+      earlyExaggeration: this.earlyExaggeration,
+      earlyExaggerationIter: this.earlyExaggerationIter,
+      lateExaggeration: this.lateExaggeration,
+      lateExaggerationIter: this.lateExaggerationIter,
+      learningRate: this.learningRate,
+      initialMomentum: this.initialMomentum,
+      finalMomentum: this.finalMomentum,
+      momentumSwitchIter: this.momentumSwitchIter,
+      maxIterations: this.maxIterations,
+      schedules: options.schedules
+    });
+    // End of the initial exaggeration, wherever the schedule puts it
+    this.earlyExaggerationIter = this.schedules.exaggeration.findIteration(a => a === 1, 0, this.maxIterations);
+    this.optimizer = options.optimizer || 'momentum'; // 'momentum' | 'gains'
+    this.minGain = options.minGain ?? 0.01;
+    
+    // Which iterations to store (see computeCaptureIterations)
+    this.capture = options.capture || { policy: 'preset' };
+    
+    // Quality metrics of every stored iteration (see metrics.js)
+    this.metrics = options.metrics ?? true;
+    this.metricsK = options.metricsK || 10;
+    this.qualityMetrics = null; // EmbeddingMetrics of the input data
+    
+    // Early stopping (checked only once exaggeration is over)
+    this.earlyStopping = options.earlyStopping || false;
+    this.minGradNorm = options.minGradNorm ?? 1e-7; // Stop when the gradient norm falls below this
+    this.minCostChange = options.minCostChange ?? 5e-3; // ...or the relative cost change over the window does
+    this.costWindow = options.costWindow || 50;
+    this.minIterationsAfterExaggeration = options.minIterationsAfterExaggeration ?? 100;
+    this.method = options.method || 'exact'; // 'exact' | 'barnes-hut'
+    this.theta = options.theta ?? 0.5;
+    this.sparse = options.sparse || false; // kNN affinities over floor(3 * perplexity) neighbours
+    this.onProgress = options.onProgress || null;
+    this.signal = options.signal || null; // AbortSignal to cancel a running computation
+    this.seed = options.seed ?? null; // Integer seed for reproducible runs (null = Math.random)
+    this.rng = null;
+    this.init = options.init || 'random'; // 'random' | 'pca'
+    this.initScale = options.initScale || 0.0001; // Standard deviation of the initial embedding
+    this.adjustments = options.adjustments || []; // Settings changed by validateRunOptions
     
     // Snapshot storage
     this.snapshots = [];
@@ -151,18 +274,28 @@ export class PrecomputedTSNE {
     // Algorithm state
     this.inputData = null;
     this.labels = null;
+    this.sharedInput = null; // Single snapshot copy of the input, shared by every step
+    this.sharedLabels = null;
     this.n = 0;
     this.distanceMatrix = null;
+    this.neighbours = null; // {indices, distances} per point in sparse mode
     this.sigmas = null;
     this.P_conditional = null;
     this.P = null;
     this.P_original = null;
+    this.sharedP = null; // Snapshot copy of P_original
+    this.affinityStepCount = 0; // Snapshots of the steps that depend on the input alone
     this.embedding = null;
+    this.initExplainedVariance = null; // Variance captured by the PCA init
     this.Q = null;
     this.gradient = null;
     this.velocity = null;
-    this.costs = [];
+    this.gains = null; // Per-coordinate step multipliers (gains optimizer only)
+    this.costs = []; // Optimized objective per iteration (uses the exaggerated P early on)
+    this.trueCosts = []; // KL(P_original || Q) per iteration
+    this.exaggeration = 1; // Factor currently applied to P
     this.iterationSnapshots = [];
+    this.stopInfo = null; // {reason, iteration, gradNorm, costChange}
   }
   
   /**
@@ -170,12 +303,43 @@ export class PrecomputedTSNE {
    * @param {number[][]} inputData - Input points (N x D)
    * @param {number[]} labels - Point labels for coloring
    * @returns {object[]} Array of step snapshots
+   * @throws {DOMException} AbortError if the signal is aborted mid-run
    */
   run(inputData, labels) {
+    this._computeAffinities(inputData, labels);
+    return this._optimize();
+  }
+  
+  /**
+   * Run only the optimization, on the affinities of another run over the
+   * same data and settings (restarts differ only in their seed)
+   * The affinity steps' snapshots are shared with the source run.
+   * @param {PrecomputedTSNE} source - Run whose affinities are computed
+   * @returns {object[]} Array of step snapshots
+   * @throws {DOMException} AbortError if the signal is aborted mid-run
+   */
+  runFromAffinities(source) {
+    for (const field of AFFINITY_FIELDS) {
+      this[field] = source[field];
+    }
+    this.snapshots = source.snapshots.slice(0, source.affinityStepCount);
+    this.stepIndex = this.snapshots.length;
+    this.P = this.P_original.clone();
+    return this._optimize();
+  }
+  
+  /**
+   * Steps 0-5: everything that depends on the input data alone
+   * @param {number[][]} inputData - Input points (N x D)
+   * @param {number[]} labels - Point labels for coloring
+   */
+  _computeAffinities(inputData, labels) {
     this.inputData = inputData;
     this.labels = labels;
     this.n = inputData.length;
     this.snapshots = [];
+    this.sharedInput = deepClone(inputData);
+    this.sharedLabels = [...labels];
     
     console.log(`Starting t-SNE computation on ${this.n} points, ${inputData[0].length}D → ${this.targetDim}D`);
     
@@ -184,116 +348,224 @@ export class PrecomputedTSNE {
       n: this.n,
       inputDim: inputData[0].length,
       targetDim: this.targetDim,
-      perplexity: this.perplexity
+      perplexity: this.perplexity,
+      // Values the run uses, after validation (exaggeration ends where the schedule ends it)
+      applied: {
+        perplexity: this.perplexity,
+        learningRate: this.learningRate,
+        maxIterations: this.maxIterations,
+        earlyExaggeration: this.earlyExaggeration,
+        earlyExaggerationIter: this.earlyExaggerationIter,
+        initialMomentum: this.initialMomentum,
+        finalMomentum: this.finalMomentum,
+        momentumSwitchIter: this.momentumSwitchIter,
+        initScale: this.initScale,
+        init: this.init,
+        optimizer: this.optimizer,
+        method: this.method,
+        sparse: this.sparse,
+        // The phases themselves, so a live run can follow the same schedules
+        schedules: {
+          exaggeration: this.schedules.exaggeration.toJSON(),
+          learningRate: this.schedules.learningRate.toJSON(),
+          momentum: this.schedules.momentum.toJSON()
+        }
+      },
+      adjustments: this.adjustments
     });
     
-    // Step 1: Show input data
+    // Step 1: Show input data (with a 3D PCA projection if it can't be plotted directly)
+    const dim = inputData[0].length;
+    const pca = dim > 3 ? computePCA(inputData, 3) : null;
     this._addSnapshot(TSNESteps.INPUT_DATA, {
-      points: deepClone(inputData),
-      labels: [...labels],
+      points: this.sharedInput,
+      labels: this.sharedLabels,
       n: this.n,
-      dim: inputData[0].length
+      dim,
+      projection: pca ? pca.projection : null,
+      explainedVariance: pca ? pca.explainedVariance : null
     });
     
     // Step 2: Compute pairwise distances
-    this.distanceMatrix = computeDistanceMatrix(inputData);
-    this._addSnapshot(TSNESteps.COMPUTE_DISTANCES, {
-      distanceMatrix: deepClone(this.distanceMatrix),
-      minDist: this._getMinNonZeroDist(),
-      maxDist: this._getMaxDist(),
-      avgDist: this._getAvgDist()
-    });
+    this._reportProgress(TSNESteps.COMPUTE_DISTANCES);
+    if (this.sparse) {
+      this.neighbours = this._computeNeighbours();
+      this._addSnapshot(TSNESteps.COMPUTE_DISTANCES, {
+        sparse: true,
+        k: this.neighbours.k,
+        neighbours: {
+          indices: deepClone(this.neighbours.indices),
+          distances: deepClone(this.neighbours.distances)
+        },
+        ...this._getNeighbourDistanceStats()
+      });
+    } else {
+      this.distanceMatrix = computeDistanceMatrix(inputData);
+      this._addSnapshot(TSNESteps.COMPUTE_DISTANCES, {
+        sparse: false,
+        distanceMatrix: deepClone(this.distanceMatrix),
+        minDist: this._getMinNonZeroDist(),
+        maxDist: this._getMaxDist(),
+        avgDist: this._getAvgDist()
+      });
+    }
     
     // Step 3: Find sigma values (binary search)
+    this._reportProgress(TSNESteps.COMPUTE_SIGMAS);
     const sigmaResult = this._computeAllSigmas();
     this.sigmas = sigmaResult.sigmas;
     this._addSnapshot(TSNESteps.COMPUTE_SIGMAS, {
       sigmas: [...this.sigmas],
       perplexity: this.perplexity,
-      searchHistory: sigmaResult.searchHistory,
+      calibration: sigmaResult.calibration,
       avgSigma: this.sigmas.reduce((a, b) => a + b) / this.sigmas.length
     });
     
     // Step 4: Compute conditional probabilities P(j|i)
+    this._reportProgress(TSNESteps.COMPUTE_P_CONDITIONAL);
     this.P_conditional = this._computeConditionalP();
+    const P_conditional = deepClone(this.P_conditional);
     this._addSnapshot(TSNESteps.COMPUTE_P_CONDITIONAL, {
-      P_conditional: deepClone(this.P_conditional),
+      P_conditional,
       exampleRow: this._getExamplePRow(0)
     });
     
     // Step 5: Symmetrize P
+    this._reportProgress(TSNESteps.SYMMETRIZE_P);
     this.P = this._symmetrizeP();
-    this.P_original = deepClone(this.P);
+    this.P_original = this.P.clone();
+    this.sharedP = deepClone(this.P_original);
     this._addSnapshot(TSNESteps.SYMMETRIZE_P, {
-      P: deepClone(this.P),
-      P_conditional: deepClone(this.P_conditional)
+      P: this.sharedP,
+      P_conditional
     });
+    this.affinityStepCount = this.snapshots.length;
+    
+    // Input side of the quality metrics
+    this.qualityMetrics = this.metrics ? new EmbeddingMetrics(inputData, { k: this.metricsK }) : null;
+  }
+  
+  /**
+   * Steps 6-13: exaggeration, initialization from the seed and optimization
+   * @returns {object[]} Array of step snapshots
+   */
+  _optimize() {
+    const P_original = this.sharedP;
+    this.rng = createRandom(this.seed);
     
     // Step 6: Apply early exaggeration
-    this._applyEarlyExaggeration();
+    this._setExaggeration(this.schedules.exaggeration.valueAt(0));
+    const P_exaggerated = deepClone(this.P);
     this._addSnapshot(TSNESteps.EARLY_EXAGGERATION, {
-      P_exaggerated: deepClone(this.P),
-      P_original: deepClone(this.P_original),
-      exaggerationFactor: this.earlyExaggeration
+      P_exaggerated,
+      P_original,
+      exaggerationFactor: this.exaggeration,
+      exaggerationIter: this.earlyExaggerationIter
     });
     
     // Step 7: Initialize embedding
+    this._reportProgress(TSNESteps.INITIALIZE_EMBEDDING);
     this.embedding = this._initializeEmbedding();
-    this.velocity = Array(this.n).fill(null).map(() => 
-      Array(this.targetDim).fill(0)
-    );
+    this.velocity = new Matrix(this.n, this.targetDim);
+    this.gains = this.optimizer === 'gains'
+      ? new Matrix(this.n, this.targetDim, new Float64Array(this.n * this.targetDim).fill(1))
+      : null;
+    const initialEmbedding = deepClone(this.embedding);
     this._addSnapshot(TSNESteps.INITIALIZE_EMBEDDING, {
-      embedding: deepClone(this.embedding),
-      targetDim: this.targetDim
+      embedding: initialEmbedding,
+      targetDim: this.targetDim,
+      seed: this.seed,
+      init: this.init,
+      initScale: this.initScale,
+      explainedVariance: this.initExplainedVariance
     });
     
     // Step 8: Compute Q distribution
     this.Q = computeQMatrix(this.embedding);
+    const initialQ = deepClone(this.Q);
     this._addSnapshot(TSNESteps.COMPUTE_Q, {
-      Q: deepClone(this.Q),
-      embedding: deepClone(this.embedding)
+      Q: initialQ,
+      embedding: initialEmbedding
     });
     
     // Step 9: Compute gradient
     this.gradient = computeGradient(this.P, this.Q, this.embedding);
     this._addSnapshot(TSNESteps.COMPUTE_GRADIENT, {
       gradient: deepClone(this.gradient),
-      P: deepClone(this.P),
-      Q: deepClone(this.Q),
-      embedding: deepClone(this.embedding)
+      P: P_exaggerated,
+      Q: initialQ,
+      embedding: initialEmbedding
     });
     
-    // Step 10: First update
+    // Step 10: First update (iteration 0)
+    const initialCost = klDivergence(this.P, this.Q);
     this._updateEmbedding(0);
+    this.costs = [initialCost];
+    this.trueCosts = [this._trueKL(initialCost)];
     this._addSnapshot(TSNESteps.UPDATE_EMBEDDING, {
       embedding: deepClone(this.embedding),
       gradient: deepClone(this.gradient),
-      learningRate: this.learningRate
+      learningRate: this.schedules.learningRate.valueAt(0),
+      momentum: this.schedules.momentum.valueAt(0),
+      phases: describeSchedules(this.schedules, 0, this.maxIterations), // Planned (the run may stop earlier)
+      optimizer: this.optimizer,
+      minGain: this.minGain,
+      gains: deepClone(this.gains)
     });
     
     // Step 11: Run iterations and capture key snapshots
-    const keyIterations = this._runIterations();
+    const captureIterations = new Set(computeCaptureIterations(this.maxIterations, this.capture));
+    this.iterationSnapshots = [];
+    if (captureIterations.has(0)) {
+      this._captureIteration(0, initialCost);
+    }
+    const keyIterations = this._runIterations(1, captureIterations);
+    const costs = [...this.costs];
+    const trueCosts = [...this.trueCosts];
+    const phases = describeSchedules(this.schedules, 0, this.stopInfo.iteration + 1);
     this._addSnapshot(TSNESteps.ITERATION_PROGRESS, {
       iterations: keyIterations,
-      costs: [...this.costs],
-      totalIterations: this.maxIterations
+      costs,
+      trueCosts,
+      phases,
+      exaggerationEnd: this.earlyExaggerationIter,
+      totalIterations: this.maxIterations,
+      stopInfo: { ...this.stopInfo },
+      capture: this.capture,
+      optimizer: this.optimizer,
+      method: this.method,
+      theta: this.theta
     });
     
-    // Step 12: Remove exaggeration snapshot (captured at iteration 100)
+    // Step 12: Remove exaggeration snapshot (captured where the schedule ends it)
     this._addSnapshot(TSNESteps.REMOVE_EXAGGERATION, {
       iteration: this.earlyExaggerationIter,
-      embedding: deepClone(this.iterationSnapshots.find(s => s.iteration >= this.earlyExaggerationIter)?.embedding || this.embedding),
-      P: deepClone(this.P_original)
+      phases,
+      embedding: this.iterationSnapshots.find(s => s.iteration >= this.earlyExaggerationIter)?.embedding || deepClone(this.embedding),
+      P: P_original
     });
     
     // Step 13: Final result
     this._addSnapshot(TSNESteps.FINAL_RESULT, {
       embedding: deepClone(this.embedding),
-      finalCost: this.costs[this.costs.length - 1],
-      costs: [...this.costs],
-      labels: [...labels]
+      finalCost: trueCosts[trueCosts.length - 1],
+      costs,
+      trueCosts,
+      phases,
+      exaggerationEnd: this.earlyExaggerationIter,
+      optimizer: this.optimizer,
+      gains: deepClone(this.gains),
+      velocity: deepClone(this.velocity),
+      stopInfo: { ...this.stopInfo },
+      metrics: this._getFinalMetrics(),
+      options: this._getResumeOptions(),
+      labels: this.sharedLabels
     });
     
+    this._reportProgress(TSNESteps.FINAL_RESULT, {
+      iteration: this.stopInfo.iteration,
+      cost: trueCosts[trueCosts.length - 1]
+    });
     console.log(`t-SNE completed. ${this.snapshots.length} steps captured.`);
     return this.snapshots;
   }
@@ -305,8 +577,8 @@ export class PrecomputedTSNE {
     let min = Infinity;
     for (let i = 0; i < this.n; i++) {
       for (let j = 0; j < this.n; j++) {
-        if (i !== j && this.distanceMatrix[i][j] < min) {
-          min = this.distanceMatrix[i][j];
+        if (i !== j && this.distanceMatrix.get(i, j) < min) {
+          min = this.distanceMatrix.get(i, j);
         }
       }
     }
@@ -318,12 +590,8 @@ export class PrecomputedTSNE {
    */
   _getMaxDist() {
     let max = 0;
-    for (let i = 0; i < this.n; i++) {
-      for (let j = 0; j < this.n; j++) {
-        if (this.distanceMatrix[i][j] > max) {
-          max = this.distanceMatrix[i][j];
-        }
-      }
+    for (const d of this.distanceMatrix.data) {
+      if (d > max) max = d;
     }
     return max;
   }
@@ -336,7 +604,7 @@ export class PrecomputedTSNE {
     let count = 0;
     for (let i = 0; i < this.n; i++) {
       for (let j = i + 1; j < this.n; j++) {
-        sum += this.distanceMatrix[i][j];
+        sum += this.distanceMatrix.get(i, j);
         count++;
       }
     }
@@ -344,49 +612,99 @@ export class PrecomputedTSNE {
   }
   
   /**
-   * Compute all sigma values with search history
+   * Find the k = floor(3 * perplexity) nearest neighbours of every point
+   * using a vantage-point tree
+   * @returns {{k: number, indices: number[][], distances: number[][]}} Squared distances
+   */
+  _computeNeighbours() {
+    const k = Math.min(Math.floor(3 * this.perplexity), this.n - 1);
+    const tree = new VPTree(this.inputData);
+    const indices = [];
+    const distances = [];
+    
+    for (let i = 0; i < this.n; i++) {
+      const result = tree.search(i, k);
+      indices.push(result.indices);
+      distances.push(result.distances.map(d => d * d));
+    }
+    
+    return { k, indices, distances };
+  }
+  
+  /**
+   * Distance statistics over the kNN graph
+   */
+  _getNeighbourDistanceStats() {
+    let min = Infinity;
+    let max = 0;
+    let sum = 0;
+    let count = 0;
+    this.neighbours.distances.forEach(row => row.forEach(d => {
+      if (d > 0) min = Math.min(min, d);
+      max = Math.max(max, d);
+      sum += d;
+      count++;
+    }));
+    return { minDist: min, maxDist: max, avgDist: sum / count };
+  }
+  
+  /**
+   * Compute all sigma values and how well each search hit the perplexity
+   * The search histories are not kept: traceSigmaSearch replays any point's
+   * search when it is inspected.
+   * @returns {{sigmas: number[], calibration: {perplexities: number[],
+   *   iterations: number[], converged: boolean[], missed: number[]}}}
    */
   _computeAllSigmas() {
     const sigmas = [];
-    const searchHistory = [];
+    const calibration = { perplexities: [], iterations: [], converged: [], missed: [] };
     
     for (let i = 0; i < this.n; i++) {
-      const result = findSigma(this.distanceMatrix, i, this.perplexity, true);
+      const result = this.sparse
+        ? findSigmaForDistances(this.neighbours.distances[i], -1, this.perplexity)
+        : findSigma(this.distanceMatrix, i, this.perplexity);
       sigmas.push(result.sigma);
-      if (i < 3) { // Only store first few for visualization
-        searchHistory.push({
-          pointIndex: i,
-          history: result.history
-        });
-      }
+      calibration.perplexities.push(result.perplexity);
+      calibration.iterations.push(result.iterations);
+      calibration.converged.push(result.converged);
+      if (!result.converged) calibration.missed.push(i);
     }
     
-    return { sigmas, searchHistory };
+    return { sigmas, calibration };
   }
   
   /**
    * Compute conditional probability matrix P(j|i)
    */
   _computeConditionalP() {
-    const P = Array(this.n).fill(null).map(() => Array(this.n).fill(0));
+    if (this.sparse) {
+      return SparseMatrix.fromRows(this.neighbours.indices.map((indices, i) => ({
+        indices,
+        values: computeConditionalProbabilities(this.neighbours.distances[i], this.sigmas[i], -1)
+      })));
+    }
+    
+    const P = new Matrix(this.n, this.n);
     
     for (let i = 0; i < this.n; i++) {
       const sigma = this.sigmas[i];
       const sigma2 = 2 * sigma * sigma;
+      const distances = this.distanceMatrix.row(i);
+      const row = P.row(i);
       
       let sum = 0;
       for (let j = 0; j < this.n; j++) {
         if (i !== j) {
-          const dist = this.distanceMatrix[i][j];
-          P[i][j] = Math.exp(-dist * dist / sigma2);
-          sum += P[i][j];
+          // distanceMatrix already holds squared distances
+          row[j] = Math.exp(-distances[j] / sigma2);
+          sum += row[j];
         }
       }
       
       // Normalize
       if (sum > 0) {
         for (let j = 0; j < this.n; j++) {
-          P[i][j] /= sum;
+          row[j] /= sum;
         }
       }
     }
@@ -400,7 +718,7 @@ export class PrecomputedTSNE {
   _getExamplePRow(pointIndex) {
     return {
       pointIndex,
-      probabilities: [...this.P_conditional[pointIndex]],
+      probabilities: this.P_conditional.denseRow(pointIndex),
       sigma: this.sigmas[pointIndex]
     };
   }
@@ -409,69 +727,96 @@ export class PrecomputedTSNE {
    * Symmetrize P matrix: P_ij = (P(j|i) + P(i|j)) / 2n
    */
   _symmetrizeP() {
-    const P = Array(this.n).fill(null).map(() => Array(this.n).fill(0));
+    if (this.sparse) {
+      return this.P_conditional.addTranspose().scale(1 / (2 * this.n));
+    }
+    
+    const P = new Matrix(this.n, this.n);
+    const Pc = this.P_conditional;
     
     for (let i = 0; i < this.n; i++) {
       for (let j = i + 1; j < this.n; j++) {
-        const pij = (this.P_conditional[i][j] + this.P_conditional[j][i]) / (2 * this.n);
-        P[i][j] = pij;
-        P[j][i] = pij;
+        const pij = (Pc.get(i, j) + Pc.get(j, i)) / (2 * this.n);
+        P.set(i, j, pij);
+        P.set(j, i, pij);
       }
     }
     
     // Ensure minimum probability
     const minP = 1e-12;
-    for (let i = 0; i < this.n; i++) {
-      for (let j = 0; j < this.n; j++) {
-        P[i][j] = Math.max(P[i][j], minP);
-      }
+    for (let k = 0; k < P.data.length; k++) {
+      P.data[k] = Math.max(P.data[k], minP);
     }
     
     return P;
   }
   
   /**
-   * Apply early exaggeration
+   * Scale P by an exaggeration factor (1 restores the original P)
+   * @param {number} factor - Exaggeration factor
    */
-  _applyEarlyExaggeration() {
-    for (let i = 0; i < this.n; i++) {
-      for (let j = 0; j < this.n; j++) {
-        this.P[i][j] *= this.earlyExaggeration;
-      }
-    }
+  _setExaggeration(factor) {
+    this.P = factor === 1 ? this.P_original.clone() : this.P_original.scale(factor);
+    this.exaggeration = factor;
   }
   
   /**
-   * Remove early exaggeration
+   * True KL(P_original || Q) from the optimized cost
+   * With P scaled by a (and P_original summing to 1) the optimized cost is
+   * a * KL + a * log(a), so no second pass over P and Q is needed - which
+   * also covers Barnes-Hut runs, where Q is never formed.
+   * @param {number} cost - Cost computed with the current P
+   * @returns {number}
    */
-  _removeEarlyExaggeration() {
-    for (let i = 0; i < this.n; i++) {
-      for (let j = 0; j < this.n; j++) {
-        this.P[i][j] = this.P_original[i][j];
-      }
-    }
+  _trueKL(cost) {
+    const a = this.exaggeration;
+    return a === 1 ? cost : cost / a - Math.log(a);
   }
   
   /**
-   * Initialize embedding with small random values
+   * Initialize embedding with small random values, or with the top
+   * principal components of the input rescaled to the same small scale
    */
   _initializeEmbedding() {
-    const scale = 0.0001;
+    const scale = this.initScale;
+    
+    if (this.init === 'pca') {
+      const { embedding, explainedVariance } = initializeEmbeddingPCA(this.inputData, this.targetDim, scale);
+      this.initExplainedVariance = explainedVariance;
+      return embedding;
+    }
+    
+    this.initExplainedVariance = null;
     return Array(this.n).fill(null).map(() =>
-      Array(this.targetDim).fill(0).map(() => gaussianRandom() * scale)
+      Array(this.targetDim).fill(0).map(() => this.rng.gaussian() * scale)
     );
   }
   
   /**
    * Update embedding positions
+   * With the gains optimizer each coordinate has its own step multiplier
+   * (delta-bar-delta): it grows by 0.2 while the gradient keeps pointing
+   * against the current velocity and shrinks by 0.8 once they agree.
    */
   _updateEmbedding(iteration) {
-    const mom = iteration < this.momentumSwitchIter ? this.momentum : this.finalMomentum;
+    const mom = this.schedules.momentum.valueAt(iteration);
+    const learningRate = this.schedules.learningRate.valueAt(iteration);
+    const velocity = this.velocity.data;
+    const gradient = this.gradient.data;
+    const gains = this.gains?.data;
     
     for (let i = 0; i < this.n; i++) {
       for (let d = 0; d < this.targetDim; d++) {
-        this.velocity[i][d] = mom * this.velocity[i][d] - this.learningRate * this.gradient[i][d];
-        this.embedding[i][d] += this.velocity[i][d];
+        const k = i * this.targetDim + d;
+        let step = learningRate * gradient[k];
+        if (gains) {
+          gains[k] = (gradient[k] > 0) !== (velocity[k] > 0)
+            ? gains[k] + 0.2
+            : Math.max(gains[k] * 0.8, this.minGain);
+          step *= gains[k];
+        }
+        velocity[k] = mom * velocity[k] - step;
+        this.embedding[i][d] += velocity[k];
       }
     }
     
@@ -488,51 +833,268 @@ export class PrecomputedTSNE {
     }
   }
   
+  /**
+   * Compute the gradient (and Q when exact) for the current embedding
+   * The exact path builds the full Q matrix; Barnes-Hut approximates the
+   * repulsive forces with a space-partitioning tree and skips Q entirely.
+   * @returns {number} KL divergence of the current embedding
+   */
+  _computeGradientAndCost() {
+    if (this.method === 'barnes-hut') {
+      const { gradient, cost } = computeGradientBarnesHut(this.P, this.embedding, this.theta);
+      this.Q = null;
+      this.gradient = gradient;
+      return cost;
+    }
+    
+    this.Q = computeQMatrix(this.embedding);
+    this.gradient = computeGradient(this.P, this.Q, this.embedding);
+    return klDivergence(this.P, this.Q);
+  }
+  
   /**
    * Run optimization iterations
+   * Captured iterations are appended to this.iterationSnapshots.
+   * @param {number} startIter - First iteration to run
+   * @param {Set<number>} captureIterations - Iterations to store
+   * @returns {object[]} All captured iterations
    */
-  _runIterations() {
-    const keyIterations = [];
-    const captureIterations = [0, 5, 10, 25, 50, 75, 100, 150, 200, 300, 400, this.maxIterations - 1];
+  _runIterations(startIter, captureIterations) {
+    const progressInterval = Math.max(1, Math.floor((this.maxIterations - startIter) / 100));
     
-    this.iterationSnapshots = [];
+    this.stopInfo = { reason: 'max-iterations', iteration: this.maxIterations - 1 };
     
-    for (let iter = 1; iter < this.maxIterations; iter++) {
-      // Remove exaggeration at the right time
-      if (iter === this.earlyExaggerationIter) {
-        this._removeEarlyExaggeration();
+    for (let iter = startIter; iter < this.maxIterations; iter++) {
+      // Follow the exaggeration schedule (P is only rescaled when the factor changes)
+      const exaggeration = this.schedules.exaggeration.valueAt(iter);
+      if (exaggeration !== this.exaggeration) {
+        this._setExaggeration(exaggeration);
       }
       
-      // Compute Q and gradient
-      this.Q = computeQMatrix(this.embedding);
-      this.gradient = computeGradient(this.P, this.Q, this.embedding);
+      this._checkAborted();
+      
+      // Compute gradient and cost for the current embedding
+      const cost = this._computeGradientAndCost();
       
       // Update embedding
       this._updateEmbedding(iter);
-      
-      // Compute cost
-      const cost = klDivergence(this.P, this.Q);
       this.costs.push(cost);
+      this.trueCosts.push(this._trueKL(cost));
+      
+      if (iter % progressInterval === 0) {
+        this._reportProgress(TSNESteps.ITERATION_PROGRESS, { iteration: iter, cost: this.trueCosts[this.trueCosts.length - 1] });
+      }
+      
+      const stopInfo = this._checkConvergence(iter);
+      
+      // Capture key iterations (and the one the run stopped at)
+      if (captureIterations.has(iter) || stopInfo) {
+        this._captureIteration(iter, cost);
+      }
       
-      // Capture key iterations
-      if (captureIterations.includes(iter)) {
-        const snapshot = {
-          iteration: iter,
-          embedding: deepClone(this.embedding),
-          Q: deepClone(this.Q),
-          gradient: deepClone(this.gradient),
-          cost
-        };
-        keyIterations.push(snapshot);
-        this.iterationSnapshots.push(snapshot);
+      if (stopInfo) {
+        this.stopInfo = stopInfo;
+        break;
+      }
+    }
+    
+    return this.iterationSnapshots;
+  }
+  
+  /**
+   * Store the state after an iteration's update
+   * With the 'all' policy Q is dropped: it is N x N per frame, and the
+   * player only needs the embedding. The stored Q is that of the stored
+   * (updated) embedding, not the engine's Q from before the update, so the
+   * snapshot store rebuilds the same matrix after evicting it.
+   * @param {number} iter - Iteration just completed
+   * @param {number} cost - Cost before the iteration's update
+   */
+  _captureIteration(iter, cost) {
+    const keepQ = this.Q && this.capture.policy !== 'all';
+    this.iterationSnapshots.push({
+      iteration: iter,
+      trueCost: this._trueKL(cost),
+      embedding: deepClone(this.embedding),
+      Q: keepQ ? deepClone(computeQMatrix(this.embedding)) : null,
+      gradient: deepClone(this.gradient),
+      gains: deepClone(this.gains),
+      metrics: this.qualityMetrics ? this.qualityMetrics.evaluate(this.embedding) : null,
+      cost
+    });
+  }
+  
+  /**
+   * Quality metrics of the final embedding
+   * The last iteration is always captured, so its scores are reused.
+   */
+  _getFinalMetrics() {
+    return this.iterationSnapshots[this.iterationSnapshots.length - 1]?.metrics ?? null;
+  }
+  
+  /**
+   * Check the early-stopping criteria after an iteration
+   * @param {number} iter - Iteration just completed
+   * @returns {object|null} {reason, iteration, gradNorm, costChange} if the run should stop
+   */
+  _checkConvergence(iter) {
+    if (!this.earlyStopping) return null;
+    if (iter < this.earlyExaggerationIter + this.minIterationsAfterExaggeration) return null;
+    // Never during late exaggeration (a run that stops earlier skips it)
+    if (this.exaggeration !== 1) return null;
+    
+    const gradNorm = gradientMagnitude(this.gradient.data);
+    if (gradNorm < this.minGradNorm) {
+      return { reason: 'gradient-norm', iteration: iter, gradNorm, costChange: null };
+    }
+    
+    // Relative cost change over the window, measured only on unexaggerated costs
+    const last = this.costs.length - 1;
+    if (iter - this.costWindow >= this.earlyExaggerationIter) {
+      const before = this.costs[last - this.costWindow];
+      const costChange = (before - this.costs[last]) / Math.abs(before);
+      if (Math.abs(costChange) < this.minCostChange) {
+        return { reason: 'cost-plateau', iteration: iter, gradNorm, costChange };
       }
     }
     
-    return keyIterations;
+    return null;
+  }
+  
+  /**
+   * Continue optimizing a finished run for more iterations
+   * Starts from the final embedding, velocity, gains and unexaggerated P of
+   * the run (see getResumeState), so no distances or sigmas are recomputed.
+   * @param {object} state - Resume state from getResumeState
+   * @param {number[]} labels - Point labels
+   * @returns {object[]} ITERATION_PROGRESS and FINAL_RESULT snapshots covering
+   *   only the new iterations (merge them with mergeResumedSnapshots)
+   */
+  resume(state, labels) {
+    this.labels = labels;
+    this.sharedLabels = [...labels];
+    this.n = state.embedding.length;
+    this.snapshots = [];
+    this.embedding = state.embedding.map(row => [...row]);
+    
+    // Matrices may arrive as plain structured clones when run in a worker
+    this.velocity = Matrix.from(state.velocity).clone(Float64Array);
+    this.gains = state.gains ? Matrix.from(state.gains).clone(Float64Array) : null;
+    this.P_original = isSparseMatrix(state.P) ? SparseMatrix.from(state.P) : Matrix.from(state.P);
+    this.P = this.P_original;
+    this.costs = [...state.costs];
+    this.trueCosts = [...state.trueCosts];
+    this.exaggeration = 1;
+    this.qualityMetrics = this.metrics && state.points
+      ? new EmbeddingMetrics(state.points, { k: this.metricsK })
+      : null;
+    
+    const startIter = state.iteration + 1;
+    this.maxIterations = startIter + state.extraIterations;
+    
+    // Capture a few evenly spaced iterations plus the last one
+    const step = Math.max(1, Math.floor(state.extraIterations / 4));
+    const captureIterations = new Set([this.maxIterations - 1]);
+    for (let iter = startIter + step - 1; iter < this.maxIterations; iter += step) {
+      captureIterations.add(iter);
+    }
+    
+    this.iterationSnapshots = [];
+    const keyIterations = this._runIterations(startIter, captureIterations);
+    const costs = [...this.costs];
+    const trueCosts = [...this.trueCosts];
+    const phases = describeSchedules(this.schedules, startIter, this.stopInfo.iteration + 1);
+    this._addSnapshot(TSNESteps.ITERATION_PROGRESS, {
+      iterations: keyIterations,
+      costs,
+      trueCosts,
+      phases,
+      totalIterations: this.maxIterations,
+      stopInfo: { ...this.stopInfo }
+    });
+    this._addSnapshot(TSNESteps.FINAL_RESULT, {
+      embedding: deepClone(this.embedding),
+      finalCost: trueCosts[trueCosts.length - 1],
+      costs,
+      trueCosts,
+      phases,
+      optimizer: this.optimizer,
+      gains: deepClone(this.gains),
+      velocity: deepClone(this.velocity),
+      stopInfo: { ...this.stopInfo },
+      metrics: this._getFinalMetrics(),
+      options: this._getResumeOptions(),
+      labels: this.sharedLabels
+    });
+    
+    this._reportProgress(TSNESteps.FINAL_RESULT, {
+      iteration: this.stopInfo.iteration,
+      cost: trueCosts[trueCosts.length - 1]
+    });
+    return this.snapshots;
+  }
+  
+  /**
+   * Optimizer settings needed to continue this run later
+   * A continued run keeps the learning rate and momentum schedules but never
+   * exaggerates P.
+   */
+  _getResumeOptions() {
+    return {
+      learningRate: this.learningRate,
+      schedules: {
+        exaggeration: [{ start: 0, value: 1 }],
+        learningRate: this.schedules.learningRate.toJSON(),
+        momentum: this.schedules.momentum.toJSON()
+      },
+      targetDim: this.targetDim,
+      earlyExaggerationIter: this.earlyExaggerationIter,
+      method: this.method,
+      theta: this.theta,
+      optimizer: this.optimizer,
+      minGain: this.minGain,
+      earlyStopping: this.earlyStopping,
+      minGradNorm: this.minGradNorm,
+      minCostChange: this.minCostChange,
+      costWindow: this.costWindow,
+      minIterationsAfterExaggeration: this.minIterationsAfterExaggeration,
+      metrics: this.metrics,
+      metricsK: this.metricsK
+    };
+  }
+  
+  /**
+   * Throw if the computation has been cancelled, discarding partial snapshots
+   */
+  _checkAborted() {
+    if (this.signal?.aborted) {
+      this.snapshots = [];
+      this.iterationSnapshots = [];
+      this.signal.throwIfAborted();
+    }
+  }
+  
+  /**
+   * Notify the progress callback (if any) of the current phase
+   * @param {string} phase - Step type currently being computed
+   * @param {object} details - Optional {iteration, cost}
+   */
+  _reportProgress(phase, details = {}) {
+    this._checkAborted();
+    if (!this.onProgress) return;
+    
+    this.onProgress({
+      phase,
+      title: StepInfo[phase].title,
+      iteration: details.iteration ?? 0,
+      totalIterations: this.maxIterations,
+      cost: details.cost ?? null
+    });
   }
   
   /**
    * Add a snapshot to the collection
+   * The input points and labels are the shared copies, not per-step clones.
    */
   _addSnapshot(stepType, data) {
     this.snapshots.push({
@@ -540,8 +1102,8 @@ export class PrecomputedTSNE {
       stepType,
       info: StepInfo[stepType],
       data,
-      labels: [...(this.labels || [])],
-      inputData: this.inputData ? deepClone(this.inputData) : null
+      labels: this.sharedLabels || [],
+      inputData: this.sharedInput
     });
   }
   
@@ -567,24 +1129,187 @@ export class PrecomputedTSNE {
   }
 }
 
+/**
+ * Collect what is needed to continue a finished run
+ * @param {object[]} snapshots - Snapshots of a completed run
+ * @param {number} extraIterations - Number of iterations to add
+ * @returns {object} Resume state for PrecomputedTSNE.resume
+ */
+export function getResumeState(snapshots, extraIterations) {
+  const final = snapshots.find(s => s.stepType === TSNESteps.FINAL_RESULT).data;
+  const unexaggerated = snapshots.find(s => s.stepType === TSNESteps.REMOVE_EXAGGERATION).data;
+  
+  return {
+    embedding: final.embedding,
+    velocity: final.velocity,
+    gains: final.gains,
+    P: unexaggerated.P,
+    points: snapshots.find(s => s.stepType === TSNESteps.INPUT_DATA).data.points,
+    costs: final.costs,
+    trueCosts: final.trueCosts,
+    iteration: final.stopInfo.iteration,
+    extraIterations,
+    options: final.options
+  };
+}
+
+/**
+ * Append the snapshots of a resumed run to the original snapshots (in place)
+ * @param {object[]} snapshots - Snapshots of the original run
+ * @param {object[]} resumed - Snapshots returned by PrecomputedTSNE.resume
+ * @returns {object[]} The updated snapshots
+ */
+export function mergeResumedSnapshots(snapshots, resumed) {
+  const progress = snapshots.find(s => s.stepType === TSNESteps.ITERATION_PROGRESS);
+  const resumedProgress = resumed.find(s => s.stepType === TSNESteps.ITERATION_PROGRESS);
+  progress.data.iterations.push(...resumedProgress.data.iterations);
+  progress.data.costs = resumedProgress.data.costs;
+  progress.data.trueCosts = resumedProgress.data.trueCosts;
+  progress.data.phases = [...(progress.data.phases || []), ...resumedProgress.data.phases];
+  progress.data.totalIterations = resumedProgress.data.totalIterations;
+  progress.data.stopInfo = resumedProgress.data.stopInfo;
+  
+  // The schedules cover the whole run; the other restarts were not
+  // continued and keep their own iteration counts
+  const final = snapshots.find(s => s.stepType === TSNESteps.FINAL_RESULT);
+  const { restarts, exaggerationEnd } = final.data;
+  final.data = resumed.find(s => s.stepType === TSNESteps.FINAL_RESULT).data;
+  final.data.phases = progress.data.phases;
+  final.data.exaggerationEnd = exaggerationEnd;
+  if (restarts) final.data.restarts = restarts;
+  
+  return snapshots;
+}
+
+/**
+ * Replay the σ binary search of one point from a run's stored distances
+ * Distances are stored in single precision, so the replayed σ can differ
+ * from the run's in the last digits.
+ * @param {object[]} snapshots - Snapshots of the run
+ * @param {number} i - Point index
+ * @returns {object[]} Search steps {iteration, sigma, perplexity}
+ */
+export function traceSigmaSearch(snapshots, i) {
+  const distances = snapshots.find(s => s.stepType === TSNESteps.COMPUTE_DISTANCES).data;
+  const { perplexity } = snapshots.find(s => s.stepType === TSNESteps.COMPUTE_SIGMAS).data;
+  
+  const result = distances.sparse
+    ? findSigmaForDistances(distances.neighbours.distances[i], -1, perplexity, true)
+    : findSigma(distances.distanceMatrix, i, perplexity, true);
+  return result.history;
+}
+
 /**
  * Precompute t-SNE for a dataset
- * @param {number[][]} points - 3D input points
+ * With options.resume (from getResumeState) the finished run is continued
+ * instead; points may then be null. With options.restarts > 1 the run is
+ * repeated with different seeds (random initialization only) and the one
+ * with the lowest final KL is kept; the others are summarized in the final
+ * step's data.restarts.
+ * @param {number[][]} points - Input points (N x D)
  * @param {number[]} labels - Point labels
  * @param {object} options - t-SNE options
  * @returns {object} { snapshots, tsne }
  */
 export function precomputeTSNE(points, labels, options = {}) {
-  const tsne = new PrecomputedTSNE({
-    perplexity: Math.min(options.perplexity || 15, Math.floor((points.length - 1) / 3)),
+  if (options.resume) {
+    // The caller asked for a fixed number of extra iterations, so a run that
+    // stopped on a plateau must not stop again straight away
+    const tsne = new PrecomputedTSNE({
+      ...options.resume.options,
+      earlyStopping: false,
+      onProgress: options.onProgress,
+      signal: options.signal
+    });
+    return { snapshots: tsne.resume(options.resume, labels), tsne };
+  }
+  
+  // Without a method the gradient is chosen by size, and Barnes-Hut comes
+  // with the sparse P it needs to be faster than the exact gradient
+  const autoBarnesHut = !options.method && points.length > BARNES_HUT_THRESHOLD;
+  
+  // Settings that cannot work for this dataset are adjusted (see validation.js)
+  const { options: validated, adjustments } = validateRunOptions(points.length, {
+    perplexity: options.perplexity || 15,
     learningRate: options.learningRate || 200,
     maxIterations: options.maxIterations || 500,
     targetDim: options.targetDim || 2,
     earlyExaggeration: options.earlyExaggeration || 4,
-    earlyExaggerationIter: options.earlyExaggerationIter || 100
+    earlyExaggerationIter: options.earlyExaggerationIter || 100,
+    lateExaggeration: options.lateExaggeration || 1,
+    lateExaggerationIter: options.lateExaggerationIter || 0,
+    initialMomentum: options.initialMomentum ?? 0.5,
+    finalMomentum: options.finalMomentum ?? 0.8,
+    momentumSwitchIter: options.momentumSwitchIter ?? 250,
+    schedules: options.schedules || null,
+    method: options.method || (autoBarnesHut ? 'barnes-hut' : 'exact'),
+    theta: options.theta ?? 0.5,
+    sparse: autoBarnesHut || options.sparse || false,
+    init: options.init || 'random',
+    initScale: options.initScale || 0.0001,
+    optimizer: options.optimizer || 'momentum',
+    minGain: options.minGain ?? 0.01,
+    capture: options.capture || { policy: 'preset' },
+    metrics: options.metrics ?? true,
+    metricsK: options.metricsK || 10,
+    earlyStopping: options.earlyStopping || false,
+    minGradNorm: options.minGradNorm ?? 1e-7,
+    minCostChange: options.minCostChange ?? 5e-3,
+    costWindow: options.costWindow || 50,
+    minIterationsAfterExaggeration: options.minIterationsAfterExaggeration ?? 100,
+    restarts: Math.max(1, Math.floor(options.restarts || 1)),
+    signal: options.signal
   });
+  const { restarts, ...engineOptions } = validated;
+  engineOptions.adjustments = adjustments;
+  
+  if (restarts === 1) {
+    const tsne = new PrecomputedTSNE({ ...engineOptions, seed: options.seed ?? null, onProgress: options.onProgress });
+    return { snapshots: tsne.run(points, labels), tsne };
+  }
+  
+  // Restart r uses seed + r; an unseeded run draws the base seed so every
+  // restart can be reproduced. The affinities depend on the data alone, so
+  // they are computed by the first restart and shared by the others.
+  const baseSeed = options.seed ?? Math.floor(Math.random() * 0x7fffffff);
+  let best = null;
+  let first = null;
+  const rejected = [];
+  
+  for (let restart = 0; restart < restarts; restart++) {
+    const tsne = new PrecomputedTSNE({
+      ...engineOptions,
+      seed: baseSeed + restart,
+      onProgress: options.onProgress && ((progress) => options.onProgress({ ...progress, restart, restarts }))
+    });
+    const snapshots = first ? tsne.runFromAffinities(first) : tsne.run(points, labels);
+    first = first || tsne;
+    const final = snapshots.find(s => s.stepType === TSNESteps.FINAL_RESULT).data;
+    const run = {
+      restart,
+      seed: tsne.seed,
+      finalCost: final.finalCost,
+      iterations: final.costs.length,
+      embedding: final.embedding,
+      metrics: final.metrics
+    };
+    
+    // Only the best run keeps its snapshots
+    if (!best || run.finalCost < best.run.finalCost) {
+      if (best) rejected.push(best.run);
+      best = { run, snapshots, tsne };
+    } else {
+      rejected.push(run);
+    }
+  }
   
-  const snapshots = tsne.run(points, labels);
+  const final = best.snapshots.find(s => s.stepType === TSNESteps.FINAL_RESULT);
+  final.data.restarts = {
+    count: restarts,
+    chosen: best.run.restart,
+    seed: best.run.seed,
+    rejected: rejected.sort((a, b) => a.restart - b.restart)
+  };
   
-  return { snapshots, tsne };
+  return { snapshots: best.snapshots, tsne: best.tsne };
 }
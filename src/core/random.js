@@ -0,0 +1,49 @@
+/**
+ * Random Number Utilities
+ * Seeded and unseeded random sources shared by the data generators and
+ * the t-SNE engine
+ */
+
+/**
+ * Box-Muller transform for Gaussian random numbers
+ * @returns {number} Random number from N(0, 1)
+ */
+export function gaussianRandom() {
+  let u = 0, v = 0;
+  while (u === 0) u = Math.random();
+  while (v === 0) v = Math.random();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+/**
+ * Seeded random number generator for reproducible datasets and runs
+ */
+export class SeededRandom {
+  constructor(seed = 12345) {
+    this.seed = seed;
+  }
+
+  next() {
+    this.seed = (this.seed * 1103515245 + 12345) & 0x7fffffff;
+    return this.seed / 0x7fffffff;
+  }
+
+  gaussian() {
+    let u = 0, v = 0;
+    while (u === 0) u = this.next();
+    while (v === 0) v = this.next();
+    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+  }
+}
+
+/**
+ * Create a random source: seeded if a seed is given, Math.random otherwise
+ * @param {number|null} seed - Integer seed (null for a non-reproducible source)
+ * @returns {{next: function(): number, gaussian: function(): number}}
+ */
+export function createRandom(seed = null) {
+  if (Number.isFinite(seed)) {
+    return new SeededRandom(seed);
+  }
+  return { next: Math.random, gaussian: gaussianRandom };
+}
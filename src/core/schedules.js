@@ -0,0 +1,158 @@
+/**
+ * Optimization Schedules
+ * Per-iteration values of the exaggeration factor, learning rate and
+ * momentum. A schedule is a list of phases, each covering [start, end):
+ * - { start, end, value }: constant value
+ * - { start, end, from, to }: linear ramp from `from` at start to `to` at end
+ * A constant last phase may leave out end and then lasts until the run stops.
+ */
+
+/**
+ * Parameters driven by a schedule
+ */
+export const SCHEDULE_PARAMS = ['exaggeration', 'learningRate', 'momentum'];
+
+/**
+ * Piecewise-constant or ramped value over the iterations
+ */
+export class Schedule {
+  /**
+   * @param {object[]} phases - Phases as described above (unsorted and
+   *   malformed phases are tolerated: they are sorted and dropped)
+   * @param {number} fallback - Value if no phase is valid
+   */
+  constructor(phases, fallback) {
+    this.phases = (phases || [])
+      .map(phase => ({ ...phase, end: Number.isFinite(phase.end) ? phase.end : Infinity }))
+      .filter(phase => Number.isFinite(phase.start) && phase.end > phase.start &&
+        (isRamp(phase) ? phase.end !== Infinity : Number.isFinite(phase.value)))
+      .sort((a, b) => a.start - b.start);
+
+    if (this.phases.length === 0) {
+      this.phases = [{ start: 0, end: Infinity, value: fallback }];
+    }
+  }
+
+  /**
+   * Value at an iteration
+   * Before the first phase the first phase's starting value applies; in a
+   * gap, or after the last phase, the previous phase's final value does.
+   * @param {number} iteration - Iteration
+   * @returns {number}
+   */
+  valueAt(iteration) {
+    let previous = null;
+    for (const phase of this.phases) {
+      if (iteration < phase.start) break;
+      if (iteration < phase.end) return phaseValue(phase, iteration);
+      previous = phase;
+    }
+    return previous ? phaseValue(previous, previous.end) : phaseValue(this.phases[0], this.phases[0].start);
+  }
+
+  /**
+   * First iteration in [from, to) whose value passes a test
+   * @param {function(number): boolean} test - Test on the value
+   * @param {number} from - First iteration to check
+   * @param {number} to - End of the range (returned if no iteration passes)
+   * @returns {number}
+   */
+  findIteration(test, from, to) {
+    for (let iter = from; iter < to; iter++) {
+      if (test(this.valueAt(iter))) return iter;
+    }
+    return to;
+  }
+
+  /**
+   * Phases as plain objects (for snapshots and resume options)
+   * @returns {object[]}
+   */
+  toJSON() {
+    return this.phases.map(phase => ({ ...phase, end: phase.end === Infinity ? undefined : phase.end }));
+  }
+}
+
+/**
+ * Whether a phase ramps between two values (rather than holding one)
+ */
+function isRamp(phase) {
+  return Number.isFinite(phase.from) && Number.isFinite(phase.to);
+}
+
+/**
+ * Value of a phase at an iteration within [start, end]
+ */
+function phaseValue(phase, iteration) {
+  if (!isRamp(phase)) return phase.value;
+  const t = Math.min(1, Math.max(0, (iteration - phase.start) / (phase.end - phase.start)));
+  return phase.from + (phase.to - phase.from) * t;
+}
+
+/**
+ * Build the schedules of a run
+ * Without options.schedules the classic behaviour is reproduced: early
+ * exaggeration for earlyExaggerationIter iterations, an optional late
+ * exaggeration over the last lateExaggerationIter iterations, a constant
+ * learning rate and a momentum switch from initialMomentum (0.5) to
+ * finalMomentum (0.8) at momentumSwitchIter (250).
+ * options.schedules[param] (a phase list) replaces the default of that
+ * parameter.
+ * @param {object} options - {earlyExaggeration, earlyExaggerationIter,
+ *   lateExaggeration, lateExaggerationIter, learningRate, initialMomentum,
+ *   finalMomentum, momentumSwitchIter, maxIterations, schedules}
+ * @returns {{exaggeration: Schedule, learningRate: Schedule, momentum: Schedule}}
+ */
+export function buildSchedules(options) {
+  const { earlyExaggeration, earlyExaggerationIter, lateExaggeration = 1, lateExaggerationIter = 0 } = options;
+  const { initialMomentum = 0.5, finalMomentum = 0.8, momentumSwitchIter = 250 } = options;
+  const custom = options.schedules || {};
+
+  const exaggeration = [
+    { start: 0, end: earlyExaggerationIter, value: earlyExaggeration },
+    { start: earlyExaggerationIter, value: 1 }
+  ];
+  if (lateExaggeration !== 1 && lateExaggerationIter > 0) {
+    const lateStart = Math.max(earlyExaggerationIter, options.maxIterations - lateExaggerationIter);
+    exaggeration[1].end = lateStart;
+    exaggeration.push({ start: lateStart, value: lateExaggeration });
+  }
+
+  const momentum = [
+    { start: 0, end: momentumSwitchIter, value: initialMomentum },
+    { start: momentumSwitchIter, value: finalMomentum }
+  ];
+
+  return {
+    exaggeration: new Schedule(custom.exaggeration || exaggeration, 1),
+    learningRate: new Schedule(custom.learningRate || [{ start: 0, value: options.learningRate }], options.learningRate),
+    momentum: new Schedule(custom.momentum || momentum, finalMomentum)
+  };
+}
+
+/**
+ * Phases of every schedule within a range of iterations, for display
+ * @param {object} schedules - From buildSchedules
+ * @param {number} start - First iteration
+ * @param {number} end - End of the range (exclusive)
+ * @returns {{param: string, start: number, end: number, from: number, to: number}[]}
+ *   from/to are the values at the ends of the phase (equal when constant)
+ */
+export function describeSchedules(schedules, start, end) {
+  const phases = [];
+  for (const param of SCHEDULE_PARAMS) {
+    for (const phase of schedules[param].phases) {
+      const phaseStart = Math.max(start, phase.start);
+      const phaseEnd = Math.min(end, phase.end);
+      if (phaseEnd <= phaseStart) continue;
+      phases.push({
+        param,
+        start: phaseStart,
+        end: phaseEnd,
+        from: phaseValue(phase, phaseStart),
+        to: phaseValue(phase, phaseEnd)
+      });
+    }
+  }
+  return phases;
+}
@@ -0,0 +1,282 @@
+/**
+ * Snapshot Store
+ * Owns the snapshots of a run on the main thread. The engine already stores
+ * immutable data (input points, labels, P, Q, ...) once and lets several
+ * steps reference it; the store adds a memory budget on top: heavy matrices
+ * that can be derived from lighter fields are dropped, least recently used
+ * first, once the snapshots outgrow the budget and are rebuilt transparently
+ * the next time a renderer reads them.
+ */
+
+import { TSNESteps } from './precomputed-tsne.js';
+import { computeDistanceMatrix, computeQMatrix, computeConditionalProbabilities } from './math-utils.js';
+import { Matrix, isDenseMatrix } from './matrix.js';
+
+/**
+ * Default memory budget for the snapshots of one run (bytes)
+ */
+export const DEFAULT_SNAPSHOT_BUDGET = 64 * 1024 * 1024;
+
+/**
+ * Approximate size of a value held by a snapshot
+ * Numbers in plain arrays count 8 bytes; typed arrays count their length in
+ * bytes. Values already in `seen` count nothing (they are shared).
+ * @param {*} value - Value to measure
+ * @param {Set<object>} seen - Objects already counted
+ * @returns {number} Bytes
+ */
+export function estimateBytes(value, seen = new Set()) {
+  if (!value || typeof value !== 'object' || seen.has(value)) return 0;
+  seen.add(value);
+
+  if (ArrayBuffer.isView(value)) return value.byteLength;
+  if (Array.isArray(value)) {
+    if (typeof value[0] === 'number') return value.length * 8;
+    return value.reduce((sum, v) => sum + estimateBytes(v, seen), 0);
+  }
+
+  let bytes = 0;
+  for (const key of Object.keys(value)) {
+    const descriptor = Object.getOwnPropertyDescriptor(value, key);
+    // Evictable fields are measured by the store itself
+    if (!descriptor.get) bytes += estimateBytes(descriptor.value, seen);
+  }
+  return bytes;
+}
+
+/**
+ * Fields that can be dropped and recomputed: where they live, when they
+ * apply and how to rebuild them (in the single precision snapshots use)
+ */
+const RECOMPUTABLE_FIELDS = [
+  {
+    step: TSNESteps.COMPUTE_DISTANCES,
+    field: 'distanceMatrix',
+    recompute: (store) => computeDistanceMatrix(store.find(TSNESteps.INPUT_DATA).data.points).clone(Float32Array)
+  },
+  {
+    step: TSNESteps.COMPUTE_P_CONDITIONAL,
+    field: 'P_conditional',
+    recompute: (store) => recomputeConditionalP(store)
+  },
+  {
+    step: TSNESteps.SYMMETRIZE_P,
+    field: 'P_conditional',
+    recompute: (store) => recomputeConditionalP(store)
+  },
+  {
+    step: TSNESteps.EARLY_EXAGGERATION,
+    field: 'P_exaggerated',
+    recompute: (store) => recomputeExaggeratedP(store)
+  },
+  {
+    step: TSNESteps.COMPUTE_Q,
+    field: 'Q',
+    recompute: (store, owner) => computeQMatrix(owner.embedding).clone(Float32Array)
+  },
+  {
+    step: TSNESteps.COMPUTE_GRADIENT,
+    field: 'Q',
+    recompute: (store, owner) => computeQMatrix(owner.embedding).clone(Float32Array)
+  },
+  {
+    step: TSNESteps.COMPUTE_GRADIENT,
+    field: 'P',
+    recompute: (store) => recomputeExaggeratedP(store)
+  },
+  {
+    // Captured from the stored (updated) embedding, so the rebuild matches it
+    step: TSNESteps.ITERATION_PROGRESS,
+    field: 'Q',
+    perIteration: true,
+    recompute: (store, owner) => computeQMatrix(owner.embedding).clone(Float32Array)
+  }
+];
+
+/**
+ * Rebuild the dense conditional affinities from the distances and sigmas
+ * @param {SnapshotStore} store - Store holding the run
+ * @returns {Matrix}
+ */
+function recomputeConditionalP(store) {
+  const distances = store.find(TSNESteps.COMPUTE_DISTANCES).data.distanceMatrix;
+  const sigmas = store.find(TSNESteps.COMPUTE_SIGMAS).data.sigmas;
+  const n = distances.rows;
+  const P = new Matrix(n, n, new Float32Array(n * n));
+
+  for (let i = 0; i < n; i++) {
+    P.row(i).set(computeConditionalProbabilities(distances.row(i), sigmas[i], i));
+  }
+  return P;
+}
+
+/**
+ * Rebuild the exaggerated P from the symmetrized one
+ * @param {SnapshotStore} store - Store holding the run
+ * @returns {Matrix}
+ */
+function recomputeExaggeratedP(store) {
+  const { P_original, exaggerationFactor } = store.find(TSNESteps.EARLY_EXAGGERATION).data;
+  return P_original.scale(exaggerationFactor);
+}
+
+/**
+ * Memory-bounded holder of a run's snapshots
+ */
+export class SnapshotStore {
+  /**
+   * @param {object[]} snapshots - Snapshots of a run (modified in place:
+   *   recomputable fields become getters backed by the store)
+   * @param {object} options - { budgetBytes }
+   */
+  constructor(snapshots, options = {}) {
+    this.snapshots = snapshots;
+    this.budgetBytes = options.budgetBytes || DEFAULT_SNAPSHOT_BUDGET;
+
+    // One entry per distinct heavy value, with every place that refers to it
+    this.entries = [];
+    this.clock = 0;
+    this.evictions = 0;
+    this.recomputations = 0;
+
+    this.refresh();
+  }
+
+  /**
+   * Find a snapshot by step type
+   * @returns {object|undefined}
+   */
+  find(stepType) {
+    return this.snapshots.find(s => s.stepType === stepType);
+  }
+
+  /**
+   * Pick up fields added since the last call (e.g. after a resumed run was
+   * merged in) and apply the budget
+   */
+  refresh() {
+    const byValue = new Map(this.entries.map(entry => [entry.value, entry]));
+
+    for (const rule of RECOMPUTABLE_FIELDS) {
+      const snapshot = this.find(rule.step);
+      if (!snapshot) continue;
+
+      const owners = rule.perIteration ? snapshot.data.iterations : [snapshot.data];
+      for (const owner of owners) {
+        const descriptor = Object.getOwnPropertyDescriptor(owner, rule.field);
+        // Missing, already managed, or sparse (small, and not rebuilt here)
+        if (!descriptor || descriptor.get || !isDenseMatrix(descriptor.value)) continue;
+
+        let entry = byValue.get(descriptor.value);
+        if (!entry) {
+          entry = {
+            value: descriptor.value,
+            bytes: estimateBytes(descriptor.value),
+            recompute: () => rule.recompute(this, owner),
+            lastUsed: 0,
+            slots: []
+          };
+          byValue.set(entry.value, entry);
+          this.entries.push(entry);
+        }
+        entry.slots.push({ step: rule.step, field: rule.field });
+
+        Object.defineProperty(owner, rule.field, {
+          get: () => this._read(entry),
+          set: (value) => { entry.value = value; },
+          enumerable: true,
+          configurable: true
+        });
+      }
+    }
+
+    this._enforceBudget(null);
+  }
+
+  /**
+   * Read a managed field, recomputing it if it was evicted
+   */
+  _read(entry) {
+    entry.lastUsed = ++this.clock;
+    if (!entry.value) {
+      entry.value = entry.recompute();
+      this.recomputations++;
+      this._enforceBudget(entry);
+    }
+    return entry.value;
+  }
+
+  /**
+   * Evict least recently used heavy values until the snapshots fit the budget
+   * @param {object|null} keep - Entry being read (never evicted)
+   */
+  _enforceBudget(keep) {
+    let total = this.getStats().residentBytes;
+    if (total <= this.budgetBytes) return;
+
+    const candidates = this.entries
+      .filter(entry => entry.value && entry !== keep)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+
+    for (const entry of candidates) {
+      if (total <= this.budgetBytes) break;
+      this.evict(entry);
+      total -= entry.bytes;
+    }
+  }
+
+  /**
+   * Drop one heavy value (it is recomputed on the next read)
+   */
+  evict(entry) {
+    if (!entry.value) return;
+    entry.value = null;
+    this.evictions++;
+  }
+
+  /**
+   * Drop every recomputable value
+   */
+  evictAll() {
+    this.entries.forEach(entry => this.evict(entry));
+  }
+
+  /**
+   * Memory use of the snapshots
+   * fixedBytes covers everything that cannot be evicted, each shared value
+   * counted once (and attributed to the first step referring to it);
+   * unsharedBytes is what the same snapshots would take with a private copy
+   * per step.
+   * @returns {{residentBytes: number, fixedBytes: number, recomputableBytes: number,
+   *   evictedBytes: number, unsharedBytes: number, budgetBytes: number, entries: number,
+   *   evicted: number, evictions: number, recomputations: number,
+   *   steps: {title: string, bytes: number}[]}}
+   */
+  getStats() {
+    const seen = new Set();
+    const steps = this.snapshots.map(snapshot => ({
+      title: snapshot.info.title,
+      bytes: estimateBytes(snapshot, seen)
+    }));
+    const fixedBytes = steps.reduce((sum, step) => sum + step.bytes, 0);
+    
+    const resident = this.entries.filter(entry => entry.value);
+    const recomputableBytes = resident.reduce((sum, entry) => sum + entry.bytes, 0);
+    const allRecomputableBytes = this.entries.reduce((sum, entry) => sum + entry.bytes * entry.slots.length, 0);
+    const unsharedBytes = this.snapshots.reduce((sum, snapshot) => sum + estimateBytes(snapshot), 0) + allRecomputableBytes;
+    
+    return {
+      residentBytes: fixedBytes + recomputableBytes,
+      fixedBytes,
+      recomputableBytes,
+      evictedBytes: this.entries.reduce((sum, entry) => sum + entry.bytes, 0) - recomputableBytes,
+      unsharedBytes,
+      budgetBytes: this.budgetBytes,
+      entries: this.entries.length,
+      evicted: this.entries.length - resident.length,
+      evictions: this.evictions,
+      recomputations: this.recomputations,
+      steps
+    };
+  }
+}
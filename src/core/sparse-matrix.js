@@ -0,0 +1,157 @@
+/**
+ * Sparse Matrix (Compressed Sparse Row)
+ * Storage for kNN-based affinity matrices where each row holds only a
+ * handful of non-zero entries
+ */
+
+import { Matrix } from './matrix.js';
+
+/**
+ * Check whether a value is a sparse matrix (also works on structured clones
+ * received from a worker, which lose their prototype)
+ * @param {*} m - Value to test
+ * @returns {boolean}
+ */
+export function isSparseMatrix(m) {
+  return !!m && m.format === 'csr';
+}
+
+/**
+ * Square sparse matrix in CSR format
+ */
+export class SparseMatrix {
+  /**
+   * @param {number} n - Number of rows (and columns)
+   * @param {Int32Array} rowPtr - Row start offsets (length n + 1)
+   * @param {Int32Array} colIdx - Column index of each non-zero
+   * @param {Float64Array} values - Value of each non-zero
+   */
+  constructor(n, rowPtr, colIdx, values) {
+    this.format = 'csr';
+    this.n = n;
+    this.rowPtr = rowPtr;
+    this.colIdx = colIdx;
+    this.values = values;
+  }
+
+  /**
+   * Build from per-row entries
+   * @param {{indices: number[], values: number[]}[]} rows - Entries of each row
+   * @returns {SparseMatrix}
+   */
+  static fromRows(rows) {
+    const n = rows.length;
+    const rowPtr = new Int32Array(n + 1);
+    for (let i = 0; i < n; i++) {
+      rowPtr[i + 1] = rowPtr[i] + rows[i].indices.length;
+    }
+
+    const colIdx = new Int32Array(rowPtr[n]);
+    const values = new Float64Array(rowPtr[n]);
+    rows.forEach((row, i) => {
+      colIdx.set(row.indices, rowPtr[i]);
+      values.set(row.values, rowPtr[i]);
+    });
+
+    return new SparseMatrix(n, rowPtr, colIdx, values);
+  }
+
+  /**
+   * Restore the prototype of a structured-clone copy
+   * @param {object} obj - Plain object with CSR fields
+   * @returns {SparseMatrix}
+   */
+  static from(obj) {
+    return new SparseMatrix(obj.n, obj.rowPtr, obj.colIdx, obj.values);
+  }
+
+  /**
+   * Number of stored non-zeros
+   */
+  get nnz() {
+    return this.rowPtr[this.n];
+  }
+
+  /**
+   * Get a single entry (0 if not stored)
+   */
+  get(i, j) {
+    for (let k = this.rowPtr[i]; k < this.rowPtr[i + 1]; k++) {
+      if (this.colIdx[k] === j) return this.values[k];
+    }
+    return 0;
+  }
+
+  /**
+   * Stored entries of one row
+   * @returns {{indices: Int32Array, values: Float64Array}}
+   */
+  row(i) {
+    const start = this.rowPtr[i];
+    const end = this.rowPtr[i + 1];
+    return {
+      indices: this.colIdx.subarray(start, end),
+      values: this.values.subarray(start, end)
+    };
+  }
+
+  /**
+   * Expand one row to a dense array
+   * @returns {number[]}
+   */
+  denseRow(i) {
+    const dense = Array(this.n).fill(0);
+    for (let k = this.rowPtr[i]; k < this.rowPtr[i + 1]; k++) {
+      dense[this.colIdx[k]] = this.values[k];
+    }
+    return dense;
+  }
+
+  /**
+   * Expand to a dense N x N matrix
+   * @returns {Matrix}
+   */
+  toDense() {
+    const dense = new Matrix(this.n, this.n);
+    for (let i = 0; i < this.n; i++) {
+      for (let k = this.rowPtr[i]; k < this.rowPtr[i + 1]; k++) {
+        dense.data[i * this.n + this.colIdx[k]] = this.values[k];
+      }
+    }
+    return dense;
+  }
+
+  /**
+   * Multiply every entry by a factor
+   * @returns {SparseMatrix} New matrix
+   */
+  scale(factor) {
+    return new SparseMatrix(this.n, this.rowPtr, this.colIdx, this.values.map(v => v * factor));
+  }
+
+  clone() {
+    return new SparseMatrix(this.n, this.rowPtr.slice(), this.colIdx.slice(), this.values.slice());
+  }
+
+  /**
+   * Compute A + Aᵀ (sparsity pattern is the union of both)
+   * @returns {SparseMatrix}
+   */
+  addTranspose() {
+    const rows = Array(this.n).fill(null).map(() => new Map());
+
+    for (let i = 0; i < this.n; i++) {
+      for (let k = this.rowPtr[i]; k < this.rowPtr[i + 1]; k++) {
+        const j = this.colIdx[k];
+        const v = this.values[k];
+        rows[i].set(j, (rows[i].get(j) || 0) + v);
+        rows[j].set(i, (rows[j].get(i) || 0) + v);
+      }
+    }
+
+    return SparseMatrix.fromRows(rows.map(row => {
+      const indices = [...row.keys()].sort((a, b) => a - b);
+      return { indices, values: indices.map(j => row.get(j)) };
+    }));
+  }
+}
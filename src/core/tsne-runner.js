@@ -0,0 +1,104 @@
+/**
+ * Worker-backed t-SNE Runner
+ * Main-thread wrapper that runs precomputeTSNE in a dedicated Web Worker
+ */
+
+import { SparseMatrix, isSparseMatrix } from './sparse-matrix.js';
+import { Matrix, isDenseMatrix } from './matrix.js';
+
+/**
+ * Restore class instances lost by the structured clone (dense and sparse
+ * matrices arrive as plain objects)
+ * The structured clone keeps a matrix shared by several snapshots as one
+ * object, so each is revived once and stays shared.
+ * @param {*} value - Received value
+ * @param {Map<object, *>} revived - Already revived objects
+ * @returns {*} Value with sparse matrices revived
+ */
+function reviveSnapshots(value, revived = new Map()) {
+  if (!value || typeof value !== 'object' || ArrayBuffer.isView(value)) return value;
+  if (revived.has(value)) return revived.get(value);
+  if (isSparseMatrix(value)) return remember(revived, value, SparseMatrix.from(value));
+  if (isDenseMatrix(value)) return remember(revived, value, Matrix.from(value));
+  
+  if (Array.isArray(value)) {
+    // Plain numeric arrays (points, embeddings) never contain matrices
+    if (value.length === 0 || typeof value[0] === 'number') return value;
+    if (Array.isArray(value[0]) && typeof value[0][0] === 'number') return value;
+    return remember(revived, value, value.map(v => reviveSnapshots(v, revived)));
+  }
+  
+  revived.set(value, value);
+  for (const key of Object.keys(value)) {
+    value[key] = reviveSnapshots(value[key], revived);
+  }
+  return value;
+}
+
+/**
+ * Record the revived form of a received object
+ * @returns {*} The revived object
+ */
+function remember(revived, original, result) {
+  revived.set(original, result);
+  return result;
+}
+
+/**
+ * Precompute t-SNE in a Web Worker
+ * @param {number[][]} points - Input points
+ * @param {number[]} labels - Point labels
+ * @param {object} options - t-SNE options (see precomputeTSNE)
+ * @param {object} callbacks - { onProgress, signal }: progress callback and
+ *   an AbortSignal that terminates the worker when aborted
+ * @returns {Promise<{snapshots: object[]}>} Resolves with the computed snapshots;
+ *   rejects with an AbortError if cancelled
+ */
+export function precomputeTSNEInWorker(points, labels, options = {}, callbacks = {}) {
+  const { signal } = callbacks;
+  
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    
+    const worker = new Worker(new URL('./tsne-worker.js', import.meta.url), { type: 'module' });
+    
+    const onAbort = () => {
+      worker.terminate();
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    
+    worker.onmessage = (event) => {
+      const { type, ...payload } = event.data;
+      
+      switch (type) {
+        case 'progress':
+          if (callbacks.onProgress) callbacks.onProgress(payload);
+          break;
+        case 'done':
+          finish();
+          resolve({ snapshots: reviveSnapshots(payload.snapshots) });
+          break;
+        case 'error':
+          finish();
+          reject(new Error(payload.message));
+          break;
+      }
+    };
+    
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 't-SNE worker failed'));
+    };
+    
+    worker.postMessage({ points, labels, options });
+  });
+}
@@ -0,0 +1,48 @@
+/**
+ * t-SNE Web Worker
+ * Runs the precompute pipeline off the main thread and streams progress back
+ *
+ * Messages in:  { points, labels, options } (options.resume continues a finished run)
+ * Messages out: { type: 'progress', phase, title, iteration, totalIterations, cost }
+ *               { type: 'done', snapshots }
+ *               { type: 'error', message }
+ */
+
+import { precomputeTSNE } from './precomputed-tsne.js';
+
+/**
+ * Collect the buffers of every typed array in the snapshots so they can be
+ * transferred to the main thread instead of copied
+ * @param {*} value - Value to scan
+ * @param {Set<ArrayBuffer>} buffers - Accumulator
+ * @returns {Set<ArrayBuffer>}
+ */
+function collectTransferables(value, buffers = new Set()) {
+  if (!value || typeof value !== 'object') return buffers;
+  
+  if (ArrayBuffer.isView(value)) {
+    buffers.add(value.buffer);
+  } else if (Array.isArray(value)) {
+    // Plain numeric arrays hold no typed arrays
+    if (typeof value[0] !== 'number') value.forEach(v => collectTransferables(v, buffers));
+  } else {
+    Object.values(value).forEach(v => collectTransferables(v, buffers));
+  }
+  
+  return buffers;
+}
+
+self.onmessage = (event) => {
+  const { points, labels, options } = event.data;
+  
+  try {
+    const { snapshots } = precomputeTSNE(points, labels, {
+      ...options,
+      onProgress: (progress) => self.postMessage({ type: 'progress', ...progress })
+    });
+    
+    self.postMessage({ type: 'done', snapshots }, [...collectTransferables(snapshots)]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
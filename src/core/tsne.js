@@ -7,13 +7,17 @@ import {
   computeDistanceMatrix,
   findSigma,
   computeConditionalProbabilities,
-  computeQMatrix,
+  computeQMatrixFull,
   klDivergence,
   computeGradient,
   initializeEmbedding,
+  initializeEmbeddingPCA,
   clone2D,
   gradientMagnitude
 } from './math-utils.js';
+import { Matrix } from './matrix.js';
+import { createRandom } from './random.js';
+import { buildSchedules } from './schedules.js';
 
 /**
  * t-SNE Algorithm Steps Enum
@@ -99,7 +103,7 @@ export const StepInfo = {
   },
   [TSNESteps.REMOVE_EXAGGERATION]: {
     title: 'Remove Early Exaggeration',
-    description: 'After initial iterations (typically ~250), remove the exaggeration factor to allow fine-tuning of the embedding.',
+    description: 'Once the early phase is over, remove the exaggeration factor to allow fine-tuning of the embedding.',
     formula: 'p_{ij} = p_{ij}^{exag} / \\alpha',
     intuition: 'Switch from "rough sketching" to "fine detailing". Clusters are formed, now we refine the exact positions.'
   },
@@ -113,16 +117,35 @@ export const StepInfo = {
 
 /**
  * t-SNE class with step-by-step execution
+ * Exaggeration, learning rate and momentum follow the same schedules as
+ * PrecomputedTSNE (see schedules.js).
  */
 export class TSNE {
   constructor(options = {}) {
     this.perplexity = options.perplexity ?? 30;
     this.learningRate = options.learningRate ?? 200;
-    this.momentum = options.momentum ?? 0.8;
     this.earlyExaggeration = options.earlyExaggeration ?? 4;
-    this.exaggerationIter = options.exaggerationIter ?? 250;
     this.maxIter = options.maxIter ?? 1000;
     this.targetDim = options.targetDim ?? 2;
+    this.init = options.init ?? 'random'; // 'random' | 'pca'
+    this.initScale = options.initScale ?? 0.0001; // Half-width of the uniform initial embedding
+    this.seed = options.seed ?? null; // Integer seed for the initial embedding (null = Math.random)
+    
+    // options.schedules replaces the phases built from the settings (as in PrecomputedTSNE)
+    this.schedules = buildSchedules({
+      earlyExaggeration: this.earlyExaggeration,
+      earlyExaggerationIter: options.exaggerationIter ?? 250,
+      lateExaggeration: options.lateExaggeration,
+      lateExaggerationIter: options.lateExaggerationIter,
+      learningRate: this.learningRate,
+      initialMomentum: options.initialMomentum,
+      finalMomentum: options.finalMomentum,
+      momentumSwitchIter: options.momentumSwitchIter,
+      maxIterations: this.maxIter,
+      schedules: options.schedules
+    });
+    // Early exaggeration ends where its schedule first reaches 1
+    this.exaggerationIter = this.schedules.exaggeration.findIteration(a => a === 1, 0, this.maxIter);
     
     this.reset();
   }
@@ -137,6 +160,7 @@ export class TSNE {
     this.D = null;           // Distance matrix
     this.sigmas = [];        // Per-point bandwidths
     this.sigmaSearchSteps = []; // Binary search history for each point
+    this.sigmaCalibration = null; // {perplexities, iterations, converged, missed} of the searches
     this.Pcond = null;       // Conditional probabilities
     this.P = null;           // Joint probabilities
     this.Porig = null;       // Original P (before exaggeration)
@@ -147,8 +171,11 @@ export class TSNE {
     this.gradient = null;    // Current gradient
     this.iteration = 0;
     this.currentStep = TSNESteps.INIT;
+    this.lastStep = null;    // Step executed by the latest nextStep() call
     this.costHistory = [];
+    this.exaggeration = 1;   // Factor currently applied to P
     this.exaggerationActive = false;
+    this.initExplainedVariance = null; // Variance captured by the PCA init
     this.embedHistory = [];  // History of embeddings for animation
     this.currentPointIndex = 0; // For step-through visualization
   }
@@ -170,6 +197,7 @@ export class TSNE {
   getState() {
     return {
       step: this.currentStep,
+      lastStep: this.lastStep,
       stepInfo: StepInfo[this.currentStep],
       iteration: this.iteration,
       n: this.n,
@@ -179,19 +207,29 @@ export class TSNE {
       D: this.D,
       sigmas: this.sigmas,
       sigmaSearchSteps: this.sigmaSearchSteps,
+      sigmaCalibration: this.sigmaCalibration,
       Pcond: this.Pcond,
       P: this.P,
       Y: this.Y,
       Q: this.Q,
       Qunnorm: this.Qunnorm,
       gradient: this.gradient,
+      Porig: this.Porig,
       costHistory: this.costHistory,
+      exaggeration: this.exaggeration,
       exaggerationActive: this.exaggerationActive,
+      initExplainedVariance: this.initExplainedVariance,
       currentPointIndex: this.currentPointIndex,
-      // Parameters
+      // Parameters (learning rate and momentum as of the current iteration)
       perplexity: this.perplexity,
-      learningRate: this.learningRate,
-      earlyExaggeration: this.earlyExaggeration,
+      learningRate: this.schedules.learningRate.valueAt(this.iteration),
+      momentum: this.schedules.momentum.valueAt(this.iteration),
+      schedules: this.schedules,
+      earlyExaggeration: this.schedules.exaggeration.valueAt(0),
+      exaggerationIter: this.exaggerationIter,
+      init: this.init,
+      initScale: this.initScale,
+      seed: this.seed,
       maxIter: this.maxIter
     };
   }
@@ -201,6 +239,10 @@ export class TSNE {
    * @returns {object} Current state after step
    */
   nextStep() {
+    if (this.currentStep !== TSNESteps.COMPLETE) {
+      this.lastStep = this.currentStep;
+    }
+    
     switch (this.currentStep) {
       case TSNESteps.INIT:
         this.currentStep = TSNESteps.COMPUTE_DISTANCES;
@@ -251,8 +293,8 @@ export class TSNE {
         this._updateEmbedding();
         this.iteration++;
         
-        // Check if we should remove exaggeration
-        if (this.exaggerationActive && this.iteration >= this.exaggerationIter) {
+        // Check if the early exaggeration ends here
+        if (this.exaggerationActive && this.iteration === this.exaggerationIter) {
           this.currentStep = TSNESteps.REMOVE_EXAGGERATION;
         } else if (this.iteration >= this.maxIter) {
           this.currentStep = TSNESteps.COMPLETE;
@@ -285,24 +327,20 @@ export class TSNE {
    */
   runIterations(numIter) {
     // First ensure we're past initialization
-    while (this.currentStep !== TSNESteps.COMPUTE_Q && 
-           this.currentStep !== TSNESteps.COMPLETE) {
+    while (!this.Y && this.currentStep !== TSNESteps.COMPLETE) {
       this.nextStep();
     }
     
-    // Run optimization iterations
-    for (let i = 0; i < numIter && this.currentStep !== TSNESteps.COMPLETE; i++) {
-      // Full iteration cycle
-      if (this.currentStep === TSNESteps.COMPUTE_Q) {
-        this.nextStep(); // COMPUTE_Q
-        this.nextStep(); // COMPUTE_GRADIENT
-        this.nextStep(); // UPDATE_EMBEDDING
-        
-        // Handle exaggeration removal if needed
-        if (this.currentStep === TSNESteps.REMOVE_EXAGGERATION) {
-          this.nextStep();
-        }
-      }
+    // Step until numIter more updates have been applied (finishing any
+    // iteration that is already under way)
+    const targetIter = this.iteration + numIter;
+    while (this.iteration < targetIter && this.currentStep !== TSNESteps.COMPLETE) {
+      this.nextStep();
+    }
+    
+    // Handle exaggeration removal if needed
+    if (this.currentStep === TSNESteps.REMOVE_EXAGGERATION) {
+      this.nextStep();
     }
     
     return this.getState();
@@ -324,86 +362,105 @@ export class TSNE {
   _computeSigmas() {
     this.sigmas = [];
     this.sigmaSearchSteps = [];
+    this.sigmaCalibration = { perplexities: [], iterations: [], converged: [], missed: [] };
     
     for (let i = 0; i < this.n; i++) {
-      const result = findSigma(this.D[i], this.perplexity, i);
+      const result = findSigma(this.D, i, this.perplexity, true);
       this.sigmas.push(result.sigma);
-      this.sigmaSearchSteps.push(result.searchSteps);
+      this.sigmaSearchSteps.push(result.history);
+      this.sigmaCalibration.perplexities.push(result.perplexity);
+      this.sigmaCalibration.iterations.push(result.iterations);
+      this.sigmaCalibration.converged.push(result.converged);
+      if (!result.converged) this.sigmaCalibration.missed.push(i);
     }
   }
   
   _computeConditionalP() {
-    this.Pcond = Array(this.n).fill(null).map(() => Array(this.n).fill(0));
+    this.Pcond = new Matrix(this.n, this.n);
     
     for (let i = 0; i < this.n; i++) {
-      const P = computeConditionalProbabilities(this.D[i], this.sigmas[i], i);
-      for (let j = 0; j < this.n; j++) {
-        this.Pcond[i][j] = P[j];
-      }
+      this.Pcond.data.set(computeConditionalProbabilities(this.D.row(i), this.sigmas[i], i), i * this.n);
     }
   }
   
   _symmetrizeP() {
-    this.P = Array(this.n).fill(null).map(() => Array(this.n).fill(0));
+    this.P = new Matrix(this.n, this.n);
     
     for (let i = 0; i < this.n; i++) {
       for (let j = i + 1; j < this.n; j++) {
-        const pij = (this.Pcond[i][j] + this.Pcond[j][i]) / (2 * this.n);
-        this.P[i][j] = pij;
-        this.P[j][i] = pij;
+        const pij = (this.Pcond.get(i, j) + this.Pcond.get(j, i)) / (2 * this.n);
+        this.P.set(i, j, pij);
+        this.P.set(j, i, pij);
       }
     }
     
     // Store original for later
-    this.Porig = clone2D(this.P);
+    this.Porig = this.P.clone();
   }
   
   _applyExaggeration() {
-    for (let i = 0; i < this.n; i++) {
-      for (let j = 0; j < this.n; j++) {
-        this.P[i][j] *= this.earlyExaggeration;
-      }
-    }
-    this.exaggerationActive = true;
+    this._setExaggeration(this.schedules.exaggeration.valueAt(0));
   }
   
   _removeExaggeration() {
-    for (let i = 0; i < this.n; i++) {
-      for (let j = 0; j < this.n; j++) {
-        this.P[i][j] /= this.earlyExaggeration;
-      }
-    }
-    this.exaggerationActive = false;
+    this._setExaggeration(this.schedules.exaggeration.valueAt(this.iteration));
+  }
+  
+  /**
+   * Scale P to an exaggeration factor
+   * @param {number} factor - Exaggeration factor (1 = none)
+   */
+  _setExaggeration(factor) {
+    this.P = factor === 1 ? this.Porig.clone() : this.Porig.scale(factor);
+    this.exaggeration = factor;
+    this.exaggerationActive = factor !== 1;
   }
   
   _initializeEmbedding() {
-    this.Y = initializeEmbedding(this.n, this.targetDim);
+    if (this.init === 'pca') {
+      const { embedding, explainedVariance } = initializeEmbeddingPCA(this.X, this.targetDim, this.initScale);
+      this.Y = embedding;
+      this.initExplainedVariance = explainedVariance;
+    } else {
+      this.Y = initializeEmbedding(this.n, this.targetDim, this.initScale, createRandom(this.seed));
+    }
     this.Yprev = clone2D(this.Y);
     this.embedHistory.push(clone2D(this.Y));
   }
   
   _computeQ() {
-    const result = computeQMatrix(this.Y);
+    // Follow the exaggeration schedule (ramps and late exaggeration change it
+    // without a step of their own)
+    const exaggeration = this.schedules.exaggeration.valueAt(this.iteration);
+    if (exaggeration !== this.exaggeration) {
+      this._setExaggeration(exaggeration);
+    }
+    
+    const result = computeQMatrixFull(this.Y);
     this.Q = result.Q;
     this.Qunnorm = result.Qunnorm;
     
-    // Compute and store cost
+    // Compute and store the optimized cost and the true KL (against the
+    // un-exaggerated P)
     const cost = klDivergence(this.P, this.Q);
-    this.costHistory.push({ iteration: this.iteration, cost });
+    const trueCost = this.exaggerationActive ? klDivergence(this.Porig, this.Q) : cost;
+    this.costHistory.push({ iteration: this.iteration, cost, trueCost });
   }
   
   _computeGradient() {
-    this.gradient = computeGradient(this.Y, this.P, this.Q, this.Qunnorm);
+    this.gradient = computeGradient(this.P, this.Q, this.Y);
   }
   
   _updateEmbedding() {
+    const learningRate = this.schedules.learningRate.valueAt(this.iteration);
+    const momentum = this.schedules.momentum.valueAt(this.iteration);
     const Ynew = Array(this.n).fill(null).map(() => Array(this.targetDim).fill(0));
     
     for (let i = 0; i < this.n; i++) {
       for (let d = 0; d < this.targetDim; d++) {
         // Gradient descent with momentum
-        const gradStep = this.learningRate * this.gradient[i][d];
-        const momentumStep = this.momentum * (this.Y[i][d] - this.Yprev[i][d]);
+        const gradStep = learningRate * this.gradient.get(i, d);
+        const momentumStep = momentum * (this.Y[i][d] - this.Yprev[i][d]);
         Ynew[i][d] = this.Y[i][d] - gradStep + momentumStep;
       }
     }
@@ -427,16 +484,16 @@ export class TSNE {
     
     const details = {
       pointIndex: i,
-      gradientVector: this.gradient[i],
-      magnitude: gradientMagnitude(this.gradient[i]),
+      gradientVector: this.gradient.denseRow(i),
+      magnitude: gradientMagnitude(this.gradient.row(i)),
       attractiveForces: [],
       repulsiveForces: []
     };
     
     for (let j = 0; j < this.n; j++) {
       if (i !== j) {
-        const pij = this.P[i][j];
-        const qij = this.Q[i][j];
+        const pij = this.P.get(i, j);
+        const qij = this.Q.get(i, j);
         const diff = pij - qij;
         
         if (diff > 0) {
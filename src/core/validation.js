@@ -0,0 +1,71 @@
+/**
+ * Run Option Validation
+ * Some settings cannot work as given for a particular dataset: a perplexity
+ * needs enough neighbours, a step size has to grow with the number of points,
+ * exaggeration has to end before the run does, and Barnes-Hut only pays off
+ * with sparse affinities. The engine adjusts them
+ * here, and every adjustment is reported so the UI can show the values that
+ * were actually applied instead of the requested ones.
+ */
+
+/**
+ * Adjust run options to a dataset
+ * Options the rules do not cover are passed through unchanged.
+ * @param {number} n - Number of points
+ * @param {object} options - Run options with their defaults filled in
+ *   (perplexity, learningRate, maxIterations, earlyExaggeration,
+ *   earlyExaggerationIter, schedules, method, sparse, init, restarts)
+ * @returns {{options: object, adjustments: {param: string, requested: number|boolean,
+ *   applied: number|boolean, reason: string}[]}}
+ */
+export function validateRunOptions(n, options) {
+  const applied = { ...options };
+  const adjustments = [];
+  const adjust = (param, value, reason) => {
+    adjustments.push({ param, requested: applied[param], applied: value, reason });
+    applied[param] = value;
+  };
+
+  // Every point needs about 3 × perplexity neighbours to calibrate σ against;
+  // below 4 points there are too few for that, and a perplexity of 1 (one
+  // effective neighbour) is the smallest that still defines σ
+  const maxPerplexity = Math.max(1, Math.floor((n - 1) / 3));
+  if (applied.perplexity > maxPerplexity) {
+    adjust('perplexity', maxPerplexity, n < 4
+      ? `With only ${n} points the perplexity can be at most 1.`
+      : `With ${n} points the perplexity can be at most (N - 1) / 3 = ${maxPerplexity}.`);
+  }
+
+  // With many points the gradient of each one is tiny (P sums to 1 over all
+  // pairs), so a fixed step barely moves them: N / exaggeration is the
+  // smallest step that converges in the usual number of iterations
+  // (Belkina et al., 2019). A custom learning rate schedule is left alone.
+  const exaggeration = Math.max(1, applied.earlyExaggeration);
+  const minLearningRate = Math.floor(n / exaggeration);
+  if (!applied.schedules?.learningRate && applied.learningRate < minLearningRate) {
+    adjust('learningRate', minLearningRate,
+      `With ${n} points and exaggeration ×${exaggeration} the learning rate should be at least N / exaggeration = ${minLearningRate}.`);
+  }
+
+  // Exaggeration that lasts the whole run leaves a distorted final embedding
+  if (!applied.schedules?.exaggeration && applied.earlyExaggerationIter >= applied.maxIterations) {
+    adjust('earlyExaggerationIter', Math.floor(applied.maxIterations / 2),
+      `Early exaggeration must end before the last of ${applied.maxIterations} iterations; it now lasts half the run.`);
+  }
+
+  // Barnes-Hut approximates the repulsion in O(N log N), but the attraction
+  // visits every stored p_ij: with a dense P that is still O(N²) per iteration.
+  // (precomputeTSNE pairs its automatic Barnes-Hut choice with a sparse P, so
+  // only an explicit request is adjusted.)
+  if (applied.method === 'barnes-hut' && !applied.sparse) {
+    adjust('sparse', true,
+      'The Barnes-Hut gradient is only faster than the exact one when P is sparse, so the kNN affinities are used.');
+  }
+
+  // PCA initialization is deterministic: every restart would repeat the same run
+  if (applied.init === 'pca' && applied.restarts > 1) {
+    adjust('restarts', 1, 'PCA initialization is deterministic, so restarts would all repeat the same run.');
+  }
+
+  return { options: applied, adjustments };
+}
@@ -0,0 +1,162 @@
+/**
+ * Vantage-Point Tree
+ * Metric-space index for exact k-nearest-neighbour queries, as used by
+ * Barnes-Hut t-SNE to build sparse input affinities
+ */
+
+import { euclideanDistance } from './math-utils.js';
+
+/**
+ * Node of a vantage-point tree
+ */
+class VPNode {
+  constructor(index) {
+    this.index = index;   // Vantage point
+    this.threshold = 0;   // Median distance to the points below this node
+    this.inside = null;   // Points closer than threshold
+    this.outside = null;  // Points at or beyond threshold
+  }
+}
+
+/**
+ * Bounded max-heap of (distance, index) pairs holding the k best candidates
+ */
+class NeighbourHeap {
+  constructor(k) {
+    this.k = k;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Largest distance currently held (the search radius tau)
+   */
+  peekDistance() {
+    return this.items.length > 0 ? this.items[0].distance : Infinity;
+  }
+
+  push(distance, index) {
+    const items = this.items;
+    items.push({ distance, index });
+
+    // Sift up
+    let c = items.length - 1;
+    while (c > 0) {
+      const parent = (c - 1) >> 1;
+      if (items[parent].distance >= items[c].distance) break;
+      [items[parent], items[c]] = [items[c], items[parent]];
+      c = parent;
+    }
+
+    if (items.length > this.k) {
+      this.pop();
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+
+      // Sift down
+      let p = 0;
+      for (;;) {
+        const l = 2 * p + 1;
+        const r = l + 1;
+        let largest = p;
+        if (l < items.length && items[l].distance > items[largest].distance) largest = l;
+        if (r < items.length && items[r].distance > items[largest].distance) largest = r;
+        if (largest === p) break;
+        [items[p], items[largest]] = [items[largest], items[p]];
+        p = largest;
+      }
+    }
+
+    return top;
+  }
+}
+
+/**
+ * Vantage-point tree over a set of points
+ */
+export class VPTree {
+  /**
+   * @param {number[][]} X - Points (N x D)
+   */
+  constructor(X) {
+    this.X = X;
+    const indices = X.map((_, i) => i);
+    this.root = this._build(indices);
+  }
+
+  _build(indices) {
+    if (indices.length === 0) return null;
+
+    // Use the middle element as vantage point (deterministic, no RNG needed)
+    const vpPos = indices.length >> 1;
+    const node = new VPNode(indices[vpPos]);
+    const rest = indices.filter((_, i) => i !== vpPos);
+
+    if (rest.length === 0) return node;
+
+    const vp = this.X[node.index];
+    const withDist = rest
+      .map(index => ({ index, distance: euclideanDistance(vp, this.X[index]) }))
+      .sort((a, b) => a.distance - b.distance);
+
+    const median = withDist.length >> 1;
+    node.threshold = withDist[median].distance;
+    node.inside = this._build(withDist.slice(0, median).map(d => d.index));
+    node.outside = this._build(withDist.slice(median).map(d => d.index));
+
+    return node;
+  }
+
+  /**
+   * Find the k nearest neighbours of a point in the tree
+   * @param {number} queryIndex - Index of the query point (excluded from results)
+   * @param {number} k - Number of neighbours
+   * @returns {{indices: number[], distances: number[]}} Neighbours sorted by distance
+   */
+  search(queryIndex, k) {
+    const heap = new NeighbourHeap(k);
+    const target = this.X[queryIndex];
+
+    const visit = (node) => {
+      if (!node) return;
+
+      const dist = euclideanDistance(target, this.X[node.index]);
+      if (node.index !== queryIndex && (heap.size < k || dist < heap.peekDistance())) {
+        heap.push(dist, node.index);
+      }
+
+      // Search the side containing the target first, then the other side
+      // only if the search ball crosses the threshold
+      if (dist < node.threshold) {
+        visit(node.inside);
+        if (heap.size < k || dist + heap.peekDistance() >= node.threshold) {
+          visit(node.outside);
+        }
+      } else {
+        visit(node.outside);
+        if (heap.size < k || dist - heap.peekDistance() <= node.threshold) {
+          visit(node.inside);
+        }
+      }
+    };
+
+    visit(this.root);
+
+    const results = heap.items.sort((a, b) => a.distance - b.distance);
+    return {
+      indices: results.map(r => r.index),
+      distances: results.map(r => r.distance)
+    };
+  }
+}
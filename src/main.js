@@ -7,17 +7,32 @@ import './styles/main.css';
 
 // Core
 import { generateDataset, generateLargeDataset, getAvailablePresets, getLabelColor, generateDefaultDataset } from './core/data-generator.js';
-import { precomputeTSNE, TSNESteps, StepInfo } from './core/precomputed-tsne.js';
+import { TSNESteps, StepInfo, getResumeState, mergeResumedSnapshots, traceSigmaSearch } from './core/precomputed-tsne.js';
+import { precomputeTSNEInWorker } from './core/tsne-runner.js';
+import { SnapshotStore } from './core/snapshot-store.js';
+import { computeEmbeddingMetrics } from './core/metrics.js';
+import { TSNE, TSNESteps as LiveSteps } from './core/tsne.js';
+import { describeSchedules } from './core/schedules.js';
+import { SparseMatrix, isSparseMatrix } from './core/sparse-matrix.js';
 
 // Visualizations
 import { Scatter2D, NumberLine1D } from './visualizations/scatter-2d.js';
 import { Scatter3D } from './visualizations/scatter-3d.js';
 import { Heatmap, MatrixComparison } from './visualizations/heatmap.js';
+import { NeighbourGraph } from './visualizations/neighbour-graph.js';
 import { GaussianDistribution, DistributionComparison, SigmaSearchViz } from './visualizations/distribution.js';
-import { GradientField, CostChart } from './visualizations/gradient-field.js';
+import { GradientField, CostChart, GainsHistogram } from './visualizations/gradient-field.js';
 
 // Formula display
 import { FormulaDisplay } from './ui/formula-display.js';
+import {
+  createPlaybackControls,
+  setPlayingState,
+  ControlsPanel,
+  ADVANCED_PARAMS,
+  getAdvancedDefaults,
+  validateAdvancedOptions
+} from './ui/controls.js';
 
 // Vercel Analytics
 import { inject } from '@vercel/analytics';
@@ -26,6 +41,97 @@ import { injectSpeedInsights } from '@vercel/speed-insights';
 injectSpeedInsights();
 inject();
 
+/**
+ * Display names of the optimizers
+ */
+const OPTIMIZER_NAMES = {
+  momentum: 'Momentum',
+  gains: 'Momentum + gains'
+};
+
+/**
+ * Display names of the settings the engine may adjust (see validateRunOptions)
+ */
+const ADJUSTED_PARAM_NAMES = {
+  perplexity: 'Perplexity',
+  learningRate: 'Learning rate',
+  earlyExaggerationIter: 'Exaggeration length',
+  sparse: 'Sparse affinities',
+  restarts: 'Restarts'
+};
+
+/**
+ * Time each iteration-player frame is shown at 1× speed
+ */
+const PLAYBACK_FRAME_MS = 600;
+
+/**
+ * Time a live run may spend optimizing per animation frame; the UI redraws
+ * in between, so large datasets slow the run down instead of freezing the page
+ */
+const LIVE_FRAME_BUDGET_MS = 30;
+
+/**
+ * Display names of the snapshot capture policies
+ */
+const CAPTURE_POLICY_NAMES = {
+  preset: 'Key iterations',
+  'every-k': 'Every k iterations',
+  log: 'Log-spaced iterations',
+  all: 'All iterations (downsampled)',
+  list: 'Custom list'
+};
+
+/**
+ * Placeholder for the capture parameter input (no input for the preset)
+ */
+const CAPTURE_PARAM_HINTS = {
+  'every-k': 'k (default 25)',
+  log: 'frames (default 20)',
+  all: 'max frames (default 200)',
+  list: 'e.g. 0, 10, 50, 250'
+};
+
+/**
+ * Embedding quality metrics (see core/metrics.js): display name, short
+ * label and what a high score means
+ */
+const METRIC_INFO = {
+  trustworthiness: { name: 'Trustworthiness', short: 'T', meaning: 'neighbours in the embedding were neighbours in the input' },
+  continuity: { name: 'Continuity', short: 'C', meaning: 'input neighbours stayed neighbours in the embedding' },
+  knnRecall: { name: 'kNN recall', short: 'kNN', meaning: 'share of each point\'s k input neighbours that are among its k embedding neighbours' },
+  spearman: { name: 'Spearman ρ', short: 'ρ', meaning: 'rank correlation of all pairwise distances (global layout)' }
+};
+
+/**
+ * Display names of the early-stopping reasons
+ */
+const STOP_REASON_NAMES = {
+  'max-iterations': 'Iteration limit',
+  'gradient-norm': 'Small gradient',
+  'cost-plateau': 'Cost plateau'
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format a requested or applied setting for display (switches as on/off)
+ * @param {number|boolean} value - Setting value
+ * @returns {string|number}
+ */
+function formatSetting(value) {
+  return typeof value === 'boolean' ? (value ? 'on' : 'off') : value;
+}
+
 /**
  * Main Application Class
  */
@@ -33,22 +139,48 @@ class TSNEVisualizer {
   constructor() {
     // State
     this.snapshots = null;
+    this.snapshotStore = null; // Keeps this.snapshots within the memory budget
     this.currentStepIndex = 0;
-    this.currentMode = '3d-2d'; // Default: 3D → 2D
+    this.currentMode = '3d-2d'; // Default: 3D → 2D (ids predate N-D input; labels show the real dimension)
+    this.computedMode = null;   // Mode of the snapshots currently shown
     this.isComputing = false;
+    this.abortController = null; // Cancels the in-flight computation
     this.selectedPointIndex = 0;
+    this.moreIterations = 200;  // Iterations added by "Run N more iterations"
+    this.runCosts = new Map(); // Cost curves of finished runs, keyed by run key + optimizer
+    this.runKey = null;        // Identifies the data and settings of the current snapshots
     
     // Settings
     this.settings = {
       preset: 'simple-blobs',
       perplexity: 30,
       learningRate: 200,
-      maxIterations: 500
+      maxIterations: 500,
+      sparse: false, // Only compute P over the k nearest neighbours
+      seed: 42, // Seeds dataset generation and the initial embedding (null = random)
+      restarts: 1, // Runs with seeds seed, seed + 1, ...; the lowest final KL is kept
+      init: 'random', // 'random' | 'pca'
+      optimizer: 'momentum', // 'momentum' | 'gains'
+      schedule: 'standard', // Exaggeration, learning rate and momentum schedules (see _getScheduleOptions)
+      ...getAdvancedDefaults(), // Optimizer options of the Advanced section (see ADVANCED_PARAMS)
+      earlyStopping: false, // Stop once the cost stops improving
+      capturePolicy: 'preset', // Which iterations to store (see computeCaptureIterations)
+      captureParam: '', // k, frame count or comma-separated list, depending on the policy
+      metrics: true, // Score the embedding's quality (final result and every stored iteration)
+      metricsK: 10 // Neighbourhood size of the quality metrics
     };
     
     // Visualization objects
     this.visualizations = {};
-    this.scatter3D = null; // 3D scatter plot reference
+    this.scatter3DViews = []; // Live Scatter3D instances (each holds a WebGL context)
+    
+    // Live mode: the TSNE class is driven one step at a time instead of
+    // touring the precomputed snapshots
+    this.viewMode = 'tour'; // 'tour' | 'live' | 'sweep'
+    this.live = null;       // {tsne, points, labels}
+    this.sweep = null;      // {results, failures} of the perplexity sweep on the current data
+    this.playback = null;   // {index, timer, speed} while the iteration player is shown
+    this.colorBy = 'label'; // 'label' | 'neighbours': colouring of 1D/2D embeddings
     
     // Initialize
     this._initUI();
@@ -71,6 +203,18 @@ class TSNEVisualizer {
     // Point selector
     this._setupPointSelector();
     
+    // Snapshot tour / live / sweep toggle
+    this._setupLiveControls();
+    
+    // Snapshot memory panel (debug)
+    this._setupMemoryPanel();
+    
+    // Cancel button on the loading overlay
+    const cancelBtn = document.getElementById('cancel-compute-btn');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => this._cancelCompute());
+    }
+    
     // Initialize formula display
     this.formulaDisplay = new FormulaDisplay('#formula-display');
     
@@ -78,8 +222,12 @@ class TSNEVisualizer {
     document.addEventListener('keydown', (e) => {
       if (e.key === 'ArrowRight' || e.key === ' ') {
         e.preventDefault();
-        this._nextStep();
-      } else if (e.key === 'ArrowLeft') {
+        if (this.viewMode === 'live') {
+          this._liveAdvance(() => this.live.tsne.nextStep());
+        } else if (this.viewMode === 'tour') {
+          this._nextStep();
+        }
+      } else if (e.key === 'ArrowLeft' && this.viewMode === 'tour') {
         e.preventDefault();
         this._prevStep();
       }
@@ -87,22 +235,22 @@ class TSNEVisualizer {
   }
   
   /**
-   * Setup mode toggle (3D→2D vs 3D→1D)
+   * Setup mode toggle (target dimension 1, 2 or 3)
    */
   _setupModeButtons() {
     const container = document.getElementById('mode-buttons');
     if (!container) return;
     
     container.innerHTML = `
-      <button class="mode-btn active" data-mode="3d-2d">3D → 2D</button>
-      <button class="mode-btn" data-mode="3d-1d">3D → 1D</button>
+      <button class="mode-btn active" data-mode="3d-2d" data-target-dim="2"></button>
+      <button class="mode-btn" data-mode="3d-1d" data-target-dim="1"></button>
+      <button class="mode-btn" data-mode="3d-3d" data-target-dim="3"></button>
     `;
+    this._updateModeLabels(3);
     
     container.querySelectorAll('.mode-btn').forEach(btn => {
       btn.addEventListener('click', () => {
-        container.querySelectorAll('.mode-btn').forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        this.currentMode = btn.dataset.mode;
+        this._setMode(btn.dataset.mode);
         
         // Re-compute if we have data
         if (this.snapshots) {
@@ -112,6 +260,35 @@ class TSNEVisualizer {
     });
   }
   
+  /**
+   * Label the mode buttons with the input dimensionality (e.g. "10D → 2D")
+   * @param {number} inputDim - Dimension of the current dataset
+   */
+  _updateModeLabels(inputDim) {
+    document.querySelectorAll('#mode-buttons .mode-btn').forEach(btn => {
+      btn.textContent = `${inputDim}D → ${btn.dataset.targetDim}D`;
+    });
+  }
+  
+  /**
+   * Dimension of the input data of the current snapshots
+   */
+  _getInputDim() {
+    const intro = this._findSnapshot(TSNESteps.INTRO);
+    return intro ? intro.data.inputDim : 3;
+  }
+  
+  /**
+   * Set the current mode and sync the mode buttons
+   * @param {string} mode - Mode id ('3d-2d', '3d-1d' or '3d-3d')
+   */
+  _setMode(mode) {
+    this.currentMode = mode;
+    document.querySelectorAll('#mode-buttons .mode-btn').forEach(b => {
+      b.classList.toggle('active', b.dataset.mode === mode);
+    });
+  }
+  
   /**
    * Setup dataset controls
    */
@@ -165,6 +342,134 @@ class TSNEVisualizer {
       iterSlider.addEventListener('input', () => {
         this.settings.maxIterations = parseInt(iterSlider.value);
         iterValue.textContent = this.settings.maxIterations;
+        this._getAdvancedOptions();
+      });
+    }
+    
+    // Initialization select
+    const initSelect = document.getElementById('init-select');
+    if (initSelect) {
+      initSelect.value = this.settings.init;
+      initSelect.addEventListener('change', () => {
+        this.settings.init = initSelect.value;
+      });
+    }
+    
+    // Optimizer select
+    const optimizerSelect = document.getElementById('optimizer-select');
+    if (optimizerSelect) {
+      optimizerSelect.value = this.settings.optimizer;
+      optimizerSelect.addEventListener('change', () => {
+        this.settings.optimizer = optimizerSelect.value;
+      });
+    }
+    
+    // Schedule select
+    const scheduleSelect = document.getElementById('schedule-select');
+    if (scheduleSelect) {
+      scheduleSelect.value = this.settings.schedule;
+      scheduleSelect.addEventListener('change', () => {
+        this.settings.schedule = scheduleSelect.value;
+      });
+    }
+    
+    // Seed input (empty = unseeded run)
+    const seedInput = document.getElementById('seed-input');
+    if (seedInput) {
+      seedInput.value = this.settings.seed ?? '';
+      
+      seedInput.addEventListener('change', () => {
+        const seed = parseInt(seedInput.value);
+        this.settings.seed = Number.isFinite(seed) ? seed : null;
+        seedInput.value = this.settings.seed ?? '';
+      });
+    }
+    
+    // Number of restarts (best-of selection)
+    const restartsInput = document.getElementById('restarts-input');
+    if (restartsInput) {
+      restartsInput.value = this.settings.restarts;
+      
+      restartsInput.addEventListener('change', () => {
+        const restarts = parseInt(restartsInput.value);
+        if (Number.isFinite(restarts) && restarts >= 1) this.settings.restarts = Math.min(restarts, 10);
+        restartsInput.value = this.settings.restarts;
+      });
+    }
+    
+    // Quality metrics toggle
+    const metricsToggle = document.getElementById('metrics-toggle');
+    if (metricsToggle) {
+      metricsToggle.checked = this.settings.metrics;
+      metricsToggle.addEventListener('change', () => {
+        this.settings.metrics = metricsToggle.checked;
+      });
+    }
+    
+    // Neighbourhood size of the quality metrics
+    const metricsKInput = document.getElementById('metrics-k-input');
+    if (metricsKInput) {
+      metricsKInput.value = this.settings.metricsK;
+      
+      metricsKInput.addEventListener('change', () => {
+        const k = parseInt(metricsKInput.value);
+        if (Number.isFinite(k) && k >= 1) this.settings.metricsK = k;
+        metricsKInput.value = this.settings.metricsK;
+      });
+    }
+    
+    // Sparse affinities toggle
+    const sparseToggle = document.getElementById('sparse-toggle');
+    if (sparseToggle) {
+      sparseToggle.checked = this.settings.sparse;
+      sparseToggle.addEventListener('change', () => {
+        this.settings.sparse = sparseToggle.checked;
+      });
+    }
+    
+    // Snapshot capture policy
+    const captureSelect = document.getElementById('capture-select');
+    const captureParam = document.getElementById('capture-param');
+    if (captureSelect && captureParam) {
+      const syncParam = () => {
+        const hint = CAPTURE_PARAM_HINTS[this.settings.capturePolicy];
+        captureParam.style.display = hint ? '' : 'none';
+        captureParam.placeholder = hint || '';
+      };
+      
+      captureSelect.value = this.settings.capturePolicy;
+      captureParam.value = this.settings.captureParam;
+      syncParam();
+      
+      captureSelect.addEventListener('change', () => {
+        this.settings.capturePolicy = captureSelect.value;
+        syncParam();
+      });
+      captureParam.addEventListener('change', () => {
+        this.settings.captureParam = captureParam.value.trim();
+      });
+    }
+    
+    // Early stopping toggle
+    const earlyStopToggle = document.getElementById('early-stop-toggle');
+    if (earlyStopToggle) {
+      earlyStopToggle.checked = this.settings.earlyStopping;
+      earlyStopToggle.addEventListener('change', () => {
+        this.settings.earlyStopping = earlyStopToggle.checked;
+      });
+    }
+    
+    // Advanced optimizer options (validated whenever they or the iterations change)
+    if (document.getElementById('advanced-controls')) {
+      this.controlsPanel = new ControlsPanel('#advanced-controls', {
+        sections: ['advanced'],
+        advanced: Object.fromEntries(ADVANCED_PARAMS.map(param => [param.key, this.settings[param.key]])),
+        callbacks: {
+          onAdvancedChange: (values) => {
+            Object.assign(this.settings, values);
+            this._getAdvancedOptions();
+          }
+        }
       });
     }
     
@@ -207,13 +512,8 @@ class TSNEVisualizer {
    * Load default precomputed dataset
    */
   _loadDefaultDataset() {
-    this._showLoading(true);
-    
-    // Use setTimeout to allow UI to update
-    setTimeout(() => {
-      const { points, labels } = generateDefaultDataset();
-      this._runTSNE(points, labels);
-    }, 100);
+    const { points, labels } = generateDefaultDataset();
+    this._runTSNE(points, labels);
   }
   
   /**
@@ -221,12 +521,11 @@ class TSNEVisualizer {
    * Uses 500 points for user-generated datasets
    */
   _generateAndCompute() {
-    this._showLoading(true);
+    if (this.isComputing) return;
     
-    setTimeout(() => {
-      const { points, labels } = generateLargeDataset(this.settings.preset);
-      this._runTSNE(points, labels);
-    }, 100);
+    const overrides = this.settings.seed !== null ? { seed: this.settings.seed } : {};
+    const { points, labels } = generateLargeDataset(this.settings.preset, overrides);
+    this._runTSNE(points, labels);
   }
   
   /**
@@ -235,31 +534,79 @@ class TSNEVisualizer {
   _recompute() {
     if (!this.snapshots || !this.snapshots[0]?.inputData) return;
     
-    this._showLoading(true);
-    
-    setTimeout(() => {
-      const inputSnapshot = this.snapshots.find(s => s.stepType === TSNESteps.INPUT_DATA);
-      if (inputSnapshot) {
-        this._runTSNE(inputSnapshot.data.points, inputSnapshot.labels);
-      }
-    }, 100);
+    const inputSnapshot = this.snapshots.find(s => s.stepType === TSNESteps.INPUT_DATA);
+    if (inputSnapshot) {
+      this._runTSNE(inputSnapshot.data.points, inputSnapshot.labels);
+    }
   }
   
   /**
-   * Run t-SNE and store results
+   * Run t-SNE in a worker and store results
    */
-  _runTSNE(points, labels) {
-    const targetDim = this.currentMode === '3d-1d' ? 1 : 2;
+  async _runTSNE(points, labels) {
+    const modeBtn = document.querySelector(`#mode-buttons .mode-btn[data-mode="${this.currentMode}"]`);
+    const targetDim = parseInt(modeBtn.dataset.targetDim);
+    const runKey = this._getRunKey(points, targetDim);
+    const optimizer = this.settings.optimizer;
+    
+    // A new run supersedes any computation still in flight
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+    const controller = new AbortController();
+    this.abortController = controller;
     
-    const result = precomputeTSNE(points, labels, {
-      perplexity: this.settings.perplexity,
-      learningRate: this.settings.learningRate,
-      maxIterations: this.settings.maxIterations,
-      targetDim
-    });
+    this._showLoading(true);
+    
+    let result;
+    try {
+      result = await precomputeTSNEInWorker(points, labels, {
+        perplexity: this.settings.perplexity,
+        learningRate: this.settings.learningRate,
+        maxIterations: this.settings.maxIterations,
+        sparse: this.settings.sparse,
+        seed: this.settings.seed,
+        init: this.settings.init,
+        optimizer,
+        earlyStopping: this.settings.earlyStopping,
+        capture: this._getCaptureOptions(),
+        metrics: this.settings.metrics,
+        metricsK: this.settings.metricsK,
+        restarts: this.settings.restarts,
+        ...this._getAdvancedOptions(),
+        ...this._getScheduleOptions(),
+        targetDim
+      }, {
+        onProgress: (progress) => this._updateLoadingProgress(progress),
+        signal: controller.signal
+      });
+    } catch (error) {
+      // Superseded by a newer run, which now owns the overlay
+      if (this.abortController !== controller) return;
+      
+      this.abortController = null;
+      if (error.name !== 'AbortError') {
+        console.error('t-SNE computation failed:', error);
+      }
+      this._restoreAfterCancel();
+      return;
+    }
+    
+    if (this.abortController !== controller) return;
+    this.abortController = null;
+    this.computedMode = this.currentMode;
     
     this.snapshots = result.snapshots;
+    this.snapshotStore = new SnapshotStore(this.snapshots);
     this.currentStepIndex = 0;
+    this.sweep = null;
+    this._updateModeLabels(points[0].length);
+    this._showAdjustments();
+    
+    // Remember the cost curve so a later run with the other optimizer can be compared
+    this.runKey = runKey;
+    const finalSnapshot = this.snapshots.find(s => s.stepType === TSNESteps.FINAL_RESULT);
+    this.runCosts.set(`${runKey}|${optimizer}`, finalSnapshot.data.trueCosts);
     
     // Update point selector
     this._updatePointSelector(points.length);
@@ -267,10 +614,354 @@ class TSNEVisualizer {
     // Build step list
     this._buildStepList();
     
-    // Show first step
+    // Show first step (live mode restarts on the new data, the sweep view
+    // waits for a new sweep)
+    if (this.viewMode === 'live') {
+      this._startLive();
+    } else {
+      this._updateCurrentStep();
+    }
+    
+    this._showLoading(false);
+  }
+  
+  /**
+   * Continue optimizing the current run from its final result
+   * Only the optimization runs again: the worker starts from the stored
+   * embedding, velocity and unexaggerated P.
+   * @param {number} extraIterations - Number of iterations to add
+   */
+  async _continueRun(extraIterations) {
+    if (this.isComputing || !this.snapshots) return;
+    
+    const controller = new AbortController();
+    this.abortController = controller;
+    this._showLoading(true);
+    
+    const labels = this.snapshots[0].labels;
+    const finalSnapshot = this.snapshots.find(s => s.stepType === TSNESteps.FINAL_RESULT);
+    
+    let result;
+    try {
+      result = await precomputeTSNEInWorker(null, labels, {
+        resume: getResumeState(this.snapshots, extraIterations)
+      }, {
+        onProgress: (progress) => this._updateLoadingProgress(progress),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (this.abortController !== controller) return;
+      
+      this.abortController = null;
+      if (error.name !== 'AbortError') {
+        console.error('t-SNE continuation failed:', error);
+      }
+      this._restoreAfterCancel();
+      return;
+    }
+    
+    if (this.abortController !== controller) return;
+    this.abortController = null;
+    
+    mergeResumedSnapshots(this.snapshots, result.snapshots);
+    this.snapshotStore.refresh();
+    this.runCosts.set(`${this.runKey}|${finalSnapshot.data.optimizer}`, finalSnapshot.data.trueCosts);
+    
     this._updateCurrentStep();
+    this._showLoading(false);
+  }
+  
+  /**
+   * List the settings the engine adjusted for the current run in the left
+   * panel (hidden when every setting was applied as given)
+   */
+  _showAdjustments() {
+    const container = document.getElementById('adjustment-warnings');
+    if (!container) return;
+    
+    const { adjustments } = this.snapshots.find(s => s.stepType === TSNESteps.INTRO).data;
+    container.style.display = adjustments.length > 0 ? '' : 'none';
+    container.innerHTML = adjustments.map(adjustment => `
+      <p>⚠ <strong>${ADJUSTED_PARAM_NAMES[adjustment.param] || adjustment.param}: ${formatSetting(adjustment.requested)} → ${formatSetting(adjustment.applied)}.</strong> ${adjustment.reason}</p>
+    `).join('');
+  }
+  
+  /**
+   * Key identifying a run's data and settings, ignoring the optimizer
+   */
+  _getRunKey(points, targetDim) {
+    const { optimizer, ...settings } = this.settings;
+    return JSON.stringify({ ...settings, targetDim, n: points.length, first: points[0] });
+  }
+  
+  /**
+   * Cost history of the same run with the other optimizer, if one was computed
+   * @param {string} optimizer - Optimizer of the current snapshots
+   * @returns {object|null} {optimizer, costHistory}
+   */
+  _getOptimizerComparison(optimizer) {
+    const other = optimizer === 'gains' ? 'momentum' : 'gains';
+    const costs = this.runCosts.get(`${this.runKey}|${other}`);
+    if (!costs) return null;
+    return {
+      optimizer: other,
+      costHistory: costs.map((cost, i) => ({ iteration: i, cost }))
+    };
+  }
+  
+  /**
+   * Overlay the other optimizer's cost curve on a cost chart, if available
+   */
+  _addOptimizerComparison(costChart, optimizer) {
+    const comparison = this._getOptimizerComparison(optimizer);
+    if (!comparison) return null;
+    costChart.setComparison(comparison.costHistory, {
+      current: OPTIMIZER_NAMES[optimizer],
+      comparison: OPTIMIZER_NAMES[comparison.optimizer]
+    });
+    return comparison;
+  }
+  
+  /**
+   * Capture options for the engine from the capture settings
+   * @returns {object} See computeCaptureIterations
+   */
+  _getCaptureOptions() {
+    const policy = this.settings.capturePolicy;
+    const param = this.settings.captureParam;
+    const value = parseInt(param);
+    
+    switch (policy) {
+      case 'every-k':
+        return { policy, every: Number.isFinite(value) ? value : undefined };
+      case 'log':
+        return { policy, count: Number.isFinite(value) ? value : undefined };
+      case 'all':
+        return { policy, maxFrames: Number.isFinite(value) ? value : undefined };
+      case 'list':
+        return { policy, list: param.split(',').map(v => parseInt(v)).filter(Number.isFinite) };
+      default:
+        return { policy: 'preset' };
+    }
+  }
+  
+  /**
+   * Advanced options for the engine, validated against the run length
+   * The validation messages are shown under the Advanced sliders.
+   * @returns {object} See validateAdvancedOptions
+   */
+  _getAdvancedOptions() {
+    const values = Object.fromEntries(ADVANCED_PARAMS.map(param => [param.key, this.settings[param.key]]));
+    const { values: validated, messages } = validateAdvancedOptions(values, { maxIterations: this.settings.maxIterations });
+    this.controlsPanel?.setAdvancedMessages(messages);
+    return validated;
+  }
+  
+  /**
+   * Schedule options for the engine from the schedule setting
+   * Presets other than 'standard' override the Advanced options they set.
+   * @returns {object} Options merged into the run options (see buildSchedules)
+   */
+  _getScheduleOptions() {
+    const { learningRate, maxIterations, initialMomentum, finalMomentum } = this.settings;
+    
+    switch (this.settings.schedule) {
+      case 'strong':
+        return { earlyExaggeration: 12, earlyExaggerationIter: 250 };
+      case 'ramped':
+        return {
+          schedules: {
+            exaggeration: [
+              { start: 0, end: 100, value: 12 },
+              { start: 100, end: 200, from: 12, to: 1 },
+              { start: 200, value: 1 }
+            ],
+            learningRate: [
+              { start: 0, end: 100, from: learningRate / 4, to: learningRate },
+              { start: 100, value: learningRate }
+            ],
+            momentum: [
+              { start: 0, end: 100, value: initialMomentum },
+              { start: 100, end: 250, from: initialMomentum, to: finalMomentum },
+              { start: 250, value: finalMomentum }
+            ]
+          }
+        };
+      case 'late':
+        return { lateExaggeration: 4, lateExaggerationIter: Math.min(100, Math.floor(maxIterations / 4)) };
+      default:
+        return {};
+    }
+  }
+  
+  /**
+   * Describe why the optimization stopped
+   * @param {object} stopInfo - {reason, iteration, gradNorm, costChange}
+   * @returns {string} HTML sentence
+   */
+  _describeStop(stopInfo) {
+    switch (stopInfo.reason) {
+      case 'gradient-norm':
+        return `Stopped early at <strong>iteration ${stopInfo.iteration}</strong>: the gradient norm fell to ${stopInfo.gradNorm.toExponential(2)}, so points had essentially stopped moving.`;
+      case 'cost-plateau':
+        return `Stopped early at <strong>iteration ${stopInfo.iteration}</strong>: the cost changed by only ${(Math.abs(stopInfo.costChange) * 100).toFixed(2)}% over the last iterations, so the embedding had converged.`;
+      default:
+        return `Ran the full <strong>${stopInfo.iteration + 1} iterations</strong> without meeting a stopping criterion.`;
+    }
+  }
+  
+  /**
+   * One-line summary of an embedding's quality metrics
+   * @param {object|null} metrics - From EmbeddingMetrics.evaluate
+   * @returns {string}
+   */
+  _formatMetrics(metrics) {
+    if (!metrics) return '';
+    return ['trustworthiness', 'continuity', 'knnRecall', 'spearman']
+      .map(key => `${METRIC_INFO[key].short} ${metrics[key].toFixed(3)}`)
+      .join(' · ') + ` (k = ${metrics.k})`;
+  }
+  
+  /**
+   * Colouring options for a 1D/2D embedding view
+   * @param {object|null} metrics - Metrics of the embedding shown
+   * @returns {object} {scores, scoreLabel} when colouring by neighbourhood
+   *   preservation, {} (colour by label) otherwise
+   */
+  _scoreOptions(metrics) {
+    if (this.colorBy !== 'neighbours' || !metrics?.pointScores) return {};
+    return { scores: metrics.pointScores, scoreLabel: `Neighbours kept (k = ${metrics.k})` };
+  }
+  
+  /**
+   * Label / neighbourhood colouring switch for the embedding views of a step
+   * @param {object|null} metrics - Metrics of the embedding (no switch without scores)
+   * @returns {string} HTML
+   */
+  _renderColorToggle(metrics) {
+    if (!metrics?.pointScores) return '';
+    return `
+      <div class="color-toggle" title="Colour points by cluster label or by the fraction of their ${metrics.k} input-space neighbours that are still neighbours in the embedding">
+        <span>Colour by:</span>
+        <button class="${this.colorBy === 'label' ? 'active' : ''}" data-color-by="label">Label</button>
+        <button class="${this.colorBy === 'neighbours' ? 'active' : ''}" data-color-by="neighbours">Neighbours kept</button>
+      </div>
+    `;
+  }
+  
+  /**
+   * Wire the colouring switches rendered by _renderColorToggle
+   */
+  _bindColorToggle() {
+    document.querySelectorAll('.color-toggle button').forEach(btn => {
+      btn.addEventListener('click', () => this._setColorBy(btn.dataset.colorBy));
+    });
+  }
+  
+  /**
+   * Switch the colouring of the embedding views and redraw the step
+   * (the iteration player keeps its frame)
+   * @param {string} mode - 'label' | 'neighbours'
+   */
+  _setColorBy(mode) {
+    if (mode === this.colorBy) return;
+    this.colorBy = mode;
+    
+    const frame = this.playback?.index;
+    if (this.viewMode === 'live') {
+      this._renderLive();
+    } else {
+      this._updateCurrentStep();
+    }
+    if (frame !== undefined && this.playback) {
+      this._showPlaybackFrame(frame);
+    }
+  }
+  
+  /**
+   * List a run's schedule phases, one line per parameter
+   * @param {object[]} phases - From describeSchedules
+   * @param {number} from - Leave out phases that end before this iteration
+   * @returns {string} HTML list
+   */
+  _describePhases(phases, from = 0) {
+    const names = { exaggeration: 'Exaggeration', learningRate: 'Learning rate', momentum: 'Momentum' };
+    const items = Object.keys(names).map(param => {
+      const schedule = this._describeSchedule(phases, param, from);
+      return schedule ? `<li><strong>${names[param]}:</strong> ${schedule}</li>` : '';
+    });
+    return `<ul>${items.join('')}</ul>`;
+  }
+  
+  /**
+   * Phases of one parameter as a sentence, e.g. "0.5 (iterations 0-249), then 0.8 (250-499)"
+   * @param {object[]} phases - From describeSchedules
+   * @param {string} param - 'exaggeration' | 'learningRate' | 'momentum'
+   * @param {number} from - Leave out phases that end before this iteration
+   * @returns {string} Empty if the parameter has no phases
+   */
+  _describeSchedule(phases, param, from = 0) {
+    const prefix = param === 'exaggeration' ? '×' : '';
+    const format = (phase) => {
+      const value = phase.from === phase.to
+        ? `${prefix}${+phase.from.toFixed(2)}`
+        : `${prefix}${+phase.from.toFixed(2)} → ${prefix}${+phase.to.toFixed(2)}`;
+      return `${value} (iterations ${phase.start}-${phase.end - 1})`;
+    };
+    return phases.filter(phase => phase.param === param && phase.end > from).map(format).join(', then ');
+  }
+  
+  /**
+   * Table of the quality metrics at the start, the end of exaggeration and
+   * the last stored iteration
+   * @param {object[]} frames - Stored iterations
+   * @param {number} exaggerationIter - Iteration at which exaggeration ends
+   * @returns {string} HTML (empty without metrics)
+   */
+  _renderMetricsTrend(frames, exaggerationIter = 100) {
+    const scored = frames.filter(frame => frame.metrics);
+    if (scored.length === 0) return '';
+    
+    const exaggerationEnd = scored.find(frame => frame.iteration >= exaggerationIter);
+    const picks = [...new Set([scored[0], exaggerationEnd, scored[scored.length - 1]].filter(Boolean))];
+    const keys = Object.keys(METRIC_INFO);
+    
+    return `
+      <h3>Embedding Quality</h3>
+      <p>Neighbourhood metrics (k = ${scored[0].metrics.k}) of the stored iterations, shown with each grid panel and in the player. All are 1 for a perfect embedding.</p>
+      <table class="data-table">
+        <tr><th>Iteration</th>${keys.map(key => `<th>${METRIC_INFO[key].name}</th>`).join('')}</tr>
+        ${picks.map(frame => `
+          <tr><td>${frame.iteration}</td>${keys.map(key => `<td>${frame.metrics[key].toFixed(3)}</td>`).join('')}</tr>
+        `).join('')}
+      </table>
+    `;
+  }
+  
+  /**
+   * Cancel the in-flight t-SNE computation
+   */
+  _cancelCompute() {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+  }
+  
+  /**
+   * Restore the previous results after a cancelled or failed run
+   * The previous snapshots and step index are untouched until a run
+   * completes, so only the mode (changed before a recompute) needs reverting.
+   */
+  _restoreAfterCancel() {
+    if (this.computedMode && this.computedMode !== this.currentMode) {
+      this._setMode(this.computedMode);
+    }
     
     this._showLoading(false);
+    
+    if (this.snapshots) {
+      this._updateCurrentStep();
+    }
   }
   
   /**
@@ -343,38 +1034,736 @@ class TSNEVisualizer {
   }
   
   /**
-   * Update display for current step
+   * Update display for current step
+   */
+  _updateCurrentStep() {
+    if (!this.snapshots) return;
+    if (this.viewMode === 'live') {
+      this._renderLive();
+      return;
+    }
+    if (this.viewMode === 'sweep') {
+      this._renderSweep();
+      return;
+    }
+    
+    const snapshot = this.snapshots[this.currentStepIndex];
+    
+    // Update step list highlighting
+    document.querySelectorAll('.step-item').forEach((item, i) => {
+      item.classList.toggle('active', i === this.currentStepIndex);
+    });
+    
+    // Scroll active step into view
+    const activeItem = document.querySelector('.step-item.active');
+    if (activeItem) {
+      activeItem.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+    
+    // Update navigation buttons
+    const prevBtn = document.getElementById('prev-step-btn');
+    const nextBtn = document.getElementById('next-step-btn');
+    if (prevBtn) prevBtn.disabled = this.currentStepIndex === 0;
+    if (nextBtn) nextBtn.disabled = this.currentStepIndex === this.snapshots.length - 1;
+    
+    // Update step counter
+    const counter = document.getElementById('step-counter');
+    if (counter) {
+      counter.textContent = `Step ${this.currentStepIndex + 1} of ${this.snapshots.length}`;
+    }
+    
+    // Render step-specific content
+    this._renderStep(snapshot);
+    this._updateMemoryPanel();
+  }
+  
+  /**
+   * Show the snapshot memory panel when the page is opened with ?debug
+   */
+  _setupMemoryPanel() {
+    const panel = document.getElementById('memory-panel');
+    if (!panel || !new URLSearchParams(window.location.search).has('debug')) return;
+    
+    panel.style.display = '';
+    document.getElementById('memory-evict-btn')?.addEventListener('click', () => {
+      this.snapshotStore?.evictAll();
+      this._updateMemoryPanel();
+    });
+  }
+  
+  /**
+   * Refresh the snapshot memory panel (no-op while it is hidden)
+   */
+  _updateMemoryPanel() {
+    const panel = document.getElementById('memory-panel');
+    const stats = document.getElementById('memory-stats');
+    if (!panel || panel.style.display === 'none' || !stats || !this.snapshotStore) return;
+    
+    const m = this.snapshotStore.getStats();
+    const largest = [...m.steps].sort((a, b) => b.bytes - a.bytes).slice(0, 3);
+    stats.innerHTML = `
+      <div class="memory-row"><span>Resident</span><strong>${formatBytes(m.residentBytes)} / ${formatBytes(m.budgetBytes)}</strong></div>
+      <div class="memory-row"><span>Shared data</span><span>${formatBytes(m.fixedBytes)}</span></div>
+      <div class="memory-row"><span>Recomputable</span><span>${formatBytes(m.recomputableBytes)} (${m.entries - m.evicted}/${m.entries} loaded)</span></div>
+      <div class="memory-row"><span>Evicted</span><span>${formatBytes(m.evictedBytes)}</span></div>
+      <div class="memory-row"><span>Without sharing</span><span>${formatBytes(m.unsharedBytes)}</span></div>
+      <div class="memory-row"><span>Evictions / recomputes</span><span>${m.evictions} / ${m.recomputations}</span></div>
+      <div class="memory-steps">Largest: ${largest.map(step => `${step.title} (${formatBytes(step.bytes)})`).join(', ')}</div>
+    `;
+  }
+  
+  /**
+   * Mount the playback bar of the iteration step
+   * Animates the embedding through every stored iteration, in sync with the
+   * cost chart cursor and the highlighted grid panel.
+   * @param {object[]} frames - Stored iterations ({iteration, embedding, cost})
+   * @param {number[]} labels - Point labels
+   * @param {CostChart} costChart - Chart whose cursor follows the frame
+   */
+  _setupPlayback(frames, labels, costChart) {
+    if (frames.length === 0) return;
+    
+    const dim = frames[0].embedding[0].length;
+    let view;
+    if (dim === 3) {
+      view = this._renderEmbedding3D('#playback-embedding', frames[0].embedding, labels, {
+        width: 420,
+        height: 300
+      });
+    } else if (dim === 1) {
+      view = new NumberLine1D('#playback-embedding', { width: 420, height: 100 });
+    } else {
+      view = new Scatter2D('#playback-embedding', { width: 420, height: 300 });
+    }
+    
+    const controls = createPlaybackControls({
+      onReset: () => this._showPlaybackFrame(0),
+      onStepBack: () => this._showPlaybackFrame(this.playback.index - 1),
+      onPlay: () => this._togglePlayback(),
+      onStep: () => this._showPlaybackFrame(this.playback.index + 1),
+      onFastForward: () => this._showPlaybackFrame(frames.length - 1)
+    });
+    document.getElementById('playback-controls').appendChild(controls);
+    
+    this.playback = { frames, labels, view, costChart, controls, index: 0, timer: null, speed: 1 };
+    
+    document.getElementById('playback-scrubber').addEventListener('input', (e) => {
+      this._pausePlayback();
+      this._showPlaybackFrame(parseInt(e.target.value));
+    });
+    document.getElementById('playback-speed').addEventListener('change', (e) => {
+      this.playback.speed = parseFloat(e.target.value);
+      // Restart the timer at the new rate
+      if (this.playback.timer) {
+        this._pausePlayback();
+        this._togglePlayback();
+      }
+    });
+    
+    this._showPlaybackFrame(0);
+  }
+  
+  /**
+   * Show one stored iteration in the player
+   * @param {number} index - Frame index (clamped to the stored range)
+   */
+  _showPlaybackFrame(index) {
+    if (!this.playback) return;
+    const { frames, labels, view, costChart } = this.playback;
+    
+    index = Math.max(0, Math.min(frames.length - 1, index));
+    this.playback.index = index;
+    const frame = frames[index];
+    const dim = frame.embedding[0].length;
+    
+    view.update(frame.embedding, labels, dim === 3 ? {} : this._scoreOptions(frame.metrics));
+    costChart.setCursor(frame.iteration);
+    
+    document.getElementById('playback-title').textContent =
+      `Iteration ${frame.iteration} · KL ${frame.trueCost.toFixed(4)}`;
+    document.getElementById('playback-metrics').textContent = this._formatMetrics(frame.metrics);
+    document.getElementById('playback-scrubber').value = index;
+    document.querySelectorAll('#iteration-grid .iteration-panel').forEach(panel => {
+      panel.classList.toggle('active', parseInt(panel.dataset.frame) === index);
+    });
+  }
+  
+  /**
+   * Play or pause the iteration player
+   */
+  _togglePlayback() {
+    if (!this.playback) return;
+    if (this.playback.timer) {
+      this._pausePlayback();
+      return;
+    }
+    
+    // Playing from the last frame starts over
+    if (this.playback.index === this.playback.frames.length - 1) {
+      this._showPlaybackFrame(0);
+    }
+    
+    this.playback.timer = setInterval(() => {
+      if (this.playback.index >= this.playback.frames.length - 1) {
+        this._pausePlayback();
+        return;
+      }
+      this._showPlaybackFrame(this.playback.index + 1);
+    }, PLAYBACK_FRAME_MS / this.playback.speed);
+    setPlayingState(this.playback.controls, true);
+  }
+  
+  /**
+   * Pause the iteration player, keeping the current frame
+   */
+  _pausePlayback() {
+    if (!this.playback?.timer) return;
+    clearInterval(this.playback.timer);
+    this.playback.timer = null;
+    setPlayingState(this.playback.controls, false);
+  }
+  
+  /**
+   * Stop and discard the iteration player
+   */
+  _stopPlayback() {
+    this._pausePlayback();
+    this.playback = null;
+  }
+  
+  /**
+   * Find the snapshot of a step type in the current view
+   * In live mode the snapshot is built from the live TSNE state (null if
+   * that step hasn't run yet).
+   * @param {string} stepType - TSNESteps value
+   * @returns {object|null}
+   */
+  _findSnapshot(stepType) {
+    if (this.viewMode === 'live' && this.live) {
+      return this._buildLiveSnapshot(stepType) || null;
+    }
+    return this.snapshots?.find(s => s.stepType === stepType) || null;
+  }
+  
+  /**
+   * Setup the snapshot tour / live / sweep toggle, the live stepping buttons
+   * and the sweep controls
+   */
+  _setupLiveControls() {
+    document.querySelectorAll('#view-buttons .mode-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._setViewMode(btn.dataset.view));
+    });
+    
+    document.getElementById('live-step-btn')?.addEventListener('click', () => {
+      this._liveAdvance(() => this.live.tsne.nextStep());
+    });
+    const iterations = { 'live-iter-btn': 1, 'live-iter10-btn': 10, 'live-finish-btn': Infinity };
+    Object.entries(iterations).forEach(([id, count]) => {
+      document.getElementById(id)?.addEventListener('click', () => this._liveRun(count));
+    });
+    
+    document.getElementById('live-reset-btn')?.addEventListener('click', () => this._startLive());
+    document.getElementById('sweep-run-btn')?.addEventListener('click', () => this._runSweep());
+  }
+  
+  /**
+   * Switch between the precomputed snapshot tour, live mode and the
+   * perplexity sweep
+   * @param {string} mode - 'tour' | 'live' | 'sweep'
+   */
+  _setViewMode(mode) {
+    if (mode === this.viewMode || !this.snapshots || this.isComputing) return;
+    this.viewMode = mode;
+    
+    document.querySelectorAll('#view-buttons .mode-btn').forEach(b => {
+      b.classList.toggle('active', b.dataset.view === mode);
+    });
+    document.getElementById('nav-controls').style.display = mode === 'tour' ? '' : 'none';
+    document.getElementById('live-controls').style.display = mode === 'live' ? '' : 'none';
+    document.getElementById('sweep-controls').style.display = mode === 'sweep' ? '' : 'none';
+    
+    if (mode === 'live') {
+      this._startLive();
+    } else {
+      this._stopLiveRun();
+      this.live = null;
+      this._updateCurrentStep();
+    }
+  }
+  
+  /**
+   * Start a live run on the data and settings of the current snapshots
+   */
+  _startLive() {
+    const inputSnapshot = this.snapshots.find(s => s.stepType === TSNESteps.INPUT_DATA);
+    const intro = this.snapshots.find(s => s.stepType === TSNESteps.INTRO);
+    const { points } = inputSnapshot.data;
+    
+    // The values, schedules and seed the precomputed run applied (the live
+    // engine always computes exact gradients). The seed is the kept run's,
+    // seed + k after restarts, not the seed field, which may have been edited
+    const { applied } = intro.data;
+    const { seed } = this.snapshots.find(s => s.stepType === TSNESteps.INITIALIZE_EMBEDDING).data;
+    const tsne = new TSNE({
+      perplexity: applied.perplexity,
+      learningRate: applied.learningRate,
+      earlyExaggeration: applied.earlyExaggeration,
+      exaggerationIter: applied.earlyExaggerationIter,
+      initialMomentum: applied.initialMomentum,
+      finalMomentum: applied.finalMomentum,
+      momentumSwitchIter: applied.momentumSwitchIter,
+      schedules: applied.schedules,
+      init: applied.init,
+      initScale: applied.initScale,
+      maxIter: applied.maxIterations,
+      targetDim: intro.data.targetDim,
+      seed
+    });
+    tsne.setData(points);
+    
+    this._stopLiveRun();
+    this.live = { tsne, points, labels: inputSnapshot.labels, frame: null };
+    this._renderLive();
+  }
+  
+  /**
+   * Run an action on the live TSNE instance and show the result
+   * @param {function} action - Advances the TSNE state
+   */
+  _liveAdvance(action) {
+    if (!this.live || this.live.tsne.currentStep === LiveSteps.COMPLETE) return;
+    this._stopLiveRun();
+    action();
+    this._renderLive();
+  }
+  
+  /**
+   * Run live iterations in animation frames, each spending at most
+   * LIVE_FRAME_BUDGET_MS on the optimizer (but at least one iteration) and
+   * redrawing the view before the next
+   * @param {number} count - Iterations to run (Infinity = until complete)
+   */
+  _liveRun(count) {
+    if (!this.live || this.live.tsne.currentStep === LiveSteps.COMPLETE) return;
+    this._stopLiveRun();
+    
+    const live = this.live;
+    const { tsne } = live;
+    // Steps before the first iteration count as part of it
+    const targetIter = tsne.iteration + count;
+    
+    const frame = () => {
+      live.frame = null;
+      const deadline = performance.now() + LIVE_FRAME_BUDGET_MS;
+      do {
+        tsne.runIterations(1);
+      } while (tsne.iteration < targetIter && tsne.currentStep !== LiveSteps.COMPLETE && performance.now() < deadline);
+      
+      if (tsne.iteration < targetIter && tsne.currentStep !== LiveSteps.COMPLETE) {
+        live.frame = requestAnimationFrame(frame);
+      }
+      this._renderLive();
+    };
+    live.frame = requestAnimationFrame(frame);
+  }
+  
+  /**
+   * Stop a live run started by _liveRun (the iterations done so far are kept)
+   */
+  _stopLiveRun() {
+    if (this.live?.frame) {
+      cancelAnimationFrame(this.live.frame);
+      this.live.frame = null;
+    }
+  }
+  
+  /**
+   * Render the step the live TSNE instance just executed
+   */
+  _renderLive() {
+    const state = this.live.tsne.getState();
+    const snapshot = this._buildLiveSnapshot(this._liveStepType(state));
+    
+    // Highlight the matching step of the tour
+    const tourIndex = this.snapshots.findIndex(s => s.stepType === snapshot.stepType);
+    document.querySelectorAll('.step-item').forEach((item, i) => {
+      item.classList.toggle('active', i === tourIndex);
+    });
+    
+    const done = state.step === LiveSteps.COMPLETE;
+    ['live-step-btn', 'live-iter-btn', 'live-iter10-btn', 'live-finish-btn'].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = done;
+    });
+    
+    const status = document.getElementById('live-status');
+    if (status) {
+      const cost = state.costHistory[state.costHistory.length - 1];
+      status.textContent = [
+        snapshot.info.title,
+        state.Y ? `iteration ${state.iteration} / ${state.maxIter}` : null,
+        cost ? `KL ${cost.trueCost.toFixed(4)}` : null,
+        this.live.frame ? 'running…' : null
+      ].filter(Boolean).join(' · ');
+    }
+    
+    this._renderStep(snapshot);
+  }
+  
+  /**
+   * Map the last executed live step onto the tour's step types
+   */
+  _liveStepType(state) {
+    if (state.step === LiveSteps.COMPLETE) return TSNESteps.FINAL_RESULT;
+    
+    return {
+      [LiveSteps.INIT]: TSNESteps.INPUT_DATA,
+      [LiveSteps.COMPUTE_DISTANCES]: TSNESteps.COMPUTE_DISTANCES,
+      [LiveSteps.COMPUTE_SIGMAS]: TSNESteps.COMPUTE_SIGMAS,
+      [LiveSteps.COMPUTE_P_CONDITIONAL]: TSNESteps.COMPUTE_P_CONDITIONAL,
+      [LiveSteps.SYMMETRIZE_P]: TSNESteps.SYMMETRIZE_P,
+      [LiveSteps.APPLY_EARLY_EXAGGERATION]: TSNESteps.EARLY_EXAGGERATION,
+      [LiveSteps.INITIALIZE_EMBEDDING]: TSNESteps.INITIALIZE_EMBEDDING,
+      [LiveSteps.COMPUTE_Q]: TSNESteps.COMPUTE_Q,
+      [LiveSteps.COMPUTE_GRADIENT]: TSNESteps.COMPUTE_GRADIENT,
+      [LiveSteps.UPDATE_EMBEDDING]: TSNESteps.UPDATE_EMBEDDING,
+      [LiveSteps.REMOVE_EXAGGERATION]: TSNESteps.REMOVE_EXAGGERATION
+    }[state.lastStep] ?? TSNESteps.INTRO;
+  }
+  
+  /**
+   * Build a snapshot in the tour's format from the live TSNE state, so the
+   * same renderers can show it
+   * @param {string} stepType - TSNESteps value
+   * @returns {object|null} Snapshot, or null if the step hasn't run yet
+   */
+  _buildLiveSnapshot(stepType) {
+    const state = this.live.tsne.getState();
+    const { points, labels } = this.live;
+    const snapshot = data => ({ stepType, info: StepInfo[stepType], data, labels, inputData: points });
+    
+    switch (stepType) {
+      case TSNESteps.INTRO:
+        return snapshot({
+          n: state.n,
+          inputDim: state.inputDim,
+          targetDim: state.targetDim,
+          perplexity: state.perplexity
+        });
+      case TSNESteps.INPUT_DATA:
+        // Same data as the tour, including its PCA projection
+        return this.snapshots.find(s => s.stepType === TSNESteps.INPUT_DATA);
+      case TSNESteps.COMPUTE_DISTANCES:
+        return state.D && snapshot({ sparse: false, distanceMatrix: state.D, ...this._distanceStats(state.D) });
+      case TSNESteps.COMPUTE_SIGMAS:
+        return state.sigmas.length > 0 && snapshot({
+          sigmas: state.sigmas,
+          perplexity: state.perplexity,
+          calibration: state.sigmaCalibration,
+          searchHistory: state.sigmaSearchSteps, // Kept for every point by the live engine
+          avgSigma: state.sigmas.reduce((a, b) => a + b) / state.sigmas.length
+        });
+      case TSNESteps.COMPUTE_P_CONDITIONAL:
+        return state.Pcond && snapshot({
+          P_conditional: state.Pcond,
+          exampleRow: { pointIndex: 0, probabilities: state.Pcond.denseRow(0), sigma: state.sigmas[0] }
+        });
+      case TSNESteps.SYMMETRIZE_P:
+        return state.Porig && snapshot({ P: state.Porig, P_conditional: state.Pcond });
+      case TSNESteps.EARLY_EXAGGERATION:
+        return state.Porig && snapshot({
+          P_exaggerated: state.Porig.scale(state.earlyExaggeration),
+          P_original: state.Porig,
+          exaggerationFactor: state.earlyExaggeration,
+          exaggerationIter: state.exaggerationIter
+        });
+      case TSNESteps.INITIALIZE_EMBEDDING:
+        return state.Y && snapshot({
+          embedding: state.Y,
+          targetDim: state.targetDim,
+          seed: state.seed,
+          init: state.init,
+          initScale: state.initScale,
+          explainedVariance: state.initExplainedVariance
+        });
+      case TSNESteps.COMPUTE_Q:
+        return state.Q && snapshot({ Q: state.Q, embedding: state.Y });
+      case TSNESteps.COMPUTE_GRADIENT:
+        return state.gradient && snapshot({ gradient: state.gradient, P: state.P, Q: state.Q, embedding: state.Y });
+      case TSNESteps.UPDATE_EMBEDDING:
+        return state.gradient && snapshot({
+          embedding: state.Y,
+          gradient: state.gradient,
+          learningRate: state.learningRate,
+          momentum: state.momentum,
+          phases: describeSchedules(state.schedules, 0, state.maxIter),
+          iteration: state.iteration,
+          optimizer: 'momentum',
+          minGain: null,
+          gains: null
+        });
+      case TSNESteps.REMOVE_EXAGGERATION:
+        return state.Y && snapshot({
+          iteration: state.exaggerationIter,
+          phases: describeSchedules(state.schedules, 0, state.maxIter),
+          embedding: state.Y,
+          P: state.Porig
+        });
+      case TSNESteps.FINAL_RESULT: {
+        const costs = state.costHistory.map(c => c.cost);
+        const trueCosts = state.costHistory.map(c => c.trueCost);
+        return snapshot({
+          embedding: state.Y,
+          finalCost: trueCosts[trueCosts.length - 1],
+          costs,
+          trueCosts,
+          optimizer: 'momentum',
+          gains: null,
+          stopInfo: { reason: 'max-iterations', iteration: state.iteration - 1 },
+          phases: describeSchedules(state.schedules, 0, state.iteration),
+          exaggerationEnd: state.exaggerationIter,
+          metrics: this.settings.metrics ? computeEmbeddingMetrics(this.live.points, state.Y, this.settings.metricsK) : null,
+          live: true
+        });
+      }
+      default:
+        // Iteration grids only exist for precomputed runs
+        return null;
+    }
+  }
+  
+  /**
+   * Run the current dataset at each perplexity of the sweep input, one run
+   * after the other in the worker
+   * Only the final result of each run is kept; a cancelled sweep keeps the
+   * runs that had finished.
    */
-  _updateCurrentStep() {
-    if (!this.snapshots) return;
+  async _runSweep() {
+    if (this.isComputing || !this.snapshots) return;
+    
+    const input = document.getElementById('sweep-perplexities');
+    const perplexities = [...new Set(input.value.split(',').map(v => parseFloat(v)).filter(v => v > 0))];
+    if (perplexities.length === 0) {
+      document.getElementById('sweep-status').textContent = 'Enter perplexities separated by commas';
+      return;
+    }
     
-    const snapshot = this.snapshots[this.currentStepIndex];
+    const inputSnapshot = this.snapshots.find(s => s.stepType === TSNESteps.INPUT_DATA);
+    const intro = this.snapshots.find(s => s.stepType === TSNESteps.INTRO);
+    const { points } = inputSnapshot.data;
+    const labels = inputSnapshot.labels;
     
-    // Update step list highlighting
-    document.querySelectorAll('.step-item').forEach((item, i) => {
-      item.classList.toggle('active', i === this.currentStepIndex);
-    });
+    const controller = new AbortController();
+    this.abortController = controller;
+    this._showLoading(true);
     
-    // Scroll active step into view
-    const activeItem = document.querySelector('.step-item.active');
-    if (activeItem) {
-      activeItem.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    const sweep = { perplexities, results: [], failures: [], cancelled: false, labels };
+    this.sweep = sweep;
+    
+    for (const [i, perplexity] of perplexities.entries()) {
+      let result;
+      try {
+        result = await precomputeTSNEInWorker(points, labels, {
+          perplexity,
+          learningRate: this.settings.learningRate,
+          maxIterations: this.settings.maxIterations,
+          sparse: this.settings.sparse,
+          seed: this.settings.seed,
+          init: this.settings.init,
+          optimizer: this.settings.optimizer,
+          earlyStopping: this.settings.earlyStopping,
+          capture: { policy: 'list', list: [] }, // Only the last iteration
+          metrics: this.settings.metrics,
+          metricsK: this.settings.metricsK,
+          ...this._getAdvancedOptions(),
+          ...this._getScheduleOptions(),
+          targetDim: intro.data.targetDim
+        }, {
+          onProgress: (progress) => this._updateLoadingProgress({
+            ...progress,
+            title: `Perplexity ${perplexity} (${i + 1} of ${perplexities.length}): ${progress.title}`
+          }),
+          signal: controller.signal
+        });
+      } catch (error) {
+        // Superseded by a new run, which now owns the overlay
+        if (this.abortController !== controller) return;
+        
+        if (error.name === 'AbortError') {
+          sweep.cancelled = true;
+          break;
+        }
+        
+        // Report the failed perplexity and go on with the others
+        console.error('Perplexity sweep failed:', error);
+        sweep.failures.push({ perplexity, message: error.message || String(error) });
+        continue;
+      }
+      
+      const final = result.snapshots.find(s => s.stepType === TSNESteps.FINAL_RESULT);
+      const applied = result.snapshots.find(s => s.stepType === TSNESteps.INTRO).data.perplexity;
+      sweep.results.push({
+        perplexity,
+        appliedPerplexity: applied,
+        embedding: final.data.embedding,
+        finalCost: final.data.finalCost,
+        iterations: final.data.costs.length,
+        metrics: final.data.metrics
+      });
     }
     
-    // Update navigation buttons
-    const prevBtn = document.getElementById('prev-step-btn');
-    const nextBtn = document.getElementById('next-step-btn');
-    if (prevBtn) prevBtn.disabled = this.currentStepIndex === 0;
-    if (nextBtn) nextBtn.disabled = this.currentStepIndex === this.snapshots.length - 1;
+    if (this.abortController !== controller) return;
+    this.abortController = null;
     
-    // Update step counter
-    const counter = document.getElementById('step-counter');
-    if (counter) {
-      counter.textContent = `Step ${this.currentStepIndex + 1} of ${this.snapshots.length}`;
+    this._showLoading(false);
+    this._renderSweep();
+  }
+  
+  /**
+   * Render the perplexity sweep: one small final embedding per perplexity,
+   * with its KL divergence and quality metrics
+   */
+  _renderSweep() {
+    const vizContainer = document.getElementById('visualization-area');
+    const explanationContainer = document.getElementById('explanation-area');
+    if (!vizContainer || !explanationContainer) return;
+    
+    this._stopPlayback();
+    this._disposeScatter3DViews();
+    this.formulaDisplay.clear();
+    document.querySelectorAll('.step-item').forEach(item => item.classList.remove('active'));
+    
+    const sweep = this.sweep;
+    const results = sweep?.results || [];
+    const failures = sweep?.failures || [];
+    const status = document.getElementById('sweep-status');
+    if (status) {
+      status.textContent = !sweep
+        ? ''
+        : [
+          sweep.cancelled ? `${results.length} of ${sweep.perplexities.length} runs finished (cancelled)` : `${results.length} runs`,
+          failures.length > 0 ? `${failures.length} failed` : ''
+        ].filter(Boolean).join(', ');
     }
     
-    // Render step-specific content
-    this._renderStep(snapshot);
+    const failureList = failures.length > 0 ? `
+      <div class="sweep-failures">
+        ${failures.map(failure => `<p>⚠ <strong>Perplexity ${failure.perplexity} failed:</strong> ${failure.message}</p>`).join('')}
+      </div>
+    ` : '';
+    
+    const intro = `
+      <h2>Perplexity Sweep</h2>
+      <p>Perplexity is the effective number of neighbours each point tries to keep close. Running the same data at several perplexities shows which structure is robust and which is an artefact of one setting:</p>
+      <ul>
+        <li><strong>Low perplexity</strong> (5 or less) only looks at the closest few points: clusters tend to break into small fragments.</li>
+        <li><strong>High perplexity</strong> (50 and above) balances local and global structure: clusters become rounder and their relative positions more meaningful, but fine detail is lost.</li>
+      </ul>
+      <p>Every run uses the current dataset, seed and settings; only the perplexity changes.</p>
+    `;
+    
+    if (results.length === 0) {
+      vizContainer.innerHTML = `
+        <div class="viz-panel">
+          <h4>Perplexity Sweep</h4>
+          ${failureList || '<p class="panel-hint">Enter a comma-separated list of perplexities above and press <em>Run sweep</em>.</p>'}
+        </div>
+      `;
+      explanationContainer.innerHTML = intro;
+      return;
+    }
+    
+    const labels = sweep.labels;
+    const dim = results[0].embedding[0].length;
+    const is1D = dim === 1;
+    const is3D = dim === 3;
+    
+    vizContainer.innerHTML = `
+      <div class="viz-panel">
+        <h4>Final Embeddings by Perplexity</h4>
+        ${failureList}
+        ${is3D ? '' : this._renderColorToggle(results[0].metrics)}
+        <div class="iteration-grid" id="sweep-grid"></div>
+      </div>
+    `;
+    
+    const grid = document.getElementById('sweep-grid');
+    const columns = Math.min(3, Math.ceil(Math.sqrt(results.length)));
+    const plotWidth = Math.max(120, Math.floor(560 / columns) - 20);
+    const plotHeight = Math.round(plotWidth * 0.83);
+    grid.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+    
+    results.forEach((result, idx) => {
+      const clamped = result.appliedPerplexity !== result.perplexity;
+      const panel = document.createElement('div');
+      panel.className = 'iteration-panel';
+      panel.innerHTML = `
+        <div class="iter-header">Perplexity ${result.perplexity}${clamped ? ` (applied ${result.appliedPerplexity})` : ''}</div>
+        <div class="iter-scatter" id="sweep-${idx}"></div>
+        <div class="iter-cost">KL: ${result.finalCost.toFixed(4)} after ${result.iterations} iterations</div>
+        ${result.metrics ? `<div class="iter-cost">${this._formatMetrics(result.metrics)}</div>` : ''}
+      `;
+      grid.appendChild(panel);
+      
+      if (is3D) {
+        this._renderEmbedding3D(`#sweep-${idx}`, result.embedding, labels, {
+          width: plotWidth,
+          height: plotHeight,
+          pointSize: 0.25
+        });
+      } else if (is1D) {
+        const numberLine = new NumberLine1D(`#sweep-${idx}`, { width: plotWidth, height: 50, showLegend: false });
+        numberLine.update(result.embedding, labels, this._scoreOptions(result.metrics));
+      } else {
+        const scatter = new Scatter2D(`#sweep-${idx}`, {
+          width: plotWidth,
+          height: plotHeight,
+          margin: { top: 5, right: 5, bottom: 5, left: 5 },
+          showLegend: false
+        });
+        scatter.update(result.embedding, labels, this._scoreOptions(result.metrics));
+      }
+    });
+    this._bindColorToggle();
+    
+    const keys = Object.keys(METRIC_INFO);
+    const anyClamped = results.some(result => result.appliedPerplexity !== result.perplexity);
+    
+    explanationContainer.innerHTML = `
+      ${intro}
+      
+      <h3>Comparison</h3>
+      <table class="data-table">
+        <tr><th>Perplexity</th><th>Final KL</th>${keys.map(key => `<th>${METRIC_INFO[key].name}</th>`).join('')}</tr>
+        ${results.map(result => `
+          <tr>
+            <td>${result.appliedPerplexity}</td>
+            <td>${result.finalCost.toFixed(4)}</td>
+            ${keys.map(key => `<td>${result.metrics ? result.metrics[key].toFixed(3) : '–'}</td>`).join('')}
+          </tr>
+        `).join('')}
+      </table>
+      <p>The KL divergence is measured against a different P for each perplexity, so it is not a fair way to pick between them: higher perplexities give smoother affinities that are easier to match and usually reach a lower KL. The neighbourhood metrics (k = ${results[0].metrics?.k ?? this.settings.metricsK}) use the same k for every run and can be compared directly.</p>
+      ${anyClamped ? `<p>Perplexities above ${Math.max(...results.map(r => r.appliedPerplexity))} were lowered to that value: with ${results[0].embedding.length} points, each point cannot have more than a third of the others as effective neighbours.</p>` : ''}
+    `;
+  }
+  
+  /**
+   * Min (non-zero), max and mean pairwise distance of a dense distance matrix
+   */
+  _distanceStats(D) {
+    let minDist = Infinity;
+    let maxDist = 0;
+    let sum = 0;
+    for (let i = 0; i < D.rows; i++) {
+      for (let j = i + 1; j < D.cols; j++) {
+        const d = D.get(i, j);
+        if (d < minDist) minDist = d;
+        if (d > maxDist) maxDist = d;
+        sum += d;
+      }
+    }
+    return { minDist, maxDist, avgDist: sum / (D.rows * (D.rows - 1) / 2) };
   }
   
   /**
@@ -386,11 +1775,9 @@ class TSNEVisualizer {
     
     if (!vizContainer || !explanationContainer) return;
     
-    // Clean up 3D scatter if we're not on input data step
-    if (snapshot.stepType !== TSNESteps.INPUT_DATA && this.scatter3D) {
-      this.scatter3D.dispose();
-      this.scatter3D = null;
-    }
+    // Clean up 3D scatter plots and the iteration player from the previous step
+    this._stopPlayback();
+    this._disposeScatter3DViews();
     
     // Clear previous visualizations
     vizContainer.innerHTML = '';
@@ -444,6 +1831,96 @@ class TSNEVisualizer {
   
   // ========== Step Renderers ==========
   
+  /**
+   * Render points with Scatter3D (selected point highlighted, click to select)
+   * @param {string} selector - Container selector
+   * @param {number[][]} points - 3D points
+   * @param {number[]} labels - Cluster labels
+   * @param {object} options - {width, height, gradients}
+   * @returns {Scatter3D}
+   */
+  _renderEmbedding3D(selector, points, labels, options = {}) {
+    // The container may already be gone if the user moved on to another step
+    if (!document.querySelector(selector)) return null;
+    
+    const view = new Scatter3D(selector, {
+      width: options.width,
+      height: options.height,
+      pointSize: options.pointSize,
+      onPointClick: (idx) => {
+        this.selectedPointIndex = idx;
+        document.getElementById('point-selector').value = idx;
+        this._updateCurrentStep();
+      }
+    });
+    this.scatter3DViews.push(view);
+    
+    view.update(points, labels);
+    view.highlightPoint(this.selectedPointIndex);
+    if (options.gradients) view.showGradients(options.gradients);
+    return view;
+  }
+  
+  /**
+   * Dispose all live Scatter3D views
+   */
+  _disposeScatter3DViews() {
+    this.scatter3DViews.forEach(view => view.dispose());
+    this.scatter3DViews = [];
+  }
+  
+  /**
+   * Render an affinity matrix: a heatmap when dense, or a neighbour graph
+   * over the input points when sparse. Returns the visualization.
+   */
+  _renderAffinityMatrix(selector, matrix, labels, options = {}) {
+    if (isSparseMatrix(matrix)) {
+      const inputSnapshot = this._findSnapshot(TSNESteps.INPUT_DATA);
+      const graph = new NeighbourGraph(selector, {
+        width: options.width,
+        height: options.height,
+        edgeColor: options.edgeColor,
+        onPointClick: (idx) => {
+          this.selectedPointIndex = idx;
+          document.getElementById('point-selector').value = idx;
+          this._updateCurrentStep();
+        }
+      });
+      // Graph is drawn over the first two coordinates of the input (or of
+      // its PCA projection for high-dimensional data)
+      const base = inputSnapshot.data.projection || inputSnapshot.data.points;
+      graph.update(base.map(p => [p[0], p[1] ?? 0]), matrix, labels);
+      graph.highlightPoint(this.selectedPointIndex);
+      return graph;
+    }
+    
+    const heatmap = new Heatmap(selector, {
+      width: options.width,
+      height: options.height,
+      title: '',
+      colorScheme: options.colorScheme
+    });
+    heatmap.update(matrix, labels);
+    if (options.highlightRow) heatmap.highlightRow(this.selectedPointIndex);
+    return heatmap;
+  }
+  
+  /**
+   * Distances from point i to the other points, nearest first. In sparse
+   * mode only the k nearest neighbours are known.
+   */
+  _distancesFrom(distanceData, i) {
+    if (distanceData.sparse) {
+      const { indices, distances } = distanceData.neighbours;
+      return indices[i].map((j, r) => ({ j, distance: distances[i][r] }));
+    }
+    
+    return distanceData.distanceMatrix.denseRow(i)
+      .map((d, j) => ({ j, distance: d }))
+      .filter(d => d.j !== i)
+      .sort((a, b) => a.distance - b.distance);
+  }
+  
   _renderIntro(snapshot, vizContainer, explanationContainer) {
     const data = snapshot.data;
     
@@ -469,6 +1946,8 @@ class TSNEVisualizer {
         
         <h3>Perplexity: ${data.perplexity}</h3>
         <p>Perplexity roughly represents "number of effective neighbours". Higher values consider more neighbours.</p>
+        
+        ${data.applied ? this._renderAppliedSettings(data.applied, data.adjustments) : ''}
       </div>
     `;
     
@@ -481,15 +1960,60 @@ class TSNEVisualizer {
     this.formulaDisplay.showFormula('overview', {});
   }
   
+  /**
+   * Table of the settings a run used, with the adjusted ones marked
+   * @param {object} applied - INTRO data.applied
+   * @param {object[]} adjustments - INTRO data.adjustments
+   * @returns {string} HTML
+   */
+  _renderAppliedSettings(applied, adjustments) {
+    const adjusted = new Map(adjustments.map(adjustment => [adjustment.param, adjustment]));
+    const rows = [
+      ['perplexity', 'Perplexity', applied.perplexity],
+      ['learningRate', 'Learning rate', applied.learningRate],
+      ['maxIterations', 'Iterations', applied.maxIterations],
+      ['earlyExaggeration', 'Early exaggeration', `×${applied.earlyExaggeration}`],
+      ['earlyExaggerationIter', 'Exaggeration ends at', `iteration ${applied.earlyExaggerationIter}`],
+      ['momentum', 'Momentum', `${applied.initialMomentum} → ${applied.finalMomentum} at iteration ${applied.momentumSwitchIter}`],
+      ['init', 'Initialization', `${applied.init === 'pca' ? 'PCA' : 'random'}, scale ${applied.initScale}`],
+      ['optimizer', 'Optimizer', OPTIMIZER_NAMES[applied.optimizer]],
+      ['method', 'Gradient', applied.method === 'barnes-hut' ? 'Barnes-Hut' : 'exact'],
+      ['sparse', 'Affinities', applied.sparse ? 'sparse (k nearest neighbours)' : 'dense (all pairs)']
+    ];
+    
+    return `
+      <h3>Settings Applied</h3>
+      <table class="applied-settings">
+        ${rows.map(([param, name, value]) => `
+          <tr class="${adjusted.has(param) ? 'adjusted' : ''}">
+            <td>${name}</td>
+            <td>${value}${adjusted.has(param) ? ` <span class="requested">(asked for ${formatSetting(adjusted.get(param).requested)})</span>` : ''}</td>
+          </tr>
+        `).join('')}
+      </table>
+      ${adjustments.length > 0 ? `
+        <p>Some settings were adjusted to fit the data:</p>
+        <ul>
+          ${adjustments.map(adjustment => `<li><strong>${ADJUSTED_PARAM_NAMES[adjustment.param] || adjustment.param}:</strong> ${adjustment.reason}</li>`).join('')}
+        </ul>
+      ` : ''}
+    `;
+  }
+  
   _renderInputData(snapshot, vizContainer, explanationContainer) {
     const data = snapshot.data;
     const labels = snapshot.labels;
     const i = this.selectedPointIndex;
+    const projected = data.projection !== null;
+    const shownCoords = data.points[i].slice(0, 6).map(v => v.toFixed(2));
+    if (data.dim > 6) shownCoords.push('…');
     
     vizContainer.innerHTML = `
       <div class="viz-grid">
         <div class="viz-panel" id="input-3d-view">
-          <h4>3D Input Data (Interactive - drag to rotate)</h4>
+          <h4>${projected
+            ? `${data.dim}D Input Data - PCA Projection to 3D (drag to rotate)`
+            : `${data.dim}D Input Data (Interactive - drag to rotate)`}</h4>
           <div id="input-scatter-3d"></div>
         </div>
         <div class="viz-panel" id="point-focus">
@@ -505,7 +2029,7 @@ class TSNEVisualizer {
             </div>
             <div class="detail-row">
               <span class="detail-label">Coordinates:</span>
-              <span class="detail-value">(${data.points[i].map(v => v.toFixed(2)).join(', ')})</span>
+              <span class="detail-value">(${shownCoords.join(', ')})</span>
             </div>
           </div>
           <div id="cluster-legend"></div>
@@ -514,24 +2038,11 @@ class TSNEVisualizer {
     `;
     
     // Create true 3D visualization
-    // Dispose of previous 3D scatter if exists
-    if (this.scatter3D) {
-      this.scatter3D.dispose();
-    }
-    
-    this.scatter3D = new Scatter3D('#input-scatter-3d', {
+    this._renderEmbedding3D('#input-scatter-3d', projected ? data.projection : data.points, labels, {
       width: 450,
-      height: 380,
-      onPointClick: (idx) => {
-        this.selectedPointIndex = idx;
-        document.getElementById('point-selector').value = idx;
-        this._updateCurrentStep();
-      }
+      height: 380
     });
     
-    this.scatter3D.update(data.points, labels);
-    this.scatter3D.highlightPoint(i);
-    
     // Cluster legend
     const clusterCounts = {};
     labels.forEach(l => { clusterCounts[l] = (clusterCounts[l] || 0) + 1; });
@@ -548,21 +2059,29 @@ class TSNEVisualizer {
     
     explanationContainer.innerHTML = `
       <h2>Our Input Data</h2>
-      <p>We're visualizing <strong>${data.n} points</strong> in <strong>3D space</strong>.</p>
+      <p>We're visualizing <strong>${data.n} points</strong> in <strong>${data.dim}D space</strong>.</p>
+      
+      ${projected ? `
+        <h3>Looking at ${data.dim}D Data</h3>
+        <p>We can't plot ${data.dim} dimensions directly, so the view shows a <strong>PCA projection</strong> onto the three directions of largest variance. They capture ${(data.explainedVariance.reduce((a, b) => a + b, 0) * 100).toFixed(1)}% of the variance (${data.explainedVariance.map(v => `${(v * 100).toFixed(1)}%`).join(', ')}).</p>
+        <p>Clusters that overlap here may still be well separated in the full ${data.dim}D space - a linear projection throws information away. t-SNE works on the full ${data.dim}D distances.</p>
+      ` : ''}
       
       <h3>Interacting with the 3D View</h3>
       <p><strong>Drag</strong> to rotate, <strong>scroll</strong> to zoom, <strong>click</strong> on points to select them. Each color represents a different cluster.</p>
       
       <h3>Single Point Focus: Point ${i}</h3>
       <p>This point belongs to <strong style="color: ${getLabelColor(labels[i])}">Cluster ${labels[i]}</strong> and is located at:</p>
-      <ul>
-        <li>X = ${data.points[i][0].toFixed(3)}</li>
-        <li>Y = ${data.points[i][1].toFixed(3)}</li>
-        <li>Z = ${data.points[i][2].toFixed(3)}</li>
-      </ul>
+      ${data.dim <= 3 ? `
+        <ul>
+          ${data.points[i].map((v, d) => `<li>${'XYZ'[d]} = ${v.toFixed(3)}</li>`).join('')}
+        </ul>
+      ` : `
+        <p>(${shownCoords.join(', ')}) - the first 6 of its ${data.dim} coordinates.</p>
+      `}
       
       <h3>Cluster Structure</h3>
-      <p>The data contains ${Object.keys(clusterCounts).length} clusters. t-SNE should preserve these clusters in the final 2D/1D embedding.</p>
+      <p>The data contains ${Object.keys(clusterCounts).length} clusters. t-SNE should preserve these clusters in the final embedding.</p>
       
       <div class="tip-box">
         <strong>💡 Tip:</strong> Click on any point in the scatter plot to analyze it, or use the point selector above.
@@ -580,7 +2099,7 @@ class TSNEVisualizer {
     vizContainer.innerHTML = `
       <div class="viz-grid">
         <div class="viz-panel">
-          <h4>Distance Matrix</h4>
+          <h4>${data.sparse ? `k-Nearest-Neighbour Graph (k = ${data.k})` : 'Distance Matrix'}</h4>
           <div id="distance-heatmap"></div>
         </div>
         <div class="viz-panel">
@@ -590,24 +2109,24 @@ class TSNEVisualizer {
       </div>
     `;
     
-    // Distance heatmap
-    const heatmap = new Heatmap('#distance-heatmap', {
+    // Distance heatmap, or the kNN graph (edge weight = 1) in sparse mode
+    const matrix = data.sparse
+      ? SparseMatrix.fromRows(data.neighbours.indices.map(indices => ({ indices, values: indices.map(() => 1) })))
+      : data.distanceMatrix;
+    this._renderAffinityMatrix('#distance-heatmap', matrix, labels, {
       width: 350,
       height: 350,
-      title: '',
-      colorScheme: 'viridis'
+      colorScheme: 'viridis',
+      highlightRow: true
     });
-    heatmap.update(data.distanceMatrix, labels);
-    heatmap.highlightRow(i);
     
     // Distances from selected point
-    const distancesFromI = data.distanceMatrix[i]
-      .map((d, j) => ({ j, distance: d, label: labels[j] }))
-      .filter(d => d.j !== i)
-      .sort((a, b) => a.distance - b.distance);
+    const distancesFromI = this._distancesFrom(data, i)
+      .map(d => ({ ...d, label: labels[d.j] }));
     
     const nearest = distancesFromI.slice(0, 5);
     const farthest = distancesFromI.slice(-3);
+    const farthestTitle = data.sparse ? `Farthest of the ${data.k} Neighbours` : 'Farthest Points';
     
     document.getElementById('distance-from-point').innerHTML = `
       <div class="distance-list">
@@ -620,7 +2139,7 @@ class TSNEVisualizer {
           </div>
         `).join('')}
         
-        <h5 style="margin-top: 15px;">Farthest Points</h5>
+        <h5 style="margin-top: 15px;">${farthestTitle}</h5>
         ${farthest.reverse().map((d, rank) => `
           <div class="distance-item farthest">
             <span class="point-badge" style="background: ${getLabelColor(d.label)}">Point ${d.j}</span>
@@ -649,7 +2168,12 @@ class TSNEVisualizer {
       <h2>Step 1: Compute Pairwise Distances</h2>
       
       <h3>What We're Doing</h3>
-      <p>We calculate the <strong>Euclidean distance</strong> between every pair of points in our 3D dataset.</p>
+      ${data.sparse ? `
+        <p>In sparse mode we only find the <strong>k = ${data.k} nearest neighbours</strong> of each point (k = 3 × perplexity) using a vantage-point tree, instead of all N² pairwise distances.</p>
+        <p>Points beyond the k nearest neighbours would receive a negligible probability anyway, so their affinities are treated as exactly zero.</p>
+      ` : `
+        <p>We calculate the <strong>Euclidean distance</strong> between every pair of points in our ${this._getInputDim()}D dataset.</p>
+      `}
       
       <h3>The Formula</h3>
       <div id="formula-display"></div>
@@ -658,11 +2182,13 @@ class TSNEVisualizer {
       <p>Looking at Point ${i}, we found:</p>
       <ul>
         <li><strong>Nearest neighbour:</strong> Point ${nearest[0].j} at distance ${nearest[0].distance.toFixed(3)}</li>
-        <li><strong>Farthest point:</strong> Point ${farthest[0].j} at distance ${farthest[0].distance.toFixed(3)}</li>
+        <li><strong>${data.sparse ? 'Farthest neighbour' : 'Farthest point'}:</strong> Point ${farthest[0].j} at distance ${farthest[0].distance.toFixed(3)}</li>
       </ul>
       
       <h3>Cluster Perspective</h3>
-      <p>Notice in the heatmap how points within the same cluster (diagonal blocks) have smaller distances (darker colors), while points in different clusters are farther apart.</p>
+      ${data.sparse
+        ? '<p>In the graph, edges connect each point to its nearest neighbours. Almost all edges stay within a cluster, which is why dropping the remaining pairs loses very little.</p>'
+        : '<p>Notice in the heatmap how points within the same cluster (diagonal blocks) have smaller distances (darker colors), while points in different clusters are farther apart.</p>'}
       
       <h3>Overall Statistics</h3>
       <ul>
@@ -678,6 +2204,10 @@ class TSNEVisualizer {
   _renderSigmas(snapshot, vizContainer, explanationContainer) {
     const data = snapshot.data;
     const i = this.selectedPointIndex;
+    const { perplexities, iterations, converged, missed } = data.calibration;
+    const n = data.sigmas.length;
+    const relativeError = (idx) => Math.abs(perplexities[idx] / data.perplexity - 1);
+    const worst = missed.reduce((a, b) => relativeError(b) > relativeError(a) ? b : a, missed[0]);
     
     vizContainer.innerHTML = `
       <div class="viz-grid">
@@ -692,22 +2222,21 @@ class TSNEVisualizer {
       </div>
     `;
     
-    // Binary search visualization for the selected point
-    const searchHistory = data.searchHistory.find(h => h.pointIndex === i);
-    
-    if (searchHistory) {
-      const searchViz = new SigmaSearchViz('#sigma-search-viz', {
-        width: 380,
-        height: 280,
-        title: ''
-      });
-      searchViz.update(searchHistory.history, data.perplexity);
-    } else {
-      document.getElementById('sigma-search-viz').innerHTML = `
-        <p class="info-text">Binary search history available for points 0, 1, 2.</p>
-        <p class="info-text">Point ${i} has σ = ${data.sigmas[i].toFixed(4)}</p>
-      `;
-    }
+    // Binary search visualization for the selected point (the live engine
+    // keeps every history; a precomputed run replays the search on demand)
+    const searchHistory = data.searchHistory ? data.searchHistory[i] : traceSigmaSearch(this.snapshots, i);
+    const searchViz = new SigmaSearchViz('#sigma-search-viz', {
+      width: 380,
+      height: 280,
+      title: ''
+    });
+    searchViz.update(searchHistory, data.perplexity);
+    document.getElementById('sigma-search-viz').insertAdjacentHTML('beforeend', `
+      <p class="info-text ${converged[i] ? '' : 'calibration-missed'}">
+        Perplexity ${perplexities[i].toFixed(3)} after ${iterations[i]} steps:
+        ${converged[i] ? 'target reached' : 'stopped before reaching the target'}
+      </p>
+    `);
     
     // Sigma distribution
     document.getElementById('sigma-distribution').innerHTML = `
@@ -720,6 +2249,10 @@ class TSNEVisualizer {
           <span class="stat-label">Average σ</span>
           <span class="stat-value">${data.avgSigma.toFixed(4)}</span>
         </div>
+        <div class="stat-large">
+          <span class="stat-label">Target Reached</span>
+          <span class="stat-value">${n - missed.length} / ${n}</span>
+        </div>
       </div>
       <div class="sigma-list">
         <h5>All σ Values (sorted)</h5>
@@ -728,9 +2261,10 @@ class TSNEVisualizer {
             .map((s, idx) => ({ s, idx }))
             .sort((a, b) => a.s - b.s)
             .map(({ s, idx }) => `
-              <div class="sigma-bar ${idx === i ? 'highlighted' : ''}" 
+              <div class="sigma-bar ${idx === i ? 'highlighted' : ''} ${converged[idx] ? '' : 'missed'}" 
+                   data-point="${idx}"
                    style="width: ${(s / Math.max(...data.sigmas)) * 100}%"
-                   title="Point ${idx}: σ = ${s.toFixed(4)}">
+                   title="Point ${idx}: σ = ${s.toFixed(4)}, perplexity ${perplexities[idx].toFixed(3)}${converged[idx] ? '' : ' (missed)'}">
                 <span>${idx}</span>
               </div>
             `).join('')}
@@ -738,6 +2272,16 @@ class TSNEVisualizer {
       </div>
     `;
     
+    // Click a bar to inspect that point's search
+    document.querySelectorAll('#sigma-distribution .sigma-bar').forEach(bar => {
+      bar.addEventListener('click', () => {
+        this.selectedPointIndex = parseInt(bar.dataset.point);
+        const selector = document.getElementById('point-selector');
+        if (selector) selector.value = bar.dataset.point;
+        this._updateCurrentStep();
+      });
+    });
+    
     explanationContainer.innerHTML = `
       <h2>Step 2: Find σ Values</h2>
       
@@ -758,7 +2302,12 @@ class TSNEVisualizer {
       </ol>
       
       <h3>Point ${i}'s Result</h3>
-      <p>After binary search, Point ${i} has <strong>σ = ${data.sigmas[i].toFixed(4)}</strong></p>
+      <p>After ${iterations[i]} binary search steps, Point ${i} has <strong>σ = ${data.sigmas[i].toFixed(4)}</strong>, giving a perplexity of ${perplexities[i].toFixed(3)}${converged[i] ? '.' : `, ${(relativeError(i) * 100).toFixed(2)}% off the target: the search gave up after its step limit.`}</p>
+      
+      <h3>Calibration Check</h3>
+      ${missed.length === 0
+        ? `<p>All ${n} searches reached the target perplexity within tolerance, taking at most ${Math.max(...iterations)} steps.</p>`
+        : `<p><strong>${missed.length} of ${n} points</strong> (marked in the σ list) stopped after ${Math.max(...missed.map(idx => iterations[idx]))} steps without reaching the tolerance. The worst is point ${worst} at perplexity ${perplexities[worst].toFixed(3)} (${(relativeError(worst) * 100).toFixed(2)}% off). Tiny misses are harmless; large ones mean a point cannot reach the perplexity at all, e.g. when it has duplicates or fewer distinct neighbours than the perplexity asks for. Click a bar to see that point's search.</p>`}
       
       <h3>Cluster Insight</h3>
       <p>Points in dense clusters typically have <strong>smaller σ</strong> because they have many nearby neighbours. Isolated points need <strong>larger σ</strong> to "reach" their neighbours.</p>
@@ -785,29 +2334,29 @@ class TSNEVisualizer {
       </div>
     `;
     
-    // P conditional heatmap
-    const heatmap = new Heatmap('#p-cond-heatmap', {
+    // P conditional heatmap (neighbour graph when sparse)
+    const sparse = isSparseMatrix(data.P_conditional);
+    this._renderAffinityMatrix('#p-cond-heatmap', data.P_conditional, labels, {
       width: 350,
       height: 350,
-      title: '',
-      colorScheme: 'blues'
+      colorScheme: 'blues',
+      highlightRow: true
     });
-    heatmap.update(data.P_conditional, labels);
-    heatmap.highlightRow(i);
     
     // Gaussian visualization
-    const sigmasSnapshot = this.snapshots.find(s => s.stepType === TSNESteps.COMPUTE_SIGMAS);
-    const distSnapshot = this.snapshots.find(s => s.stepType === TSNESteps.COMPUTE_DISTANCES);
+    const sigmasSnapshot = this._findSnapshot(TSNESteps.COMPUTE_SIGMAS);
+    const distSnapshot = this._findSnapshot(TSNESteps.COMPUTE_DISTANCES);
     
     if (sigmasSnapshot && distSnapshot) {
       const sigma = sigmasSnapshot.data.sigmas[i];
-      const distances = distSnapshot.data.distanceMatrix[i];
-      
-      const points = distances
-        .map((d, j) => ({ distance: d, probability: data.P_conditional[i][j], label: `j=${j}`, color: getLabelColor(labels[j]) }))
-        .filter((_, j) => j !== i)
-        .sort((a, b) => a.distance - b.distance)
-        .slice(0, 10);
+      const points = this._distancesFrom(distSnapshot.data, i)
+        .slice(0, 10)
+        .map(({ j, distance }) => ({
+          distance,
+          probability: data.P_conditional.get(i, j),
+          label: `j=${j}`,
+          color: getLabelColor(labels[j])
+        }));
       
       const gaussian = new GaussianDistribution('#gaussian-viz', {
         width: 380,
@@ -818,7 +2367,7 @@ class TSNEVisualizer {
     }
     
     // Top probabilities
-    const topProbs = data.P_conditional[i]
+    const topProbs = data.P_conditional.denseRow(i)
       .map((p, j) => ({ j, p, label: labels[j] }))
       .filter(d => d.j !== i)
       .sort((a, b) => b.p - a.p)
@@ -842,7 +2391,9 @@ class TSNEVisualizer {
       </ol>
       
       <h3>Matrix Interpretation</h3>
-      <p>The heatmap shows P(j|i) for all pairs. Bright colors = high probability = likely neighbours. Row ${i} is highlighted.</p>
+      ${sparse
+        ? `<p>Only the k nearest neighbours of each point have a non-zero P(j|i), so the matrix is stored sparsely and drawn as a graph. Edges from Point ${i} are thicker for higher probabilities.</p>`
+        : `<p>The heatmap shows P(j|i) for all pairs. Bright colors = high probability = likely neighbours. Row ${i} is highlighted.</p>`}
       
       <div class="tip-box">
         <strong>Note:</strong> This matrix is NOT symmetric! P(j|i) ≠ P(i|j) in general.
@@ -871,25 +2422,27 @@ class TSNEVisualizer {
     `;
     
     // Both heatmaps
-    const condHeatmap = new Heatmap('#p-cond-matrix', {
+    this._renderAffinityMatrix('#p-cond-matrix', data.P_conditional, labels, {
       width: 300,
       height: 300,
       colorScheme: 'blues'
     });
-    condHeatmap.update(data.P_conditional, labels);
     
-    const symHeatmap = new Heatmap('#p-sym-matrix', {
+    this._renderAffinityMatrix('#p-sym-matrix', data.P, labels, {
       width: 300,
       height: 300,
-      colorScheme: 'purples'
+      colorScheme: 'purples',
+      edgeColor: '#9b59b6'
     });
-    symHeatmap.update(data.P, labels);
     
-    // Show specific comparison
-    const j = (i + 1) % labels.length;
-    const pji = data.P_conditional[i][j];
-    const pij = data.P_conditional[j][i];
-    const pSym = data.P[i][j];
+    // Show specific comparison (with the nearest neighbour when sparse,
+    // so the example is not trivially zero)
+    const j = isSparseMatrix(data.P_conditional)
+      ? data.P_conditional.row(i).indices[0]
+      : (i + 1) % labels.length;
+    const pji = data.P_conditional.get(i, j);
+    const pij = data.P_conditional.get(j, i);
+    const pSym = data.P.get(i, j);
     
     explanationContainer.innerHTML = `
       <h2>Step 4: Symmetrize Probabilities</h2>
@@ -927,6 +2480,10 @@ class TSNEVisualizer {
         <li>If i is a neighbour of j, then j should be a neighbour of i</li>
         <li>Produces nicer gradients</li>
       </ul>
+      ${isSparseMatrix(data.P) ? `
+        <h3>Sparse Symmetrization</h3>
+        <p>If j is among i's nearest neighbours but not the other way round, P(i|j) is zero and P<sub>ij</sub> keeps only half of P(j|i). The sparsity pattern of P is the union of both neighbour lists, so each point may end up with more than k neighbours.</p>
+      ` : ''}
     `;
     
     this.formulaDisplay.showFormula('symmetrize', {});
@@ -949,25 +2506,24 @@ class TSNEVisualizer {
       </div>
     `;
     
-    const origHeatmap = new Heatmap('#p-original', {
+    this._renderAffinityMatrix('#p-original', data.P_original, labels, {
       width: 300,
       height: 300,
       colorScheme: 'blues'
     });
-    origHeatmap.update(data.P_original, labels);
     
-    const exagHeatmap = new Heatmap('#p-exaggerated', {
+    this._renderAffinityMatrix('#p-exaggerated', data.P_exaggerated, labels, {
       width: 300,
       height: 300,
-      colorScheme: 'reds'
+      colorScheme: 'reds',
+      edgeColor: '#e74c3c'
     });
-    exagHeatmap.update(data.P_exaggerated, labels);
     
     explanationContainer.innerHTML = `
       <h2>Step 5: Apply Early Exaggeration</h2>
       
       <h3>What is Early Exaggeration?</h3>
-      <p>We multiply all P values by <strong>${data.exaggerationFactor}</strong> during the first 100 iterations.</p>
+      <p>We multiply all P values by <strong>${data.exaggerationFactor}</strong> during the first ${data.exaggerationIter ?? 100} iterations.</p>
       
       <h3>Why Do This?</h3>
       <p>Early exaggeration creates <strong>stronger attractive forces</strong> between neighbours. This helps:</p>
@@ -978,10 +2534,12 @@ class TSNEVisualizer {
       </ul>
       
       <h3>Visual Effect</h3>
-      <p>Compare the two heatmaps - the exaggerated version has much brighter (higher) values. This means neighbours pull on each other ${data.exaggerationFactor}× harder initially.</p>
+      ${isSparseMatrix(data.P_original)
+        ? `<p>The neighbour graph keeps the same edges - exaggeration only scales their weights by ${data.exaggerationFactor}. This means neighbours pull on each other ${data.exaggerationFactor}× harder initially.</p>`
+        : `<p>Compare the two heatmaps - the exaggerated version has much brighter (higher) values. This means neighbours pull on each other ${data.exaggerationFactor}× harder initially.</p>`}
       
       <h3>Later...</h3>
-      <p>After 100 iterations, we'll remove the exaggeration and let the embedding fine-tune with normal forces.</p>
+      <p>After ${data.exaggerationIter ?? 100} iterations, we'll remove the exaggeration and let the embedding fine-tune with normal forces.</p>
     `;
     
     this.formulaDisplay.showFormula('early_exaggeration', { factor: data.exaggerationFactor });
@@ -991,15 +2549,40 @@ class TSNEVisualizer {
     const data = snapshot.data;
     const labels = snapshot.labels;
     const is1D = data.targetDim === 1;
+    const is3D = data.targetDim === 3;
+    const isPCA = data.init === 'pca';
+    const axisNames = ['x', 'y', 'z'].slice(0, data.targetDim);
     
     vizContainer.innerHTML = `
       <div class="viz-single">
-        <h4>Initial Random Embedding (${data.targetDim}D)</h4>
+        <h4>Initial ${isPCA ? 'PCA' : 'Random'} Embedding (${data.targetDim}D)</h4>
         <div id="init-embedding"></div>
+        <div class="stats-box">
+          <div class="stat">
+            <span class="stat-label">Initialization</span>
+            <span class="stat-value">${isPCA ? 'PCA' : 'Random'}</span>
+          </div>
+          ${isPCA ? data.explainedVariance.map((v, k) => `
+            <div class="stat">
+              <span class="stat-label">PC${k + 1} → ${axisNames[k]}</span>
+              <span class="stat-value">${(v * 100).toFixed(1)}% var.</span>
+            </div>
+          `).join('') : `
+            <div class="stat">
+              <span class="stat-label">Distribution</span>
+              <span class="stat-value">N(0, ${data.initScale ?? 0.0001}²)</span>
+            </div>
+          `}
+        </div>
       </div>
     `;
     
-    if (is1D) {
+    if (is3D) {
+      this._renderEmbedding3D('#init-embedding', data.embedding, labels, {
+        width: 500,
+        height: 400
+      });
+    } else if (is1D) {
       const numberLine = new NumberLine1D('#init-embedding', {
         width: 600,
         height: 100,
@@ -1018,22 +2601,42 @@ class TSNEVisualizer {
     explanationContainer.innerHTML = `
       <h2>Step 6: Initialize Low-D Embedding</h2>
       
-      <h3>Starting Point</h3>
-      <p>We initialize all points with <strong>small random values</strong> close to zero. This is our starting configuration in ${data.targetDim}D space.</p>
-      
-      <h3>Why Random?</h3>
-      <ul>
-        <li>We don't want to bias the result toward any particular structure</li>
-        <li>The optimization will move points to their correct positions</li>
-        <li>Different random starts can give slightly different results</li>
-      </ul>
-      
-      <h3>Current State</h3>
-      <p>All ${data.embedding.length} points are clustered near the origin. They look like random noise - no structure yet!</p>
-      <p>Scale: points are initialized with values around ±0.0001</p>
+      ${isPCA ? `
+        <h3>Starting Point: PCA</h3>
+        <p>We project the input onto its top <strong>${data.targetDim} principal component${is1D ? '' : 's'}</strong> - the directions of largest variance - and shrink the result so the first coordinate has a standard deviation of ${data.initScale ?? 0.0001}.</p>
+        
+        <h3>Why PCA?</h3>
+        <ul>
+          <li>The global layout of the data is preserved from the very first iteration</li>
+          <li>Manifolds like the Swiss roll or the helix are much less likely to be torn apart</li>
+          <li>The result is deterministic: the same data always gives the same start</li>
+          <li>Most modern t-SNE implementations (openTSNE, scikit-learn) use PCA init by default</li>
+        </ul>
+        
+        <h3>Current State</h3>
+        <p>All ${data.embedding.length} points sit near the origin, but already arranged like a flattened view of the input. Together the components capture <strong>${(data.explainedVariance.reduce((a, b) => a + b, 0) * 100).toFixed(1)}%</strong> of the input variance.</p>
+      ` : `
+        <h3>Starting Point</h3>
+        <p>We initialize all points with <strong>small random values</strong> close to zero. This is our starting configuration in ${data.targetDim}D space.</p>
+        
+        <h3>Why Random?</h3>
+        <ul>
+          <li>We don't want to bias the result toward any particular structure</li>
+          <li>The optimization will move points to their correct positions</li>
+          <li>Different random starts can give slightly different results</li>
+        </ul>
+        
+        <h3>Current State</h3>
+        <p>All ${data.embedding.length} points are clustered near the origin. They look like random noise - no structure yet!</p>
+        <p>Scale: points are initialized with values around ±${data.initScale ?? 0.0001}</p>
+        <p>Tip: choose <strong>PCA</strong> initialization in the left panel to start from the directions of largest variance instead.</p>
+      `}
+      ${isPCA ? '' : `<p>${data.seed !== null
+        ? `Random seed: <strong>${data.seed}</strong> - running again with the same seed reproduces this exact embedding.`
+        : 'No seed was set, so every run starts from a different random embedding.'}</p>`}
       
       <h3>What's Next</h3>
-      <p>The optimization process will gradually move these points apart, forming clusters that match the original 3D structure.</p>
+      <p>The optimization process will gradually move these points apart, forming clusters that match the original ${this._getInputDim()}D structure.</p>
     `;
     
     this.formulaDisplay.clear();
@@ -1044,6 +2647,8 @@ class TSNEVisualizer {
     const labels = snapshot.labels;
     const i = this.selectedPointIndex;
     
+    const is3D = data.embedding[0].length === 3;
+    
     vizContainer.innerHTML = `
       <div class="viz-grid">
         <div class="viz-panel">
@@ -1054,6 +2659,12 @@ class TSNEVisualizer {
           <h4>Gaussian vs t-Distribution</h4>
           <div id="dist-comparison"></div>
         </div>
+        ${is3D ? `
+          <div class="viz-panel">
+            <h4>Strongest q<sub>ij</sub> from Point ${i} (3D Embedding)</h4>
+            <div id="q-embedding-3d"></div>
+          </div>
+        ` : ''}
       </div>
     `;
     
@@ -1073,6 +2684,17 @@ class TSNEVisualizer {
     distComp.update();
     distComp.highlightTails();
     
+    if (is3D) {
+      const view = this._renderEmbedding3D('#q-embedding-3d', data.embedding, labels, {
+        width: 400,
+        height: 300
+      });
+      // Relative to the row maximum, since normalized q_ij are tiny
+      const qRow = data.Q.denseRow(i);
+      const qMax = Math.max(...qRow);
+      view.showConnections(i, qRow.map(q => q / qMax));
+    }
+    
     explanationContainer.innerHTML = `
       <h2>Step 7: Compute Q Distribution</h2>
       
@@ -1088,7 +2710,7 @@ class TSNEVisualizer {
       </ul>
       
       <h3>The "Crowding Problem"</h3>
-      <p>When we squeeze 3D data into 2D, there's less "room" for points. The t-distribution compensates by allowing distant points to be even further apart.</p>
+      <p>When we squeeze ${this._getInputDim()}D data into ${data.embedding[0].length}D, there's less "room" for points. The t-distribution compensates by allowing distant points to be even further apart.</p>
       
       <h3>Current Q Matrix</h3>
       <p>Since our embedding is still random, the Q matrix doesn't match P well yet. The optimization will fix this.</p>
@@ -1102,6 +2724,8 @@ class TSNEVisualizer {
     const labels = snapshot.labels;
     const i = this.selectedPointIndex;
     
+    const is3D = data.embedding[0].length === 3;
+    
     vizContainer.innerHTML = `
       <div class="viz-single">
         <h4>Gradient Forces</h4>
@@ -1109,16 +2733,25 @@ class TSNEVisualizer {
       </div>
     `;
     
-    const gradField = new GradientField('#gradient-field', {
-      width: 550,
-      height: 450,
-      title: ''
-    });
-    gradField.update(data.embedding, data.gradient, labels);
-    gradField.showForceBreakdown(i, data.embedding, data.P, data.Q, labels);
+    if (is3D) {
+      // Gradient arrows as 3D line segments
+      this._renderEmbedding3D('#gradient-field', data.embedding, labels, {
+        width: 550,
+        height: 450,
+        gradients: data.gradient
+      });
+    } else {
+      const gradField = new GradientField('#gradient-field', {
+        width: 550,
+        height: 450,
+        title: ''
+      });
+      gradField.update(data.embedding, data.gradient, labels);
+      gradField.showForceBreakdown(i, data.embedding, data.P, data.Q, labels);
+    }
     
     // Compute gradient magnitude for selected point
-    const gi = data.gradient[i];
+    const gi = data.gradient.denseRow(i);
     const mag = Math.sqrt(gi.reduce((sum, v) => sum + v * v, 0));
     
     explanationContainer.innerHTML = `
@@ -1138,10 +2771,12 @@ class TSNEVisualizer {
       <p>Magnitude: ${mag.toFixed(4)}</p>
       
       <h3>Visualizing Forces</h3>
-      <p>The arrows show the net force on each point. Longer arrows = stronger gradients = points need to move more.</p>
+      <p>${is3D
+        ? 'The white line segments show the net force on each point (drag to rotate). Longer segments = stronger gradients = points need to move more.'
+        : 'The arrows show the net force on each point. Longer arrows = stronger gradients = points need to move more.'}</p>
       
       <div class="tip-box">
-        <strong>Key Insight:</strong> Points that are neighbours in 3D (high P<sub>ij</sub>) but far apart in 2D (low Q<sub>ij</sub>) experience strong attractive forces.
+        <strong>Key Insight:</strong> Points that are neighbours in the input (high P<sub>ij</sub>) but far apart in the embedding (low Q<sub>ij</sub>) experience strong attractive forces.
       </div>
     `;
     
@@ -1151,17 +2786,51 @@ class TSNEVisualizer {
   _renderUpdate(snapshot, vizContainer, explanationContainer) {
     const data = snapshot.data;
     const labels = snapshot.labels;
+    const useGains = data.optimizer === 'gains';
+    const title = data.iteration > 1 ? `Embedding After Update ${data.iteration}` : 'Embedding After First Update';
     
-    vizContainer.innerHTML = `
+    // Gains at the last captured iteration show where the optimizer ended up
+    const progress = this._findSnapshot(TSNESteps.ITERATION_PROGRESS);
+    const lastIter = progress?.data.iterations[progress.data.iterations.length - 1];
+    
+    vizContainer.innerHTML = useGains ? `
+      <div class="viz-grid">
+        <div class="viz-panel">
+          <h4>${title}</h4>
+          <div id="updated-embedding"></div>
+        </div>
+        <div class="viz-panel">
+          <h4>Adaptive Gains</h4>
+          <div id="gains-first"></div>
+          <div id="gains-last"></div>
+        </div>
+      </div>
+    ` : `
       <div class="viz-single">
-        <h4>Embedding After First Update</h4>
+        <h4>${title}</h4>
         <div id="updated-embedding"></div>
       </div>
     `;
     
+    if (useGains) {
+      new GainsHistogram('#gains-first', { title: 'After the first update' })
+        .update(data.gains, this.selectedPointIndex);
+      if (lastIter?.gains) {
+        new GainsHistogram('#gains-last', { title: `At iteration ${lastIter.iteration}` })
+          .update(lastIter.gains, this.selectedPointIndex);
+      }
+    }
+    
     const is1D = data.embedding[0].length === 1;
+    const is3D = data.embedding[0].length === 3;
     
-    if (is1D) {
+    if (is3D) {
+      this._renderEmbedding3D('#updated-embedding', data.embedding, labels, {
+        width: 500,
+        height: 400,
+        gradients: data.gradient
+      });
+    } else if (is1D) {
       const numberLine = new NumberLine1D('#updated-embedding', {
         width: 600,
         height: 100,
@@ -1186,15 +2855,28 @@ class TSNEVisualizer {
       
       <h3>The Update Rule</h3>
       <div class="formula-box">
-        y<sub>i</sub><sup>(t+1)</sup> = y<sub>i</sub><sup>(t)</sup> + η · ∇C + α · (y<sub>i</sub><sup>(t)</sup> - y<sub>i</sub><sup>(t-1)</sup>)
+        y<sub>i</sub><sup>(t+1)</sup> = y<sub>i</sub><sup>(t)</sup> - η${useGains ? ' · g<sub>i</sub>' : ''} · ∇C + α · (y<sub>i</sub><sup>(t)</sup> - y<sub>i</sub><sup>(t-1)</sup>)
       </div>
       
       <h3>Key Parameters</h3>
       <ul>
-        <li><strong>Learning Rate (η):</strong> ${data.learningRate} - controls step size</li>
-        <li><strong>Momentum (α):</strong> 0.5 initially, 0.8 later - accelerates convergence</li>
+        <li><strong>Learning Rate (η):</strong> ${data.phases ? this._describeSchedule(data.phases, 'learningRate') : data.learningRate} - controls step size</li>
+        <li><strong>Momentum (α):</strong> ${data.phases ? this._describeSchedule(data.phases, 'momentum') : data.momentum} - accelerates convergence</li>
+        ${useGains ? `<li><strong>Minimum gain:</strong> ${data.minGain} - gains never shrink below this</li>` : ''}
       </ul>
       
+      ${useGains ? `
+        <h3>Adaptive Gains</h3>
+        <p>Every coordinate of every point has its own <strong>gain</strong> g that multiplies its step. All gains start at 1:</p>
+        <ul>
+          <li>If the gradient points <strong>against</strong> the direction the point is already moving, the gain grows by <strong>+0.2</strong> - the point is still far from where it wants to be</li>
+          <li>If they agree, the point is overshooting, so the gain shrinks <strong>×0.8</strong> (but never below ${data.minGain})</li>
+        </ul>
+        <p>The histograms show each point's mean gain after the first update${lastIter?.gains ? ` and at iteration ${lastIter.iteration}` : ''}. The dashed line is gain 1 - plain momentum${this.selectedPointIndex !== null ? '; the red marker is the selected point' : ''}.</p>
+      ` : `
+        <p>This run uses plain momentum: every point takes a step proportional to its gradient. Choose the <em>adaptive gains</em> optimizer to give each coordinate its own step size.</p>
+      `}
+      
       <h3>After One Update</h3>
       <p>Points have moved slightly based on the gradient. It's still chaotic, but the optimization has begun!</p>
       
@@ -1202,7 +2884,7 @@ class TSNEVisualizer {
       <p>After each update, we center the embedding (subtract the mean) to prevent drift.</p>
     `;
     
-    this.formulaDisplay.showFormula('update_rule', { lr: data.learningRate });
+    this.formulaDisplay.showFormula(useGains ? 'update_rule_gains' : 'update_rule', { lr: data.learningRate });
   }
   
   _renderIterations(snapshot, vizContainer, explanationContainer) {
@@ -1211,80 +2893,165 @@ class TSNEVisualizer {
     
     // Create grid of iteration snapshots
     const keyIters = data.iterations;
+    const is1D = keyIters[0]?.embedding[0].length === 1;
+    const is3D = keyIters[0]?.embedding[0].length === 3;
     
     vizContainer.innerHTML = `
       <div class="iteration-viewer">
         <div class="iteration-grid" id="iteration-grid"></div>
-        <div class="cost-chart-container">
-          <h4>KL Divergence Over Time</h4>
-          <div id="cost-chart"></div>
+        <div class="playback-column">
+          <div class="playback-panel">
+            <h4 id="playback-title"></h4>
+            <div id="playback-metrics" class="playback-metrics"></div>
+            ${is3D ? '' : this._renderColorToggle(keyIters[0]?.metrics)}
+            <div id="playback-embedding"></div>
+            <div id="playback-controls"></div>
+            <div class="playback-bar">
+              <input type="range" id="playback-scrubber" min="0" max="${keyIters.length - 1}" value="0" step="1">
+              <select id="playback-speed" title="Playback speed">
+                <option value="0.5">0.5×</option>
+                <option value="1" selected>1×</option>
+                <option value="2">2×</option>
+                <option value="4">4×</option>
+              </select>
+            </div>
+          </div>
+          <div class="cost-chart-container">
+            <h4>KL Divergence Over Time</h4>
+            <div id="cost-chart"></div>
+          </div>
         </div>
       </div>
     `;
     
     // Create mini scatter plots for each key iteration
     const grid = document.getElementById('iteration-grid');
-    const is1D = keyIters[0]?.embedding[0].length === 1;
     
-    keyIters.forEach((iter, idx) => {
+    // Thumbnails are thinned out evenly for long schedules (each 3D one holds
+    // a WebGL context); the player still steps through every stored frame
+    const maxThumbnails = is3D ? 12 : 36;
+    const thumbnailFrames = keyIters.length <= maxThumbnails
+      ? keyIters.map((_, idx) => idx)
+      : [...new Set(Array.from({ length: maxThumbnails }, (_, i) =>
+          Math.round(i * (keyIters.length - 1) / (maxThumbnails - 1))))];
+    
+    // Fewer, larger panels for short schedules; more columns for long ones
+    const columns = Math.min(6, Math.max(2, Math.ceil(Math.sqrt(thumbnailFrames.length))));
+    const thumbWidth = Math.max(70, Math.floor(560 / columns) - 20);
+    const thumbHeight = Math.round(thumbWidth * 0.83);
+    grid.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+    
+    thumbnailFrames.forEach(idx => {
+      const iter = keyIters[idx];
       const panel = document.createElement('div');
       panel.className = 'iteration-panel';
+      panel.dataset.frame = idx;
+      panel.addEventListener('click', () => this._showPlaybackFrame(idx));
       panel.innerHTML = `
         <div class="iter-header">Iteration ${iter.iteration}</div>
         <div class="iter-scatter" id="iter-${idx}"></div>
-        <div class="iter-cost">Cost: ${iter.cost.toFixed(4)}</div>
+        <div class="iter-cost">KL: ${iter.trueCost.toFixed(4)}</div>
+        ${iter.metrics ? `<div class="iter-cost">T ${iter.metrics.trustworthiness.toFixed(3)} · kNN ${iter.metrics.knnRecall.toFixed(2)}</div>` : ''}
       `;
       grid.appendChild(panel);
       
       // Small scatter plot
       setTimeout(() => {
-        if (is1D) {
-          const nl = new NumberLine1D(`#iter-${idx}`, { width: 180, height: 50 });
-          nl.update(iter.embedding, labels);
+        if (is3D) {
+          this._renderEmbedding3D(`#iter-${idx}`, iter.embedding, labels, {
+            width: thumbWidth,
+            height: thumbHeight,
+            pointSize: 0.25
+          });
+        } else if (is1D) {
+          const nl = new NumberLine1D(`#iter-${idx}`, { width: thumbWidth, height: 50, showLegend: false });
+          nl.update(iter.embedding, labels, this._scoreOptions(iter.metrics));
         } else {
           const scatter = new Scatter2D(`#iter-${idx}`, { 
-            width: 180, 
-            height: 150,
-            margin: { top: 5, right: 5, bottom: 5, left: 5 }
+            width: thumbWidth, 
+            height: thumbHeight,
+            margin: { top: 5, right: 5, bottom: 5, left: 5 },
+            showLegend: false
           });
-          scatter.update(iter.embedding, labels);
+          scatter.update(iter.embedding, labels, this._scoreOptions(iter.metrics));
         }
       }, 0);
     });
     
-    // Cost chart
-    const costHistory = data.costs.map((cost, i) => ({ iteration: i, cost }));
+    // Cost chart: true KL, with the optimized (exaggerated) objective alongside
+    const costHistory = data.trueCosts.map((cost, i) => ({ iteration: i, cost }));
     const costChart = new CostChart('#cost-chart', {
       width: 500,
       height: 200,
       title: ''
     });
-    costChart.update(costHistory, 100);
-    costChart.showExaggerationLabel();
+    const comparison = this._addOptimizerComparison(costChart, data.optimizer);
+    costChart.setObjective(data.costs.map((cost, i) => ({ iteration: i, cost })), 'Exaggerated objective');
+    costChart.setPhases(data.phases);
+    const exaggerationEnd = data.exaggerationEnd ?? 100;
+    costChart.update(costHistory, exaggerationEnd);
+    if (!data.phases) costChart.showExaggerationLabel();
+    const earlyFactor = data.phases?.find(phase => phase.param === 'exaggeration')?.from ?? 4;
+    const lateExaggeration = data.phases?.filter(phase =>
+      phase.param === 'exaggeration' && phase.start >= exaggerationEnd && (phase.from !== 1 || phase.to !== 1)) || [];
+    
+    this._setupPlayback(keyIters, labels, costChart);
+    this._bindColorToggle();
     
     explanationContainer.innerHTML = `
       <h2>Step 10: Optimization Progress</h2>
       
       <h3>Watching Clusters Form</h3>
       <p>The grid shows the embedding at key iterations. Watch how the random blob transforms into distinct clusters!</p>
+      <p>${CAPTURE_POLICY_NAMES[data.capture?.policy] || CAPTURE_POLICY_NAMES.preset}: ${keyIters.length} iterations were stored${thumbnailFrames.length < keyIters.length ? `, of which ${thumbnailFrames.length} are shown in the grid` : ''}. Change the <em>Snapshots</em> setting to store more or fewer.</p>
       
       <h3>What's Happening</h3>
       <ol>
-        <li><strong>Early iterations (0-50):</strong> Points start spreading out</li>
-        <li><strong>With exaggeration (0-100):</strong> Strong attractive forces pull clusters together</li>
-        <li><strong>After removing exaggeration (100+):</strong> Fine-tuning the positions</li>
-        <li><strong>Late iterations (200+):</strong> Convergence, minimal changes</li>
+        <li><strong>With exaggeration (0-${exaggerationEnd - 1}):</strong> Strong attractive forces pull clusters together</li>
+        <li><strong>After removing exaggeration (${exaggerationEnd}+):</strong> Fine-tuning the positions</li>
+        ${lateExaggeration.map(phase => `
+          <li><strong>Late exaggeration (${phase.start}-${phase.end - 1}):</strong> Clusters are pulled tighter again before the end</li>
+        `).join('')}
+        <li><strong>Last iterations (up to ${data.stopInfo.iteration}):</strong> Convergence, minimal changes</li>
       </ol>
       
+      <h3>Playback</h3>
+      <p>Press <strong>play</strong> to animate the embedding through all ${keyIters.length} stored iterations, or drag the slider to scrub. The red line on the cost chart follows the frame being shown; click a grid panel to jump to it.</p>
+      
       <h3>The Cost (KL Divergence)</h3>
       <p>The cost measures how different Q is from P. Lower = better match = better embedding.</p>
+      <p>The solid line is the true KL(P‖Q) against the un-exaggerated P. The dotted orange line is what the optimizer actually minimizes: while P is exaggerated it sits on a different scale (roughly ${+earlyFactor.toFixed(2)} × KL + ${+earlyFactor.toFixed(2)} log ${+earlyFactor.toFixed(2)}), and it drops onto the solid line when exaggeration ends. Numbers below use the true KL.</p>
       <ul>
-        <li>Initial cost: ${data.costs[0]?.toFixed(4) || 'N/A'}</li>
-        <li>Final cost: ${data.costs[data.costs.length - 1]?.toFixed(4) || 'N/A'}</li>
+        <li>Initial KL: ${data.trueCosts[0]?.toFixed(4) || 'N/A'}</li>
+        <li>Final KL: ${data.trueCosts[data.trueCosts.length - 1]?.toFixed(4) || 'N/A'}</li>
       </ul>
-      
-      <h3>Yellow Zone</h3>
-      <p>The highlighted yellow region shows the early exaggeration phase where P is multiplied by 4.</p>
+      ${this._renderMetricsTrend(keyIters, exaggerationEnd)}
+      
+      ${data.phases ? `
+        <h3>Schedule</h3>
+        <p>The shaded regions of the cost chart are the phases of the run: yellow while P is exaggerated from the start, orange for exaggeration later on. The blue (η) and green (α) lanes along the bottom are the learning rate and momentum phases; hover any of them for its values.</p>
+        ${this._describePhases(data.phases)}
+      ` : `
+        <h3>Yellow Zone</h3>
+        <p>The highlighted yellow region shows the early exaggeration phase where P is multiplied by ${earlyFactor}.</p>
+      `}
+      
+      <h3>When to Stop</h3>
+      <p>${this._describeStop(data.stopInfo)}</p>
+      
+      <h3>Optimizer</h3>
+      ${comparison ? `
+        <p>The dashed line is the same data and settings optimized with <strong>${OPTIMIZER_NAMES[comparison.optimizer]}</strong>, which reached a final KL of ${comparison.costHistory[comparison.costHistory.length - 1].cost.toFixed(4)} (vs ${data.trueCosts[data.trueCosts.length - 1].toFixed(4)} with ${OPTIMIZER_NAMES[data.optimizer]}).</p>
+      ` : `
+        <p>This run used <strong>${OPTIMIZER_NAMES[data.optimizer]}</strong>. Switch the optimizer and compute again with the same settings to compare both cost curves here.</p>
+      `}
+
+      <h3>Gradient Method</h3>
+      ${data.method === 'barnes-hut' ? `
+        <p>With ${labels.length} points, computing every pairwise force each iteration is too slow. The repulsive forces were approximated with a <strong>Barnes-Hut tree</strong> (θ = ${data.theta}): distant groups of points are treated as a single body at their centre of mass. The attractive forces only run over the k nearest neighbours stored in the sparse P, so an iteration costs O(N log N) instead of O(N²).</p>
+      ` : `
+        <p>Every pairwise force was computed exactly, using the full Q matrix shown in the earlier steps.</p>
+      `}
     `;
     
     this.formulaDisplay.showFormula('kl_divergence', {});
@@ -1293,6 +3060,9 @@ class TSNEVisualizer {
   _renderRemoveExaggeration(snapshot, vizContainer, explanationContainer) {
     const data = snapshot.data;
     const labels = snapshot.labels;
+    const momentumPhases = data.phases?.filter(phase => phase.param === 'momentum') || [];
+    const initialMomentum = momentumPhases[0]?.from;
+    const finalMomentum = momentumPhases[momentumPhases.length - 1]?.to;
     
     vizContainer.innerHTML = `
       <div class="viz-single">
@@ -1302,8 +3072,14 @@ class TSNEVisualizer {
     `;
     
     const is1D = data.embedding[0].length === 1;
+    const is3D = data.embedding[0].length === 3;
     
-    if (is1D) {
+    if (is3D) {
+      this._renderEmbedding3D('#post-exag-embedding', data.embedding, labels, {
+        width: 500,
+        height: 400
+      });
+    } else if (is1D) {
       const numberLine = new NumberLine1D('#post-exag-embedding', {
         width: 600,
         height: 100
@@ -1321,7 +3097,7 @@ class TSNEVisualizer {
       <h2>Step 11: Remove Early Exaggeration</h2>
       
       <h3>Switching to Normal Mode</h3>
-      <p>At iteration ${data.iteration}, we stop multiplying P by 4. The forces return to their normal strength.</p>
+      <p>At iteration ${data.iteration}, we stop multiplying P by ${+(data.phases?.find(phase => phase.param === 'exaggeration')?.from ?? 4).toFixed(2)}. The forces return to their normal strength.</p>
       
       <h3>Current State</h3>
       <p>By now, the major cluster structure has formed. The clusters are separated and points within each cluster are grouped.</p>
@@ -1334,8 +3110,11 @@ class TSNEVisualizer {
         <li>The embedding settles into its final configuration</li>
       </ul>
       
-      <h3>Momentum Increase</h3>
-      <p>At iteration 250, momentum increases from 0.5 to 0.8, helping the optimization move faster through flat regions of the cost surface.</p>
+      ${data.phases ? `
+        <h3>Rest of the Schedule</h3>
+        <p>From here on the run follows these phases${finalMomentum > initialMomentum ? ` (momentum rising to ${+finalMomentum.toFixed(2)} helps the optimization move faster through flat regions of the cost surface)` : ''}:</p>
+        ${this._describePhases(data.phases, data.iteration)}
+      ` : ''}
     `;
     
     this.formulaDisplay.clear();
@@ -1344,13 +3123,20 @@ class TSNEVisualizer {
   _renderFinalResult(snapshot, vizContainer, explanationContainer) {
     const data = snapshot.data;
     const labels = snapshot.labels;
+    const metrics = data.metrics;
     
-    const is1D = data.embedding[0].length === 1;
+    const dim = data.embedding[0].length;
+    const inputDim = this._getInputDim();
+    const is1D = dim === 1;
+    const is3D = dim === 3;
+    const otherModes = [1, 2, 3].filter(d => d !== dim).map(d => `${inputDim}D → ${d}D`);
+    const restarts = data.restarts;
     
     vizContainer.innerHTML = `
       <div class="viz-grid final-result">
         <div class="viz-panel">
-          <h4>Final ${is1D ? '1D' : '2D'} Embedding</h4>
+          <h4>Final ${dim}D Embedding</h4>
+          ${is3D ? '' : this._renderColorToggle(metrics)}
           <div id="final-embedding"></div>
         </div>
         <div class="viz-panel">
@@ -1380,60 +3166,144 @@ class TSNEVisualizer {
             <div class="stat-card">
               <div class="stat-icon">📐</div>
               <div class="stat-info">
-                <div class="stat-value">3D → ${is1D ? '1D' : '2D'}</div>
+                <div class="stat-value">${inputDim}D → ${dim}D</div>
                 <div class="stat-label">Dimension Reduction</div>
               </div>
             </div>
+            ${metrics ? `
+              <div class="stat-card">
+                <div class="stat-icon">🎯</div>
+                <div class="stat-info">
+                  <div class="stat-value">${metrics.trustworthiness.toFixed(3)}</div>
+                  <div class="stat-label">Trustworthiness (k = ${metrics.k})</div>
+                </div>
+              </div>
+              <div class="stat-card">
+                <div class="stat-icon">🤝</div>
+                <div class="stat-info">
+                  <div class="stat-value">${(metrics.knnRecall * 100).toFixed(0)}%</div>
+                  <div class="stat-label">Neighbours Kept</div>
+                </div>
+              </div>
+            ` : ''}
           </div>
           <div id="final-cost-chart"></div>
+          ${data.live ? '' : `
+            <div class="continue-run">
+              <label for="more-iterations-input">Run</label>
+              <input type="number" id="more-iterations-input" min="10" max="2000" step="10" value="${this.moreIterations}">
+              <button id="continue-run-btn" class="primary-btn">more iterations</button>
+            </div>
+          `}
         </div>
+        ${restarts ? `
+          <div class="viz-panel restart-strip">
+            <h4>Rejected Restarts (kept: seed ${restarts.seed}, KL ${data.finalCost.toFixed(4)})</h4>
+            <div class="restart-runs">
+              ${restarts.rejected.map((run, i) => `
+                <div class="iteration-panel">
+                  <div class="iter-scatter" id="restart-${i}"></div>
+                  <div class="iter-cost">Seed ${run.seed} · KL ${run.finalCost.toFixed(4)}</div>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        ` : ''}
       </div>
     `;
     
-    if (is1D) {
+    if (is3D) {
+      this._renderEmbedding3D('#final-embedding', data.embedding, labels, {
+        width: 450,
+        height: 380
+      });
+    } else if (is1D) {
       const numberLine = new NumberLine1D('#final-embedding', {
         width: 500,
         height: 120
       });
-      numberLine.update(data.embedding, labels);
+      numberLine.update(data.embedding, labels, this._scoreOptions(metrics));
     } else {
       const scatter = new Scatter2D('#final-embedding', {
         width: 450,
         height: 380
       });
-      scatter.update(data.embedding, labels);
+      scatter.update(data.embedding, labels, this._scoreOptions(metrics));
     }
+    this._bindColorToggle();
+    
+    // Small plots of the runs that lost the best-of selection
+    restarts?.rejected.forEach((run, i) => {
+      if (is3D) {
+        this._renderEmbedding3D(`#restart-${i}`, run.embedding, labels, {
+          width: 140,
+          height: 116,
+          pointSize: 0.25
+        });
+      } else if (is1D) {
+        const nl = new NumberLine1D(`#restart-${i}`, { width: 160, height: 50, showLegend: false });
+        nl.update(run.embedding, labels, this._scoreOptions(run.metrics));
+      } else {
+        const runScatter = new Scatter2D(`#restart-${i}`, {
+          width: 140,
+          height: 116,
+          margin: { top: 5, right: 5, bottom: 5, left: 5 },
+          showLegend: false
+        });
+        runScatter.update(run.embedding, labels, this._scoreOptions(run.metrics));
+      }
+    });
     
-    // Mini cost chart
-    const costHistory = data.costs.map((cost, i) => ({ iteration: i, cost }));
+    // Mini cost chart (true KL)
+    const costHistory = data.trueCosts.map((cost, i) => ({ iteration: i, cost }));
     const costChart = new CostChart('#final-cost-chart', {
       width: 350,
       height: 150,
       title: 'Convergence'
     });
-    costChart.update(costHistory, 100);
-    
-    // Count clusters preserved
-    const clusters = [...new Set(labels)].length;
+    if (!data.live) this._addOptimizerComparison(costChart, data.optimizer);
+    costChart.setObjective(data.costs.map((cost, i) => ({ iteration: i, cost })), 'Exaggerated objective');
+    costChart.setPhases(data.phases);
+    costChart.update(costHistory, data.exaggerationEnd ?? 100);
+    
+    // Continue optimizing without recomputing P
+    const moreInput = document.getElementById('more-iterations-input');
+    document.getElementById('continue-run-btn')?.addEventListener('click', () => {
+      const extra = parseInt(moreInput.value);
+      if (!Number.isFinite(extra) || extra < 1) return;
+      this.moreIterations = extra;
+      this._continueRun(extra);
+    });
     
     explanationContainer.innerHTML = `
       <h2>🎉 Final Result</h2>
       
       <h3>Success!</h3>
-      <p>t-SNE has successfully reduced our ${data.embedding.length}-point dataset from <strong>3D</strong> to <strong>${is1D ? '1D' : '2D'}</strong>.</p>
-      
-      <h3>What We Achieved</h3>
-      <ul>
-        <li><strong>${clusters} clusters</strong> are clearly visible in the embedding</li>
-        <li>Points that were close in 3D remain close in ${is1D ? '1D' : '2D'}</li>
-        <li>Cluster separation is preserved</li>
-      </ul>
+      <p>t-SNE has successfully ${dim >= inputDim ? 're-embedded' : 'reduced'} our ${data.embedding.length}-point dataset from <strong>${inputDim}D</strong> to <strong>${dim}D</strong>.</p>
+      
+      ${metrics ? `
+        <h3>How Faithful Is It?</h3>
+        <p>The KL divergence says how well Q matches P, not how well the layout reflects the data. These metrics compare each point's ${metrics.k} nearest neighbours in ${inputDim}D and in ${dim}D (1 = perfect):</p>
+        <table class="data-table">
+          ${Object.keys(METRIC_INFO).map(key => `
+            <tr>
+              <td>${METRIC_INFO[key].name}</td>
+              <td>${metrics[key].toFixed(3)}</td>
+              <td>${METRIC_INFO[key].meaning}</td>
+            </tr>
+          `).join('')}
+        </table>
+        <p>${metrics.trustworthiness > metrics.spearman + 0.1
+          ? `Local neighbourhoods are kept far better than global distances (Spearman ρ ${metrics.spearman.toFixed(2)}): read the embedding for who is near whom, not for how far apart clusters are.`
+          : `Local neighbourhoods and global distances are preserved to a similar degree.`}</p>
+        ${is3D ? '' : `<p>Switch <strong>Colour by</strong> to <em>Neighbours kept</em> to see where the map lies: red points lost most of their input-space neighbours, green ones kept them.</p>`}
+      ` : ''}
       
       <h3>Final Statistics</h3>
       <table class="data-table">
         <tr>
           <td>Initial KL Divergence</td>
-          <td>${data.costs[0]?.toFixed(4)}</td>
+          <td>${data.trueCosts[0]?.toFixed(4)}</td>
         </tr>
         <tr>
           <td>Final KL Divergence</td>
@@ -1441,16 +3311,34 @@ class TSNEVisualizer {
         </tr>
         <tr>
           <td>Improvement</td>
-          <td>${((1 - data.finalCost / data.costs[0]) * 100).toFixed(1)}%</td>
+          <td>${((1 - data.finalCost / data.trueCosts[0]) * 100).toFixed(1)}%</td>
+        </tr>
+        <tr>
+          <td>Stopped by</td>
+          <td>${STOP_REASON_NAMES[data.stopInfo.reason]}</td>
         </tr>
       </table>
+      <p>${this._describeStop(data.stopInfo)}</p>
+      
+      ${restarts ? `
+        <h3>Best of ${restarts.count} Restarts</h3>
+        <p>The optimization was run ${restarts.count} times from different random starting layouts (seeds ${restarts.seed - restarts.chosen} to ${restarts.seed - restarts.chosen + restarts.count - 1}) and the run with the lowest final KL, seed ${restarts.seed}, is the one shown in every step. The others ended at KL ${restarts.rejected.map(run => run.finalCost.toFixed(4)).join(', ')}.</p>
+        <p>The KL objective is not convex, so each start can settle in a different local minimum: the embedding is not unique. Compare the strip above with the kept result: clusters may swap places or flip, which costs nothing, but a cluster split in two${dim === 1 ? ' (common in 1D, where clusters cannot move past each other)' : ''} is a genuinely worse minimum.</p>
+        ${restarts.rejected.some(run => run.iterations !== data.costs.length) ? '<p>Only the kept run is continued by <em>Run more iterations</em>; the rejected costs are from their own final iteration.</p>' : ''}
+      ` : ''}
+      
+      ${data.live ? '' : `
+        <h3>Not Converged Yet?</h3>
+        <p>If the cost is still falling, use <strong>Run more iterations</strong> to keep optimizing from this embedding. Only the optimization continues - distances, σ values and P are reused - and the new iterations are added to the cost chart and the Optimization Progress grid.</p>
+      `}
       
       <h3>Try Different Settings</h3>
       <p>Go back to the controls and try:</p>
       <ul>
         <li>Different perplexity values</li>
         <li>Different datasets</li>
-        <li>3D → 1D mode</li>
+        <li>${otherModes.join(' or ')} mode</li>
+        ${inputDim <= 3 ? '<li>A higher-dimensional dataset (10D or 64D clusters)</li>' : ''}
       </ul>
       
       <div class="tip-box success">
@@ -1469,8 +3357,58 @@ class TSNEVisualizer {
     if (overlay) {
       overlay.style.display = show ? 'flex' : 'none';
     }
+    if (show) {
+      this._updateLoadingProgress(null);
+    }
     this.isComputing = show;
   }
+  
+  /**
+   * Update the loading overlay with a progress event from the worker
+   * @param {object|null} progress - {phase, title, iteration, totalIterations, cost},
+   *   plus {restart, restarts} when the run is repeated with several seeds
+   */
+  _updateLoadingProgress(progress) {
+    const phaseEl = document.getElementById('loading-phase');
+    const fillEl = document.getElementById('loading-progress-fill');
+    const iterEl = document.getElementById('loading-iteration');
+    const costEl = document.getElementById('loading-cost');
+    
+    if (!progress) {
+      if (phaseEl) phaseEl.textContent = 'Starting...';
+      if (fillEl) fillEl.style.width = '0%';
+      if (iterEl) iterEl.textContent = '';
+      if (costEl) costEl.textContent = '';
+      return;
+    }
+    
+    // Setup phases take a small slice of the bar; iterations fill the rest
+    const setupShare = 0.1;
+    const runFraction = progress.phase === TSNESteps.FINAL_RESULT
+      ? 1
+      : progress.phase === TSNESteps.ITERATION_PROGRESS
+        ? setupShare + (1 - setupShare) * (progress.iteration / progress.totalIterations)
+        : setupShare * 0.5;
+    
+    // Restarts share the bar equally
+    const restarts = progress.restarts || 1;
+    const fraction = ((progress.restart || 0) + runFraction) / restarts;
+    
+    if (phaseEl) {
+      phaseEl.textContent = restarts > 1
+        ? `Restart ${progress.restart + 1} of ${restarts}: ${progress.title}`
+        : progress.title;
+    }
+    if (fillEl) fillEl.style.width = `${(fraction * 100).toFixed(1)}%`;
+    if (iterEl) {
+      iterEl.textContent = progress.phase === TSNESteps.ITERATION_PROGRESS
+        ? `Iteration ${progress.iteration} / ${progress.totalIterations}`
+        : '';
+    }
+    if (costEl) {
+      costEl.textContent = progress.cost !== null ? `KL = ${progress.cost.toFixed(4)}` : '';
+    }
+  }
 }
 
 // Initialize on DOM ready
@@ -175,8 +175,70 @@ function formatPresetName(name) {
   return name.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
 }
 
+/**
+ * Optimizer options of the Advanced section, with the engine's defaults
+ * log: the slider moves in powers of ten
+ */
+export const ADVANCED_PARAMS = [
+  { key: 'earlyExaggeration', label: 'Early Exaggeration', min: 1, max: 20, step: 0.5, defaultValue: 4, format: v => `×${v}` },
+  { key: 'earlyExaggerationIter', label: 'Exaggeration Length', min: 10, max: 500, step: 10, defaultValue: 100 },
+  { key: 'initialMomentum', label: 'Initial Momentum', min: 0, max: 0.95, step: 0.05, defaultValue: 0.5, format: v => v.toFixed(2) },
+  { key: 'finalMomentum', label: 'Final Momentum', min: 0, max: 0.95, step: 0.05, defaultValue: 0.8, format: v => v.toFixed(2) },
+  { key: 'momentumSwitchIter', label: 'Momentum Switch', min: 0, max: 1000, step: 10, defaultValue: 250 },
+  { key: 'initScale', label: 'Init Scale', min: 1e-6, max: 1e-1, log: true, defaultValue: 1e-4, format: v => v.toExponential(0) }
+];
+
+/**
+ * Default values of the Advanced section
+ * @returns {object} Option name → value
+ */
+export function getAdvancedDefaults() {
+  return Object.fromEntries(ADVANCED_PARAMS.map(param => [param.key, param.defaultValue]));
+}
+
+/**
+ * Check the Advanced options against their ranges and the run length
+ * Out-of-range or non-numeric values are replaced; combinations that are
+ * allowed but probably unintended only produce a message.
+ * @param {object} values - Option name → value
+ * @param {object} context - { maxIterations }
+ * @returns {{values: object, messages: string[]}} Values to run with
+ */
+export function validateAdvancedOptions(values, context) {
+  const validated = {};
+  const messages = [];
+  
+  for (const param of ADVANCED_PARAMS) {
+    const value = values[param.key];
+    if (!Number.isFinite(value)) {
+      validated[param.key] = param.defaultValue;
+      messages.push(`${param.label} is not a number; using the default ${param.defaultValue}.`);
+    } else if (value < param.min || value > param.max) {
+      validated[param.key] = Math.min(param.max, Math.max(param.min, value));
+      messages.push(`${param.label} must be between ${param.min} and ${param.max}; using ${validated[param.key]}.`);
+    } else {
+      validated[param.key] = value;
+    }
+  }
+  
+  // Exaggeration against the run length is adjusted by the engine, which
+  // knows the dataset (see validateRunOptions)
+  const { maxIterations } = context;
+  if (validated.momentumSwitchIter >= maxIterations) {
+    messages.push(`The momentum switch is not before the last iteration (${maxIterations}), so the final momentum is never used.`);
+  }
+  if (validated.initialMomentum > validated.finalMomentum) {
+    messages.push('The initial momentum is higher than the final one, so the optimization slows down at the switch.');
+  }
+  
+  return { values: validated, messages };
+}
+
 /**
  * Controls Panel - combines all controls
+ * options.sections picks the sections to show ('dataset', 'tsne', 'advanced',
+ * 'playback'); the Advanced section reports changes through
+ * callbacks.onAdvancedChange(values).
  */
 export class ControlsPanel {
   constructor(container, options = {}) {
@@ -195,6 +257,8 @@ export class ControlsPanel {
       mode: options.mode ?? '2d-1d',
       preset: options.preset ?? 'simple-blobs'
     };
+    this.advancedValues = { ...getAdvancedDefaults(), ...options.advanced };
+    this.sections = options.sections || ['dataset', 'tsne', 'playback'];
     
     this.isPlaying = false;
     
@@ -205,7 +269,16 @@ export class ControlsPanel {
     this.container.innerHTML = '';
     this.container.className = 'controls-panel';
     
-    // Dataset section
+    const renderers = {
+      dataset: () => this._renderDatasetSection(),
+      tsne: () => this._renderTSNESection(),
+      advanced: () => this._renderAdvancedSection(),
+      playback: () => this._renderPlaybackSection()
+    };
+    this.sections.forEach(section => renderers[section]?.());
+  }
+  
+  _renderDatasetSection() {
     const dataSection = document.createElement('div');
     dataSection.className = 'control-section';
     dataSection.innerHTML = '<h3>Dataset</h3>';
@@ -255,8 +328,9 @@ export class ControlsPanel {
     }));
     
     this.container.appendChild(dataSection);
-    
-    // t-SNE parameters section
+  }
+  
+  _renderTSNESection() {
     const tsneSection = document.createElement('div');
     tsneSection.className = 'control-section';
     tsneSection.innerHTML = '<h3>t-SNE Parameters</h3>';
@@ -304,8 +378,51 @@ export class ControlsPanel {
     }));
     
     this.container.appendChild(tsneSection);
+  }
+  
+  /**
+   * Sliders for the Advanced options, their validation messages and a reset
+   */
+  _renderAdvancedSection() {
+    const advancedSection = document.createElement('div');
+    advancedSection.className = 'control-section advanced-section';
+    advancedSection.innerHTML = '<h3>Advanced</h3>';
+    
+    ADVANCED_PARAMS.forEach(param => {
+      const toSlider = v => param.log ? Math.log10(v) : v;
+      const fromSlider = v => param.log ? Math.pow(10, v) : v;
+      const format = param.format || (v => v);
+      
+      advancedSection.appendChild(createSlider({
+        id: `advanced-${param.key}`,
+        label: param.label,
+        min: toSlider(param.min),
+        max: toSlider(param.max),
+        value: toSlider(this.advancedValues[param.key]),
+        step: param.log ? 1 : param.step,
+        formatValue: v => format(fromSlider(v)),
+        onChange: (val) => {
+          this.advancedValues[param.key] = fromSlider(val);
+          if (this.callbacks.onAdvancedChange) this.callbacks.onAdvancedChange(this.getAdvancedValues());
+        }
+      }));
+    });
     
-    // Playback section
+    this.advancedMessages = document.createElement('div');
+    this.advancedMessages.className = 'advanced-messages';
+    advancedSection.appendChild(this.advancedMessages);
+    
+    const resetButton = document.createElement('button');
+    resetButton.className = 'nav-btn';
+    resetButton.textContent = 'Reset to defaults';
+    resetButton.addEventListener('click', () => this.resetAdvanced());
+    advancedSection.appendChild(resetButton);
+    
+    this.container.appendChild(advancedSection);
+    this.advancedSection = advancedSection;
+  }
+  
+  _renderPlaybackSection() {
     const playbackSection = document.createElement('div');
     playbackSection.className = 'control-section playback-section';
     playbackSection.innerHTML = '<h3>Playback</h3>';
@@ -358,6 +475,33 @@ export class ControlsPanel {
     return { ...this.values };
   }
   
+  /**
+   * Get current Advanced option values (unvalidated)
+   */
+  getAdvancedValues() {
+    return { ...this.advancedValues };
+  }
+  
+  /**
+   * Restore the Advanced defaults and report them
+   */
+  resetAdvanced() {
+    this.advancedValues = getAdvancedDefaults();
+    const previous = this.advancedSection;
+    this._renderAdvancedSection();
+    previous.replaceWith(this.advancedSection);
+    if (this.callbacks.onAdvancedChange) this.callbacks.onAdvancedChange(this.getAdvancedValues());
+  }
+  
+  /**
+   * Show validation messages under the Advanced sliders
+   * @param {string[]} messages - One sentence each (none hides the list)
+   */
+  setAdvancedMessages(messages) {
+    if (!this.advancedMessages) return;
+    this.advancedMessages.innerHTML = messages.map(message => `<p>${message}</p>`).join('');
+  }
+  
   /**
    * Set playing state
    */
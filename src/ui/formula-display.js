@@ -35,8 +35,8 @@ const FORMULAS = {
   },
   
   early_exaggeration: {
-    latex: 'p_{ij}^{\\text{early}} = 4 \\cdot p_{ij}',
-    description: 'Multiply P by 4 during early iterations'
+    latex: 'p_{ij}^{\\text{early}} = \\text{factor} \\cdot p_{ij}',
+    description: 'Multiply P by the exaggeration factor during early iterations'
   },
   
   q_distribution: {
@@ -54,6 +54,11 @@ const FORMULAS = {
     description: 'Gradient descent with momentum'
   },
   
+  update_rule_gains: {
+    latex: 'v_i^{(t)} = \\alpha v_i^{(t-1)} - \\eta \\, g_i^{(t)} \\odot \\nabla_i C \\quad g^{(t)} = \\begin{cases} g^{(t-1)} + 0.2 & \\text{sign flip} \\\\ \\max(0.8 \\, g^{(t-1)}, g_{min}) & \\text{otherwise} \\end{cases}',
+    description: 'Momentum with per-coordinate adaptive gains (delta-bar-delta)'
+  },
+  
   kl_divergence: {
     latex: 'C = \\sum_{i} \\sum_{j \\neq i} p_{ij} \\log \\frac{p_{ij}}{q_{ij}}',
     description: 'Kullback-Leibler divergence as cost function'
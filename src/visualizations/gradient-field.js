@@ -101,7 +101,7 @@ export class GradientField {
   /**
    * Update the gradient field visualization
    * @param {number[][]} Y - Current embedding positions
-   * @param {number[][]} gradient - Gradient for each point
+   * @param {Matrix} gradient - Gradient for each point (N x d)
    * @param {number[]} labels - Cluster labels
    * @param {object} options - Additional options
    */
@@ -114,8 +114,8 @@ export class GradientField {
     const data = Y.map((pos, i) => ({
       x: pos[0],
       y: is1D ? 0 : pos[1],
-      gx: gradient ? gradient[i][0] : 0,
-      gy: gradient && gradient[i].length > 1 ? gradient[i][1] : 0,
+      gx: gradient ? gradient.get(i, 0) : 0,
+      gy: gradient && gradient.cols > 1 ? gradient.get(i, 1) : 0,
       label: labels ? labels[i] : 0,
       index: i
     }));
@@ -204,8 +204,8 @@ export class GradientField {
    * Show detailed force breakdown for a single point
    * @param {number} pointIndex - Index of the point to analyze
    * @param {number[][]} Y - All positions
-   * @param {number[][]} P - P matrix
-   * @param {number[][]} Q - Q matrix
+   * @param {Matrix|SparseMatrix} P - P matrix
+   * @param {Matrix} Q - Q matrix
    * @param {number[]} labels - Labels
    */
   showForceBreakdown(pointIndex, Y, P, Q, labels) {
@@ -221,8 +221,8 @@ export class GradientField {
     for (let j = 0; j < Y.length; j++) {
       if (j !== pointIndex) {
         const yj = Y[j];
-        const pij = P[pointIndex][j];
-        const qij = Q[pointIndex][j];
+        const pij = P.get(pointIndex, j);
+        const qij = Q.get(pointIndex, j);
         const diff = pij - qij;
         
         forces.push({
@@ -303,6 +303,7 @@ export class CostChart {
     this.height = options.height || 180;
     this.margin = options.margin || { top: 30, right: 20, bottom: 40, left: 60 };
     this.title = options.title || 'KL Divergence';
+    this.legendLabels = { current: 'True KL', comparison: 'Other run', objective: 'Optimized objective' };
     
     this._createSVG();
   }
@@ -338,6 +339,32 @@ export class CostChart {
     this.yAxisG = this.g.append('g')
       .attr('class', 'y-axis');
     
+    // Schedule phases (see setPhases), underneath every line
+    this.phasesG = this.g.append('g')
+      .attr('class', 'schedule-phases');
+    
+    // Comparison run (drawn underneath the current run)
+    this.comparisonPath = this.g.append('path')
+      .attr('class', 'cost-comparison-line')
+      .attr('fill', 'none')
+      .attr('stroke', '#95a5a6')
+      .attr('stroke-width', 1.5)
+      .attr('stroke-dasharray', '4,3')
+      .style('visibility', 'hidden');
+    
+    // Optimized objective (differs from the main line while P is exaggerated)
+    this.objectivePath = this.g.append('path')
+      .attr('class', 'cost-objective-line')
+      .attr('fill', 'none')
+      .attr('stroke', '#f39c12')
+      .attr('stroke-width', 1.5)
+      .attr('stroke-dasharray', '2,2')
+      .style('visibility', 'hidden');
+    
+    this.legendG = this.svg.append('g')
+      .attr('class', 'legend')
+      .attr('transform', `translate(${this.width - this.margin.right - 120}, ${this.margin.top + 5})`);
+    
     // Path
     this.linePath = this.g.append('path')
       .attr('class', 'cost-line')
@@ -359,6 +386,21 @@ export class CostChart {
       .attr('class', 'exaggeration-phase')
       .attr('fill', 'rgba(241, 196, 15, 0.2)')
       .style('visibility', 'hidden');
+    
+    // Iteration cursor (playback position)
+    this.cursorG = this.g.append('g')
+      .attr('class', 'iteration-cursor')
+      .style('visibility', 'hidden');
+    this.cursorG.append('line')
+      .attr('y1', 0)
+      .attr('y2', this.innerHeight)
+      .attr('stroke', '#e74c3c')
+      .attr('stroke-width', 1.5);
+    this.cursorG.append('text')
+      .attr('y', -4)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '10px')
+      .attr('fill', '#e74c3c');
   }
   
   /**
@@ -368,10 +410,14 @@ export class CostChart {
    */
   update(costHistory, exaggerationEnd = 250) {
     if (!costHistory || costHistory.length === 0) return;
+    this.costHistory = costHistory;
     
-    // Scales
-    const xExtent = d3.extent(costHistory, d => d.iteration);
-    const yExtent = d3.extent(costHistory, d => d.cost);
+    // Scales (shared with the comparison run and objective, if any)
+    const allPoints = costHistory
+      .concat(this.comparison ? this.comparison.costHistory : [])
+      .concat(this.objective ? this.objective.costHistory : []);
+    const xExtent = d3.extent(allPoints, d => d.iteration);
+    const yExtent = d3.extent(allPoints, d => d.cost);
     
     this.xScale = d3.scaleLinear()
       .domain([0, Math.max(xExtent[1], 10)])
@@ -408,6 +454,24 @@ export class CostChart {
       .duration(100)
       .attr('d', line);
     
+    if (this.comparison) {
+      this.comparisonPath
+        .style('visibility', 'visible')
+        .datum(this.comparison.costHistory)
+        .attr('d', line);
+    } else {
+      this.comparisonPath.style('visibility', 'hidden');
+    }
+    
+    if (this.objective) {
+      this.objectivePath
+        .style('visibility', 'visible')
+        .datum(this.objective.costHistory)
+        .attr('d', line);
+    } else {
+      this.objectivePath.style('visibility', 'hidden');
+    }
+    
     // Update current marker
     const lastPoint = costHistory[costHistory.length - 1];
     this.currentMarker
@@ -417,8 +481,11 @@ export class CostChart {
       .attr('cx', this.xScale(lastPoint.iteration))
       .attr('cy', this.yScale(lastPoint.cost));
     
-    // Show exaggeration phase
-    if (exaggerationEnd && exaggerationEnd < xExtent[1]) {
+    // Show the schedule phases, or just the exaggeration phase without them
+    this._drawPhases();
+    if (this.phases) {
+      this.exaggerationRect.style('visibility', 'hidden');
+    } else if (exaggerationEnd && exaggerationEnd < xExtent[1]) {
       this.exaggerationRect
         .style('visibility', 'visible')
         .attr('x', 0)
@@ -430,6 +497,150 @@ export class CostChart {
     }
   }
   
+  /**
+   * Overlay the cost curve of another run (e.g. a different optimizer)
+   * Call before update(); pass null to remove the overlay.
+   * @param {object[]|null} costHistory - Array of {iteration, cost}
+   * @param {object} labels - {current, comparison} legend entries
+   */
+  setComparison(costHistory, labels = {}) {
+    this.comparison = costHistory ? { costHistory } : null;
+    Object.assign(this.legendLabels, labels);
+    this._drawLegend();
+  }
+  
+  /**
+   * Plot the optimized objective as a second series next to the main
+   * (true KL) line; it only differs while early exaggeration is on
+   * Call before update(); pass null to remove it.
+   * @param {object[]|null} costHistory - Array of {iteration, cost}
+   * @param {string} label - Legend entry
+   */
+  setObjective(costHistory, label = this.legendLabels.objective) {
+    this.objective = costHistory ? { costHistory } : null;
+    this.legendLabels.objective = label;
+    this._drawLegend();
+  }
+  
+  /**
+   * Shade the phases of the run's schedules (from describeSchedules)
+   * Exaggerated phases are shaded over the full height; learning rate and
+   * momentum phases get a lane each along the bottom of the plot.
+   * Call before update(); pass null to go back to the single exaggeration band.
+   * @param {object[]|null} phases - Array of {param, start, end, from, to}
+   */
+  setPhases(phases) {
+    this.phases = phases && phases.length > 0 ? phases : null;
+  }
+  
+  /**
+   * Draw the phases set with setPhases (needs the scales from update())
+   */
+  _drawPhases() {
+    this.phasesG.selectAll('*').remove();
+    if (!this.phases) return;
+    
+    const laneHeight = 10;
+    const lanes = { learningRate: 1, momentum: 0 };
+    const symbols = { exaggeration: '×', learningRate: 'η ', momentum: 'α ' };
+    const colors = { learningRate: ['#2980b9', '#5dade2'], momentum: ['#27ae60', '#58d68d'] };
+    const format = v => +v.toFixed(2);
+    const label = phase => phase.from === phase.to
+      ? `${symbols[phase.param]}${format(phase.from)}`
+      : `${symbols[phase.param]}${format(phase.from)}→${format(phase.to)}`;
+    const laneCounts = { learningRate: 0, momentum: 0 };
+    
+    this.phases.forEach(phase => {
+      const x0 = this.xScale(phase.start);
+      const width = Math.max(0, this.xScale(phase.end) - x0);
+      
+      if (phase.param === 'exaggeration') {
+        if (phase.from === 1 && phase.to === 1) return;
+        this.phasesG.append('rect')
+          .attr('x', x0)
+          .attr('y', 0)
+          .attr('width', width)
+          .attr('height', this.innerHeight)
+          .attr('fill', phase.start === 0 ? 'rgba(241, 196, 15, 0.2)' : 'rgba(230, 126, 34, 0.18)')
+          .append('title')
+          .text(`Exaggeration ${label(phase)} (iterations ${phase.start}-${phase.end - 1})`);
+        this.phasesG.append('text')
+          .attr('x', x0 + 4)
+          .attr('y', this.innerHeight - 2 * laneHeight - 6)
+          .attr('font-size', '10px')
+          .attr('fill', '#e67e22')
+          .text(width > 30 ? label(phase) : '');
+        return;
+      }
+      
+      const y = this.innerHeight - (lanes[phase.param] + 1) * laneHeight;
+      const lane = this.phasesG.append('g');
+      lane.append('rect')
+        .attr('x', x0)
+        .attr('y', y)
+        .attr('width', width)
+        .attr('height', laneHeight - 1)
+        .attr('fill', colors[phase.param][laneCounts[phase.param]++ % 2])
+        .attr('opacity', 0.6)
+        .append('title')
+        .text(`${phase.param === 'learningRate' ? 'Learning rate' : 'Momentum'} ${label(phase).trim()} (iterations ${phase.start}-${phase.end - 1})`);
+      if (width > 40) {
+        lane.append('text')
+          .attr('x', x0 + 3)
+          .attr('y', y + laneHeight - 2)
+          .attr('font-size', '8px')
+          .attr('fill', '#fff')
+          .text(label(phase));
+      }
+    });
+  }
+  
+  /**
+   * Legend of the plotted series (hidden when only the main line is shown)
+   */
+  _drawLegend() {
+    this.legendG.selectAll('*').remove();
+    if (!this.comparison && !this.objective) return;
+    
+    const entries = [{ label: this.legendLabels.current, color: '#9b59b6', dash: null }];
+    if (this.objective) {
+      entries.push({ label: this.legendLabels.objective, color: '#f39c12', dash: '2,2' });
+    }
+    if (this.comparison) {
+      entries.push({ label: this.legendLabels.comparison, color: '#95a5a6', dash: '4,3' });
+    }
+    entries.forEach((entry, i) => {
+      this.legendG.append('line')
+        .attr('x1', 0).attr('x2', 20)
+        .attr('y1', i * 14).attr('y2', i * 14)
+        .attr('stroke', entry.color)
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', entry.dash);
+      this.legendG.append('text')
+        .attr('x', 25).attr('y', i * 14 + 4)
+        .attr('font-size', '10px')
+        .text(entry.label);
+    });
+  }
+  
+  /**
+   * Move the iteration cursor (call after update())
+   * @param {number|null} iteration - Iteration to mark, or null to hide the cursor
+   */
+  setCursor(iteration) {
+    if (iteration === null || !this.xScale) {
+      this.cursorG.style('visibility', 'hidden');
+      return;
+    }
+    
+    const x = this.xScale(iteration);
+    this.cursorG
+      .style('visibility', 'visible')
+      .raise();
+    this.cursorG.select('line').attr('x1', x).attr('x2', x);
+    this.cursorG.select('text').attr('x', x).text(iteration);
+  }
+  
   /**
    * Add a label for the exaggeration phase
    */
@@ -449,3 +660,124 @@ export class CostChart {
     this.svg.select('.chart-title').text(title);
   }
 }
+
+/**
+ * Histogram of per-point optimizer gains
+ * Each point's gain is the mean over its embedding coordinates.
+ */
+export class GainsHistogram {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string'
+      ? document.querySelector(container)
+      : container;
+    
+    this.width = options.width || 350;
+    this.height = options.height || 180;
+    this.margin = options.margin || { top: 30, right: 20, bottom: 40, left: 45 };
+    this.title = options.title || 'Per-point Gains';
+    this.bins = options.bins || 20;
+    
+    this._createSVG();
+  }
+  
+  _createSVG() {
+    d3.select(this.container).selectAll('*').remove();
+    
+    this.svg = d3.select(this.container)
+      .append('svg')
+      .attr('width', this.width)
+      .attr('height', this.height)
+      .attr('class', 'gains-histogram');
+    
+    this.svg.append('text')
+      .attr('x', this.width / 2)
+      .attr('y', 18)
+      .attr('text-anchor', 'middle')
+      .attr('class', 'chart-title')
+      .text(this.title);
+    
+    this.g = this.svg.append('g')
+      .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+    
+    this.innerWidth = this.width - this.margin.left - this.margin.right;
+    this.innerHeight = this.height - this.margin.top - this.margin.bottom;
+    
+    this.xAxisG = this.g.append('g')
+      .attr('class', 'x-axis')
+      .attr('transform', `translate(0,${this.innerHeight})`);
+    
+    this.yAxisG = this.g.append('g')
+      .attr('class', 'y-axis');
+    
+    this.barsG = this.g.append('g')
+      .attr('class', 'bars');
+  }
+  
+  /**
+   * Update the histogram
+   * @param {Matrix} gains - N x d gains
+   * @param {number} highlightIndex - Point whose gain is marked (optional)
+   */
+  update(gains, highlightIndex = null) {
+    if (!gains) return;
+    
+    const perPoint = Array.from({ length: gains.rows }, (_, i) =>
+      d3.mean(gains.row(i))
+    );
+    const [lo, hi] = d3.extent(perPoint);
+    
+    // Always include gain 1 (plain momentum) in the domain
+    this.xScale = d3.scaleLinear()
+      .domain([Math.min(lo, 1), Math.max(hi, 1)])
+      .nice()
+      .range([0, this.innerWidth]);
+    
+    const bins = d3.bin()
+      .domain(this.xScale.domain())
+      .thresholds(this.xScale.ticks(this.bins))(perPoint);
+    
+    this.yScale = d3.scaleLinear()
+      .domain([0, d3.max(bins, b => b.length)])
+      .nice()
+      .range([this.innerHeight, 0]);
+    
+    this.xAxisG.call(d3.axisBottom(this.xScale).ticks(6));
+    this.yAxisG.call(d3.axisLeft(this.yScale).ticks(4));
+    
+    this.g.selectAll('.x-label').remove();
+    this.g.append('text')
+      .attr('class', 'x-label')
+      .attr('x', this.innerWidth / 2)
+      .attr('y', this.innerHeight + 35)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '11px')
+      .text('Mean gain');
+    
+    this.barsG.selectAll('*').remove();
+    this.barsG.selectAll('rect')
+      .data(bins)
+      .enter()
+      .append('rect')
+      .attr('x', d => this.xScale(d.x0) + 1)
+      .attr('y', d => this.yScale(d.length))
+      .attr('width', d => Math.max(0, this.xScale(d.x1) - this.xScale(d.x0) - 2))
+      .attr('height', d => this.innerHeight - this.yScale(d.length))
+      .attr('fill', '#1abc9c');
+    
+    // Reference line at gain 1
+    this.barsG.append('line')
+      .attr('x1', this.xScale(1))
+      .attr('x2', this.xScale(1))
+      .attr('y1', 0)
+      .attr('y2', this.innerHeight)
+      .attr('stroke', '#7f8c8d')
+      .attr('stroke-dasharray', '4,4');
+    
+    if (highlightIndex !== null && highlightIndex < perPoint.length) {
+      const x = this.xScale(perPoint[highlightIndex]);
+      this.barsG.append('path')
+        .attr('d', `M${x},${-2} l-5,-8 l10,0 z`)
+        .attr('fill', '#e74c3c');
+    }
+  }
+}
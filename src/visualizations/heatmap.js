@@ -84,13 +84,13 @@ export class Heatmap {
   
   /**
    * Update the heatmap with new matrix data
-   * @param {number[][]} matrix - Square matrix
+   * @param {Matrix} matrix - Square matrix
    * @param {number[]} labels - Optional labels for coloring
    */
   update(matrix, labels = null) {
-    if (!matrix || matrix.length === 0) return;
+    if (!matrix || matrix.rows === 0) return;
     
-    const n = matrix.length;
+    const n = matrix.rows;
     const innerWidth = this.width - this.margin.left - this.margin.right;
     const innerHeight = this.height - this.margin.top - this.margin.bottom;
     
@@ -102,7 +102,7 @@ export class Heatmap {
     let maxVal = 0;
     for (let i = 0; i < n; i++) {
       for (let j = 0; j < n; j++) {
-        const value = matrix[i][j];
+        const value = matrix.get(i, j);
         if (i !== j && value > maxVal) maxVal = value;
         data.push({
           row: i,
@@ -355,8 +355,8 @@ export class MatrixComparison {
   
   /**
    * Update both matrices
-   * @param {number[][]} P - P matrix
-   * @param {number[][]} Q - Q matrix
+   * @param {Matrix} P - P matrix
+   * @param {Matrix} Q - Q matrix
    * @param {number[]} labels - Labels for coloring
    */
   update(P, Q, labels = null) {
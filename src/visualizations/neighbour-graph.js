@@ -0,0 +1,158 @@
+/**
+ * Neighbour Graph Visualization
+ * Renders a sparse (kNN) affinity matrix as a graph over the input points,
+ * used in place of a heatmap when P only stores the nearest neighbours
+ */
+
+import * as d3 from 'd3';
+import { getLabelColor } from '../core/data-generator.js';
+
+/**
+ * Graph of stored affinities drawn over a 2D projection of the points
+ */
+export class NeighbourGraph {
+  constructor(container, options = {}) {
+    this.container = typeof container === 'string'
+      ? document.querySelector(container)
+      : container;
+
+    this.width = options.width || 350;
+    this.height = options.height || 350;
+    this.margin = options.margin || { top: 20, right: 20, bottom: 20, left: 20 };
+    this.title = options.title || '';
+    this.edgeColor = options.edgeColor || '#3498db';
+    this.onPointClick = options.onPointClick || null;
+
+    this._createSVG();
+  }
+
+  _createSVG() {
+    d3.select(this.container).selectAll('*').remove();
+
+    this.svg = d3.select(this.container)
+      .append('svg')
+      .attr('width', this.width)
+      .attr('height', this.height)
+      .attr('class', 'neighbour-graph');
+
+    if (this.title) {
+      this.svg.append('text')
+        .attr('x', this.width / 2)
+        .attr('y', 15)
+        .attr('text-anchor', 'middle')
+        .attr('class', 'chart-title')
+        .text(this.title);
+    }
+
+    this.g = this.svg.append('g')
+      .attr('transform', `translate(${this.margin.left},${this.margin.top})`);
+
+    this.innerWidth = this.width - this.margin.left - this.margin.right;
+    this.innerHeight = this.height - this.margin.top - this.margin.bottom;
+
+    // Layers: all edges, highlighted edges, points
+    this.edgesPath = this.g.append('path')
+      .attr('class', 'graph-edges')
+      .attr('fill', 'none')
+      .attr('stroke', '#95a5a6')
+      .attr('stroke-width', 0.5)
+      .attr('stroke-opacity', 0.35);
+
+    this.highlightG = this.g.append('g').attr('class', 'graph-highlight');
+    this.pointsG = this.g.append('g').attr('class', 'points');
+  }
+
+  /**
+   * Update the graph
+   * @param {number[][]} positions - 2D position of each point
+   * @param {SparseMatrix} matrix - Sparse affinities (edges are the stored entries)
+   * @param {number[]} labels - Cluster labels
+   */
+  update(positions, matrix, labels) {
+    if (!positions || positions.length === 0 || !matrix) return;
+
+    this.positions = positions;
+    this.matrix = matrix;
+
+    const xExtent = d3.extent(positions, p => p[0]);
+    const yExtent = d3.extent(positions, p => p[1]);
+    const xPadding = (xExtent[1] - xExtent[0]) * 0.05 || 1;
+    const yPadding = (yExtent[1] - yExtent[0]) * 0.05 || 1;
+
+    this.xScale = d3.scaleLinear()
+      .domain([xExtent[0] - xPadding, xExtent[1] + xPadding])
+      .range([0, this.innerWidth]);
+
+    this.yScale = d3.scaleLinear()
+      .domain([yExtent[0] - yPadding, yExtent[1] + yPadding])
+      .range([this.innerHeight, 0]);
+
+    // All edges in a single path (thousands of <line>s would be slow)
+    const segments = [];
+    for (let i = 0; i < matrix.n; i++) {
+      const { indices } = matrix.row(i);
+      const x1 = this.xScale(positions[i][0]);
+      const y1 = this.yScale(positions[i][1]);
+      indices.forEach(j => {
+        segments.push(`M${x1},${y1}L${this.xScale(positions[j][0])},${this.yScale(positions[j][1])}`);
+      });
+    }
+    this.edgesPath.attr('d', segments.join(''));
+
+    const data = positions.map((p, i) => ({ x: p[0], y: p[1], label: labels ? labels[i] : 0, index: i }));
+
+    const circles = this.pointsG.selectAll('circle')
+      .data(data, d => d.index);
+
+    circles.enter()
+      .append('circle')
+      .attr('r', 3.5)
+      .attr('stroke', '#fff')
+      .attr('stroke-width', 0.75)
+      .on('click', (event, d) => {
+        if (this.onPointClick) this.onPointClick(d.index);
+      })
+      .merge(circles)
+      .attr('cx', d => this.xScale(d.x))
+      .attr('cy', d => this.yScale(d.y))
+      .attr('fill', d => getLabelColor(d.label));
+
+    circles.exit().remove();
+  }
+
+  /**
+   * Highlight a point and its stored neighbours, with edge width
+   * proportional to the affinity
+   * @param {number} index - Point index (null to clear)
+   */
+  highlightPoint(index) {
+    this.highlightG.selectAll('*').remove();
+
+    if (index === null || !this.matrix) {
+      this.pointsG.selectAll('circle').attr('opacity', 1);
+      return;
+    }
+
+    const { indices, values } = this.matrix.row(index);
+    const maxVal = Math.max(...values, 1e-12);
+    const from = this.positions[index];
+
+    indices.forEach((j, k) => {
+      const to = this.positions[j];
+      this.highlightG.append('line')
+        .attr('x1', this.xScale(from[0]))
+        .attr('y1', this.yScale(from[1]))
+        .attr('x2', this.xScale(to[0]))
+        .attr('y2', this.yScale(to[1]))
+        .attr('stroke', this.edgeColor)
+        .attr('stroke-width', (values[k] / maxVal) * 3 + 0.5)
+        .attr('opacity', 0.8);
+    });
+
+    const neighbours = new Set(indices);
+    this.pointsG.selectAll('circle')
+      .attr('opacity', d => d.index === index || neighbours.has(d.index) ? 1 : 0.25)
+      .attr('r', d => d.index === index ? 7 : 3.5)
+      .attr('stroke', d => d.index === index ? '#000' : '#fff');
+  }
+}
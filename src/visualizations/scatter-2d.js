@@ -6,6 +6,67 @@
 import * as d3 from 'd3';
 import { getLabelColor } from '../core/data-generator.js';
 
+/**
+ * Colour of a per-point score in [0, 1] (red = poor, green = good)
+ */
+export const scoreColor = d3.scaleSequential(d3.interpolateRdYlGn).domain([0, 1]);
+
+let legendId = 0;
+
+/**
+ * Draw a colour bar legend for per-point scores
+ * @param {d3.Selection} svg - SVG to draw into
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {string} title - Legend title
+ * @returns {d3.Selection} The legend group
+ */
+function drawScoreLegend(svg, x, y, title) {
+  const width = 100;
+  const id = `score-gradient-${legendId++}`;
+  
+  const gradient = svg.append('defs').append('linearGradient').attr('id', id);
+  d3.range(0, 1.01, 0.25).forEach(t => {
+    gradient.append('stop').attr('offset', `${t * 100}%`).attr('stop-color', scoreColor(t));
+  });
+  
+  const legend = svg.append('g')
+    .attr('class', 'score-legend')
+    .attr('transform', `translate(${x},${y})`);
+  
+  legend.append('rect')
+    .attr('x', -4)
+    .attr('y', -4)
+    .attr('width', width + 8)
+    .attr('height', 34)
+    .attr('fill', 'rgba(255, 255, 255, 0.85)')
+    .attr('rx', 3);
+  
+  legend.append('text')
+    .attr('y', 6)
+    .attr('font-size', '9px')
+    .attr('fill', '#555')
+    .text(title);
+  
+  legend.append('rect')
+    .attr('y', 10)
+    .attr('width', width)
+    .attr('height', 8)
+    .attr('fill', `url(#${id})`);
+  
+  [0, 0.5, 1].forEach(t => {
+    legend.append('text')
+      .attr('x', t * width)
+      .attr('y', 28)
+      .attr('text-anchor', t === 0 ? 'start' : t === 1 ? 'end' : 'middle')
+      .attr('font-size', '8px')
+      .attr('fill', '#777')
+      .text(t);
+  });
+  
+  return legend;
+}
+
 /**
  * Create a 2D scatter plot
  */
@@ -26,6 +87,7 @@ export class Scatter2D {
     this.onPointClick = options.onPointClick || null;
     this.showGradients = options.showGradients || false;
     this.title = options.title || '';
+    this.showLegend = options.showLegend ?? true; // Colour bar when colouring by score
     
     this._createSVG();
   }
@@ -91,12 +153,15 @@ export class Scatter2D {
    * Update the scatter plot with new data
    * @param {number[][]} points - Array of [x, y] coordinates
    * @param {number[]} labels - Array of cluster labels
-   * @param {object} options - Additional options
+   * @param {object} options - Additional options ({gradients: Matrix,
+   *   scores: per-point values in [0, 1] to colour by instead of the label,
+   *   scoreLabel: legend title})
    */
   update(points, labels, options = {}) {
     if (!points || points.length === 0) return;
     
     const gradients = options.gradients || null;
+    const scores = options.scores || null;
     const is1D = points[0].length === 1;
     
     // Handle 1D data by adding y=0
@@ -105,9 +170,15 @@ export class Scatter2D {
       y: is1D ? 0 : p[1],
       label: labels ? labels[i] : 0,
       index: i,
-      gradient: gradients ? gradients[i] : null
+      gradient: gradients ? gradients.row(i) : null,
+      color: scores ? scoreColor(scores[i]) : getLabelColor(labels ? labels[i] : 0)
     }));
     
+    this.svg.selectAll('.score-legend').remove();
+    if (scores && this.showLegend) {
+      drawScoreLegend(this.svg, this.width - this.margin.right - 104, this.margin.top + 4, options.scoreLabel || 'Score');
+    }
+    
     // Compute scales with padding
     const xExtent = d3.extent(data, d => d.x);
     const yExtent = is1D ? [-1, 1] : d3.extent(data, d => d.y);
@@ -149,7 +220,7 @@ export class Scatter2D {
       .attr('cx', d => this.xScale(d.x))
       .attr('cy', d => this.yScale(d.y))
       .attr('r', 0)
-      .attr('fill', d => getLabelColor(d.label))
+      .attr('fill', d => d.color)
       .attr('stroke', '#fff')
       .attr('stroke-width', 1.5)
       .attr('opacity', 0.8)
@@ -166,7 +237,7 @@ export class Scatter2D {
       .duration(300)
       .attr('cx', d => this.xScale(d.x))
       .attr('cy', d => this.yScale(d.y))
-      .attr('fill', d => getLabelColor(d.label));
+      .attr('fill', d => d.color);
     
     // Exit
     circles.exit()
@@ -321,6 +392,7 @@ export class NumberLine1D {
     this.height = options.height || 80;
     this.margin = options.margin || { top: 20, right: 20, bottom: 30, left: 20 };
     this.title = options.title || '';
+    this.showLegend = options.showLegend ?? true;
     
     this._createSVG();
   }
@@ -358,16 +430,25 @@ export class NumberLine1D {
    * Update the number line with new 1D data
    * @param {number[]} values - Array of 1D values
    * @param {number[]} labels - Array of cluster labels
+   * @param {object} options - {scores, scoreLabel} as for Scatter2D.update
    */
-  update(values, labels) {
+  update(values, labels, options = {}) {
     if (!values || values.length === 0) return;
     
+    const scores = options.scores || null;
     const data = values.map((v, i) => ({
       value: Array.isArray(v) ? v[0] : v,
       label: labels ? labels[i] : 0,
-      index: i
+      index: i,
+      color: scores ? scoreColor(scores[i]) : getLabelColor(labels ? labels[i] : 0)
     }));
     
+    // The legend sits to the right of the title, above the line
+    this.svg.selectAll('.score-legend').remove();
+    if (scores && this.showLegend && this.height >= 100) {
+      drawScoreLegend(this.svg, this.width - this.margin.right - 104, 4, options.scoreLabel || 'Score');
+    }
+    
     const extent = d3.extent(data, d => d.value);
     const padding = (extent[1] - extent[0]) * 0.1 || 1;
     
@@ -401,7 +482,7 @@ export class NumberLine1D {
       .attr('cx', d => this.xScale(d.value))
       .attr('cy', yPos)
       .attr('r', 0)
-      .attr('fill', d => getLabelColor(d.label))
+      .attr('fill', d => d.color)
       .attr('stroke', '#fff')
       .attr('stroke-width', 1.5)
       .transition()
@@ -411,7 +492,8 @@ export class NumberLine1D {
     circles.transition()
       .duration(300)
       .attr('cx', d => this.xScale(d.value))
-      .attr('cy', yPos);
+      .attr('cy', yPos)
+      .attr('fill', d => d.color);
     
     circles.exit()
       .transition()
@@ -199,8 +199,8 @@ export class Scatter3D {
       maxX = Math.max(maxX, p[0]);
       minY = Math.min(minY, p[1]);
       maxY = Math.max(maxY, p[1]);
-      minZ = Math.min(minZ, p[2]);
-      maxZ = Math.max(maxZ, p[2]);
+      minZ = Math.min(minZ, p[2] ?? 0);
+      maxZ = Math.max(maxZ, p[2] ?? 0);
     });
     
     const centerX = (minX + maxX) / 2;
@@ -213,6 +213,10 @@ export class Scatter3D {
     const maxRange = Math.max(rangeX, rangeY, rangeZ);
     const scale = 6 / maxRange; // Fit within a 6-unit cube
     
+    // Keep the transform so overlays (gradients) line up with the points
+    this.center = [centerX, centerY, centerZ];
+    this.scale = scale;
+    
     // Create point spheres
     const geometry = new THREE.SphereGeometry(this.pointSize, 16, 16);
     
@@ -229,7 +233,7 @@ export class Scatter3D {
       mesh.position.set(
         (p[0] - centerX) * scale,
         (p[1] - centerY) * scale,
-        (p[2] - centerZ) * scale
+        ((p[2] ?? 0) - centerZ) * scale
       );
       mesh.userData = { index: i, label: this.labels[i] };
       
@@ -241,6 +245,55 @@ export class Scatter3D {
     this.controls.target.set(0, 0, 0);
   }
   
+  /**
+   * Draw gradient arrows as 3D line segments pointing downhill (-gradient)
+   * @param {Matrix} gradients - Gradient for each point (N x 3)
+   * @param {number} maxLength - Scene length of the longest arrow
+   */
+  showGradients(gradients, maxLength = 1.2) {
+    this.clearGradients();
+    
+    if (!gradients || this.pointMeshes.length === 0) return;
+    
+    let maxMag = 0;
+    for (let i = 0; i < gradients.rows; i++) {
+      const g = gradients.row(i);
+      maxMag = Math.max(maxMag, Math.hypot(g[0], g[1], g[2]));
+    }
+    if (maxMag === 0) return;
+    
+    const k = maxLength / maxMag;
+    const positions = new Float32Array(this.pointMeshes.length * 6);
+    this.pointMeshes.forEach((mesh, i) => {
+      const g = gradients.row(i);
+      const p = mesh.position;
+      positions.set([p.x, p.y, p.z, p.x - g[0] * k, p.y - g[1] * k, p.z - g[2] * k], i * 6);
+    });
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    const material = new THREE.LineBasicMaterial({
+      color: 0xffffff,
+      opacity: 0.7,
+      transparent: true
+    });
+    
+    this.gradientLines = new THREE.LineSegments(geometry, material);
+    this.scene.add(this.gradientLines);
+  }
+  
+  /**
+   * Remove gradient arrows
+   */
+  clearGradients() {
+    if (this.gradientLines) {
+      this.scene.remove(this.gradientLines);
+      this.gradientLines.geometry.dispose();
+      this.gradientLines.material.dispose();
+      this.gradientLines = null;
+    }
+  }
+  
   /**
    * Highlight a specific point
    * @param {number} index - Point index to highlight
@@ -383,7 +436,10 @@ export class Scatter3D {
     });
     
     this.clearConnections();
+    this.clearGradients();
     
+    // Release the WebGL context right away; browsers cap how many can be alive
+    this.renderer.forceContextLoss();
     this.renderer.dispose();
     this.controls.dispose();
     
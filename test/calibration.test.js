@@ -0,0 +1,63 @@
+/**
+ * Perplexity Calibration Checks
+ * The σ search's convergence report, the per-point calibration of a run,
+ * and replaying a point's search from the stored distances.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSigmaForDistances, squaredEuclideanDistance } from '../src/core/math-utils.js';
+import { precomputeTSNE, traceSigmaSearch, TSNESteps } from '../src/core/precomputed-tsne.js';
+import { seededRandom, randomPoints } from './helpers.js';
+
+const points = randomPoints(40, 5, seededRandom(6));
+const distances = points.map(x => squaredEuclideanDistance(points[0], x));
+
+function run(extra) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return precomputeTSNE(points, points.map(() => 0), { perplexity: 8, maxIterations: 20, seed: 1, ...extra }).snapshots;
+  } finally {
+    console.log = log;
+  }
+}
+
+test('a converged search reaches the target perplexity', () => {
+  const result = findSigmaForDistances(distances, 0, 8);
+  assert.ok(result.converged);
+  assert.ok(result.iterations >= 1 && result.iterations <= 50);
+  assert.ok(Math.abs(result.perplexity - 8) < 1e-3);
+});
+
+test('a search cut short reports that it missed', () => {
+  const result = findSigmaForDistances(distances, 0, 8, true, 2);
+  assert.equal(result.converged, false);
+  assert.equal(result.iterations, 2);
+  assert.equal(result.history.length, 2);
+  assert.ok(Math.abs(result.perplexity - 8) > 1e-3);
+});
+
+test('a run records the calibration of every point', () => {
+  for (const sparse of [false, true]) {
+    const { calibration } = run({ sparse }).find(s => s.stepType === TSNESteps.COMPUTE_SIGMAS).data;
+    assert.equal(calibration.perplexities.length, points.length);
+    assert.deepEqual(calibration.missed, calibration.converged.flatMap((ok, i) => ok ? [] : [i]));
+    calibration.perplexities.forEach((perplexity, i) => {
+      if (calibration.converged[i]) assert.ok(Math.abs(perplexity - 8) < 1e-3, `point ${i}`);
+    });
+  }
+});
+
+test('replaying a search ends at the σ the run found', () => {
+  for (const sparse of [false, true]) {
+    const snapshots = run({ sparse });
+    const { sigmas } = snapshots.find(s => s.stepType === TSNESteps.COMPUTE_SIGMAS).data;
+    for (const i of [0, 17, 39]) {
+      const history = traceSigmaSearch(snapshots, i);
+      assert.ok(history.length > 0);
+      // Distances are stored in single precision
+      assert.ok(Math.abs(history[history.length - 1].sigma - sigmas[i]) < 1e-3 * sigmas[i], `${sparse ? 'sparse' : 'dense'} point ${i}`);
+    }
+  }
+});
@@ -0,0 +1,51 @@
+/**
+ * Snapshot Capture Checks
+ * The iterations each capture policy stores, and that a run stores them.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCaptureIterations, precomputeTSNE, TSNESteps } from '../src/core/precomputed-tsne.js';
+import { seededRandom, randomPoints } from './helpers.js';
+
+test('the preset policy keeps the key iterations within the run plus the last one', () => {
+  assert.deepEqual(computeCaptureIterations(120), [0, 5, 10, 25, 50, 75, 100, 119]);
+  assert.deepEqual(computeCaptureIterations(120, { policy: 'unknown' }), computeCaptureIterations(120));
+});
+
+test('every-k stores every k-th iteration from 0 and the last one', () => {
+  assert.deepEqual(computeCaptureIterations(100, { policy: 'every-k', every: 30 }), [0, 30, 60, 90, 99]);
+  assert.deepEqual(computeCaptureIterations(60, { policy: 'every-k' }), [0, 25, 50, 59]);
+});
+
+test('log spacing starts dense and ends at the last iteration', () => {
+  const iterations = computeCaptureIterations(1000, { policy: 'log', count: 10 });
+  assert.equal(iterations[0], 0);
+  assert.equal(iterations[iterations.length - 1], 999);
+  const gaps = iterations.slice(1).map((iter, i) => iter - iterations[i]);
+  assert.ok(gaps[0] < gaps[gaps.length - 1]);
+});
+
+test('all stores every iteration unless there are more than maxFrames', () => {
+  assert.deepEqual(computeCaptureIterations(6, { policy: 'all' }), [0, 1, 2, 3, 4, 5]);
+  const downsampled = computeCaptureIterations(1000, { policy: 'all', maxFrames: 11 });
+  assert.deepEqual(downsampled, [0, 100, 200, 300, 400, 500, 599, 699, 799, 899, 999]);
+});
+
+test('custom lists are sorted, deduplicated and cleared of invalid entries', () => {
+  const list = [40, 3, 3, -1, 2.5, 500, 10];
+  assert.deepEqual(computeCaptureIterations(100, { policy: 'list', list }), [3, 10, 40, 99]);
+});
+
+test('a run stores exactly the iterations of its capture policy', () => {
+  const points = randomPoints(30, 4, seededRandom(2));
+  const labels = points.map(() => 0);
+  const capture = { policy: 'every-k', every: 20 };
+  const log = console.log;
+  console.log = () => {};
+  const { snapshots } = precomputeTSNE(points, labels, { perplexity: 5, maxIterations: 90, seed: 1, capture });
+  console.log = log;
+
+  const progress = snapshots.find(s => s.stepType === TSNESteps.ITERATION_PROGRESS).data;
+  assert.deepEqual(progress.iterations.map(s => s.iteration), computeCaptureIterations(90, capture));
+});
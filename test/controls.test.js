@@ -0,0 +1,55 @@
+/**
+ * Advanced Option Checks
+ * Defaults of the Advanced section and the validation of its values.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADVANCED_PARAMS, getAdvancedDefaults, validateAdvancedOptions } from '../src/ui/controls.js';
+
+test('the defaults are the engine defaults of every option', () => {
+  const defaults = getAdvancedDefaults();
+  assert.deepEqual(Object.keys(defaults), ADVANCED_PARAMS.map(param => param.key));
+  assert.equal(defaults.earlyExaggerationIter, 100);
+  assert.equal(defaults.initialMomentum, 0.5);
+  assert.equal(defaults.finalMomentum, 0.8);
+  assert.equal(defaults.momentumSwitchIter, 250);
+  assert.equal(defaults.initScale, 1e-4);
+});
+
+test('valid defaults pass without messages', () => {
+  const { values, messages } = validateAdvancedOptions(getAdvancedDefaults(), { maxIterations: 500 });
+  assert.deepEqual(values, getAdvancedDefaults());
+  assert.deepEqual(messages, []);
+});
+
+test('out-of-range values are clamped and non-numbers reset to the default', () => {
+  const { values, messages } = validateAdvancedOptions(
+    { ...getAdvancedDefaults(), earlyExaggeration: 50, initialMomentum: -1, initScale: NaN },
+    { maxIterations: 500 }
+  );
+  assert.equal(values.earlyExaggeration, 20);
+  assert.equal(values.initialMomentum, 0);
+  assert.equal(values.initScale, 1e-4);
+  assert.equal(messages.length, 3);
+});
+
+test('exaggeration outlasting the run is left to the engine', () => {
+  const { values, messages } = validateAdvancedOptions(
+    { ...getAdvancedDefaults(), earlyExaggerationIter: 300, momentumSwitchIter: 100 },
+    { maxIterations: 200 }
+  );
+  assert.equal(values.earlyExaggerationIter, 300);
+  assert.deepEqual(messages, []);
+});
+
+test('unusual momentum settings are kept but reported', () => {
+  const { values, messages } = validateAdvancedOptions(
+    { ...getAdvancedDefaults(), initialMomentum: 0.9, finalMomentum: 0.5 },
+    { maxIterations: 200 }
+  );
+  assert.equal(values.initialMomentum, 0.9);
+  assert.equal(values.finalMomentum, 0.5);
+  assert.equal(values.momentumSwitchIter, 250);
+  assert.equal(messages.length, 2); // Switch after the run, and momentum decreasing
+});
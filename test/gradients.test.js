@@ -0,0 +1,69 @@
+/**
+ * Gradient and Cost Checks
+ * The Barnes-Hut gradient and cost against the exact ones, and the sparse
+ * KL divergence and gradient against their dense versions, on fixed seeds.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeQMatrix, klDivergence, computeGradient } from '../src/core/math-utils.js';
+import { computeGradientBarnesHut } from '../src/core/barnes-hut.js';
+import { SparseMatrix } from '../src/core/sparse-matrix.js';
+import { seededRandom, randomPoints, randomAffinityRows, denseFromRows, relativeError } from './helpers.js';
+
+const N = 80;
+const K = 10;
+
+function setup(seed, d = 2) {
+  const random = seededRandom(seed);
+  const rows = randomAffinityRows(N, K, random);
+  const Y = randomPoints(N, d, random);
+  return { P: denseFromRows(rows), Psparse: SparseMatrix.fromRows(rows), Y, Q: computeQMatrix(Y) };
+}
+
+test('sparse KL divergence matches the dense one', () => {
+  const { P, Psparse, Q } = setup(4);
+  assert.ok(Math.abs(klDivergence(Psparse, Q) - klDivergence(P, Q)) < 1e-12);
+});
+
+test('sparse gradient matches the dense one', () => {
+  for (const d of [1, 2, 3]) {
+    const { P, Psparse, Q, Y } = setup(5, d);
+    assert.ok(relativeError(computeGradient(Psparse, Q, Y), computeGradient(P, Q, Y)) < 1e-12, `${d}D`);
+  }
+});
+
+test('Barnes-Hut gives the same gradient and cost for a sparse and a dense P', () => {
+  const { P, Psparse, Y } = setup(6);
+  const sparse = computeGradientBarnesHut(Psparse, Y, 0.5);
+  const dense = computeGradientBarnesHut(P, Y, 0.5);
+  assert.ok(relativeError(sparse.gradient, dense.gradient) < 1e-12);
+  assert.ok(Math.abs(sparse.cost - dense.cost) < 1e-12);
+});
+
+test('Barnes-Hut with theta = 0 matches the exact gradient and cost', () => {
+  for (const d of [1, 2, 3]) {
+    const { P, Q, Y } = setup(1, d);
+    const { gradient, cost } = computeGradientBarnesHut(P, Y, 0);
+    assert.ok(relativeError(gradient, computeGradient(P, Q, Y)) < 1e-9, `${d}D gradient`);
+    assert.ok(Math.abs(cost - klDivergence(P, Q)) < 1e-9, `${d}D cost`);
+  }
+});
+
+test('Barnes-Hut with theta = 0.5 stays close to the exact gradient and cost', () => {
+  for (const d of [2, 3]) {
+    const { P, Q, Y } = setup(2, d);
+    const { gradient, cost } = computeGradientBarnesHut(P, Y, 0.5);
+    const exactCost = klDivergence(P, Q);
+    assert.ok(relativeError(gradient, computeGradient(P, Q, Y)) < 0.05, `${d}D gradient`);
+    assert.ok(Math.abs(cost - exactCost) / exactCost < 0.05, `${d}D cost`);
+  }
+});
+
+test('Barnes-Hut approximates more coarsely as theta grows', () => {
+  const { P, Q, Y } = setup(3);
+  const exact = computeGradient(P, Q, Y);
+  const errors = [0.1, 0.5, 1.5].map(theta => relativeError(computeGradientBarnesHut(P, Y, theta).gradient, exact));
+  assert.ok(errors[0] <= errors[1] && errors[1] <= errors[2], errors.join(' '));
+  assert.ok(errors[2] > 0);
+});
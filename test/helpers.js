@@ -0,0 +1,93 @@
+/**
+ * Test Helpers
+ * Small deterministic inputs for the engine tests
+ */
+
+import { Matrix } from '../src/core/matrix.js';
+
+/**
+ * Seeded uniform random numbers in [0, 1) (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {function(): number}
+ */
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random points with coordinates in [-scale, scale)
+ * @param {number} n - Number of points
+ * @param {number} d - Dimension
+ * @param {function(): number} random - From seededRandom
+ * @param {number} scale - Half-width of the coordinate range
+ * @returns {number[][]}
+ */
+export function randomPoints(n, d, random, scale = 2) {
+  return Array(n).fill(null).map(() => Array(d).fill(0).map(() => (random() * 2 - 1) * scale));
+}
+
+/**
+ * Random symmetric joint probabilities with k random neighbours per point
+ * (the shape of a kNN P), as per-row entries normalized to sum to 1
+ * @param {number} n - Number of points
+ * @param {number} k - Neighbours drawn per point
+ * @param {function(): number} random - From seededRandom
+ * @returns {{indices: number[], values: number[]}[]}
+ */
+export function randomAffinityRows(n, k, random) {
+  const rows = Array(n).fill(null).map(() => new Map());
+  for (let i = 0; i < n; i++) {
+    while (rows[i].size < k) {
+      const j = Math.floor(random() * n);
+      if (j === i || rows[i].has(j)) continue;
+      const p = random();
+      rows[i].set(j, (rows[i].get(j) || 0) + p);
+      rows[j].set(i, (rows[j].get(i) || 0) + p);
+    }
+  }
+
+  let sum = 0;
+  rows.forEach(row => row.forEach(p => { sum += p; }));
+  return rows.map(row => {
+    const indices = [...row.keys()].sort((a, b) => a - b);
+    return { indices, values: indices.map(j => row.get(j) / sum) };
+  });
+}
+
+/**
+ * Expand per-row entries to a dense N x N matrix
+ * @param {{indices: number[], values: number[]}[]} rows - Entries of each row
+ * @returns {Matrix}
+ */
+export function denseFromRows(rows) {
+  const n = rows.length;
+  const dense = new Matrix(n, n);
+  rows.forEach(({ indices, values }, i) => {
+    indices.forEach((j, k) => dense.set(i, j, values[k]));
+  });
+  return dense;
+}
+
+/**
+ * Largest absolute difference between two matrices, relative to the
+ * largest entry of the expected one
+ * @param {Matrix} actual
+ * @param {Matrix} expected
+ * @returns {number}
+ */
+export function relativeError(actual, expected) {
+  let maxDiff = 0;
+  let maxRef = 0;
+  expected.data.forEach((value, k) => {
+    maxDiff = Math.max(maxDiff, Math.abs(actual.data[k] - value));
+    maxRef = Math.max(maxRef, Math.abs(value));
+  });
+  return maxDiff / maxRef;
+}
@@ -0,0 +1,24 @@
+/**
+ * Initial Embedding Checks
+ * The random initialization draws through the seeded random source.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initializeEmbedding } from '../src/core/math-utils.js';
+import { createRandom } from '../src/core/random.js';
+
+test('the random initialization is uniform within ±scale', () => {
+  const Y = initializeEmbedding(500, 2, 0.01, createRandom(3));
+  const values = Y.flat();
+  assert.equal(Y.length, 500);
+  assert.ok(values.every(v => Math.abs(v) <= 0.01));
+  // A uniform draw fills the range: both outer fifths are well populated
+  assert.ok(values.filter(v => v > 0.006).length > 150);
+  assert.ok(values.filter(v => v < -0.006).length > 150);
+});
+
+test('the same seed gives the same initialization', () => {
+  assert.deepEqual(initializeEmbedding(20, 3, 1e-4, createRandom(9)), initializeEmbedding(20, 3, 1e-4, createRandom(9)));
+  assert.notDeepEqual(initializeEmbedding(20, 3, 1e-4, createRandom(9)), initializeEmbedding(20, 3, 1e-4, createRandom(10)));
+});
@@ -0,0 +1,153 @@
+/**
+ * Embedding Quality Metric Checks
+ * The metrics against direct implementations of their definitions, and
+ * their values on embeddings that keep or scramble every neighbourhood.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmbeddingMetrics, computeEmbeddingMetrics } from '../src/core/metrics.js';
+import { precomputeTSNE, TSNESteps } from '../src/core/precomputed-tsne.js';
+import { squaredEuclideanDistance } from '../src/core/math-utils.js';
+import { seededRandom, randomPoints } from './helpers.js';
+
+/**
+ * Rank (1 = nearest) of every other point as seen from point i
+ */
+function neighbourRanks(X, i) {
+  const order = X.map((_, j) => j)
+    .filter(j => j !== i)
+    .sort((a, b) => squaredEuclideanDistance(X[i], X[a]) - squaredEuclideanDistance(X[i], X[b]));
+  const ranks = new Map();
+  order.forEach((j, r) => ranks.set(j, r + 1));
+  return ranks;
+}
+
+/**
+ * Trustworthiness by its definition: penalize embedding neighbours by how
+ * far beyond k they rank in the reference space
+ */
+function referenceTrustworthiness(X, Y, k) {
+  const n = X.length;
+  let penalty = 0;
+  for (let i = 0; i < n; i++) {
+    const inputRanks = neighbourRanks(X, i);
+    const embeddingRanks = neighbourRanks(Y, i);
+    for (const [j, rank] of embeddingRanks) {
+      if (rank <= k && inputRanks.get(j) > k) penalty += inputRanks.get(j) - k;
+    }
+  }
+  return 1 - 2 / (n * k * (2 * n - 3 * k - 1)) * penalty;
+}
+
+/**
+ * Fraction of each point's k input neighbours that are embedding neighbours
+ */
+function referencePointRecall(X, Y, k) {
+  return X.map((_, i) => {
+    const inputRanks = neighbourRanks(X, i);
+    const embeddingRanks = neighbourRanks(Y, i);
+    let shared = 0;
+    for (const [j, rank] of embeddingRanks) {
+      if (rank <= k && inputRanks.get(j) <= k) shared++;
+    }
+    return shared / k;
+  });
+}
+
+function referenceRecall(X, Y, k) {
+  return referencePointRecall(X, Y, k).reduce((a, b) => a + b) / X.length;
+}
+
+/**
+ * Spearman correlation over every pair: Pearson correlation of the ranks of
+ * the two spaces' distances (ties get their average rank)
+ */
+function referenceSpearman(X, Y) {
+  const pairs = [];
+  X.forEach((_, i) => X.forEach((_, j) => { if (i < j) pairs.push([i, j]); }));
+  const ranks = points => {
+    const d = pairs.map(([i, j]) => squaredEuclideanDistance(points[i], points[j]));
+    return d.map(value => d.filter(v => v < value).length + (d.filter(v => v === value).length + 1) / 2);
+  };
+  const [a, b] = [ranks(X), ranks(Y)];
+  const mean = v => v.reduce((s, x) => s + x) / v.length;
+  const [ma, mb] = [mean(a), mean(b)];
+  let cov = 0, va = 0, vb = 0;
+  a.forEach((_, p) => {
+    cov += (a[p] - ma) * (b[p] - mb);
+    va += (a[p] - ma) ** 2;
+    vb += (b[p] - mb) ** 2;
+  });
+  return cov / Math.sqrt(va * vb);
+}
+
+const X = randomPoints(60, 5, seededRandom(1));
+const Y = randomPoints(60, 2, seededRandom(2));
+
+test('trustworthiness, continuity and recall match their definitions', () => {
+  const metrics = computeEmbeddingMetrics(X, Y, 7);
+  assert.equal(metrics.k, 7);
+  assert.ok(Math.abs(metrics.trustworthiness - referenceTrustworthiness(X, Y, 7)) < 1e-12);
+  // Continuity is trustworthiness with the two spaces swapped
+  assert.ok(Math.abs(metrics.continuity - referenceTrustworthiness(Y, X, 7)) < 1e-12);
+  assert.ok(Math.abs(metrics.knnRecall - referenceRecall(X, Y, 7)) < 1e-12);
+  assert.ok(Math.abs(metrics.spearman - referenceSpearman(X, Y)) < 1e-12);
+});
+
+test('above 500 points continuity is estimated from a sample and the rest stays exact', () => {
+  const random = seededRandom(6);
+  const X = randomPoints(600, 3, random);
+  const Y = X.map(([a, b]) => [a + 0.3 * random(), b + 0.3 * random()]);
+  const metrics = computeEmbeddingMetrics(X, Y, 5);
+  assert.ok(Math.abs(metrics.trustworthiness - referenceTrustworthiness(X, Y, 5)) < 1e-12);
+  assert.ok(Math.abs(metrics.knnRecall - referenceRecall(X, Y, 5)) < 1e-12);
+  assert.ok(Math.abs(metrics.continuity - referenceTrustworthiness(Y, X, 5)) < 0.01);
+});
+
+test('point scores are the kNN recall of each point', () => {
+  const { pointScores, knnRecall } = computeEmbeddingMetrics(X, Y, 7);
+  const expected = referencePointRecall(X, Y, 7);
+  assert.equal(pointScores.length, X.length);
+  pointScores.forEach((score, i) => assert.ok(Math.abs(score - expected[i]) < 1e-6, `point ${i}`));
+  assert.ok(Math.abs(pointScores.reduce((a, b) => a + b) / X.length - knnRecall) < 1e-6);
+});
+
+test('an embedding that keeps every distance scores 1', () => {
+  // Rotated, scaled and shifted copy of the first two input coordinates
+  const X2 = X.map(x => x.slice(0, 2));
+  const Y2 = X2.map(([a, b]) => [3 * (0.6 * a - 0.8 * b) + 1, 3 * (0.8 * a + 0.6 * b) - 2]);
+  const metrics = computeEmbeddingMetrics(X2, Y2, 5);
+  for (const name of ['trustworthiness', 'continuity', 'knnRecall', 'spearman']) {
+    assert.ok(Math.abs(metrics[name] - 1) < 1e-9, name);
+  }
+  assert.ok(metrics.pointScores.every(score => score === 1));
+});
+
+test('a random embedding scores well below a faithful one', () => {
+  const metrics = computeEmbeddingMetrics(X, Y, 7);
+  assert.ok(metrics.knnRecall < 0.5);
+  assert.ok(Math.abs(metrics.spearman) < 0.3);
+  assert.ok(metrics.trustworthiness < 0.8);
+});
+
+test('k is clamped so the normalization stays valid', () => {
+  const small = randomPoints(6, 3, seededRandom(3));
+  assert.equal(new EmbeddingMetrics(small, { k: 10 }).k, 3);
+});
+
+test('a run scores its final result and every captured iteration', () => {
+  const points = randomPoints(30, 4, seededRandom(4));
+  const log = console.log;
+  console.log = () => {};
+  const { snapshots } = precomputeTSNE(points, points.map(() => 0), {
+    perplexity: 5, maxIterations: 60, seed: 1, capture: { policy: 'all', maxFrames: 30 }
+  });
+  console.log = log;
+
+  const progress = snapshots.find(s => s.stepType === TSNESteps.ITERATION_PROGRESS).data;
+  const final = snapshots.find(s => s.stepType === TSNESteps.FINAL_RESULT).data;
+  assert.equal(progress.iterations.length, 30);
+  progress.iterations.forEach(s => assert.ok(s.metrics && s.metrics.trustworthiness > 0, `iteration ${s.iteration}`));
+  assert.deepEqual(final.metrics, computeEmbeddingMetrics(points, final.embedding, final.metrics.k));
+});
@@ -0,0 +1,56 @@
+/**
+ * Random Restart Checks
+ * Best-of-N selection: seeds, the kept run and the summary of the others.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { precomputeTSNE, TSNESteps } from '../src/core/precomputed-tsne.js';
+import { seededRandom, randomPoints } from './helpers.js';
+
+const points = randomPoints(30, 4, seededRandom(3));
+const labels = points.map((_, i) => i % 2);
+const options = { perplexity: 5, maxIterations: 80, earlyExaggerationIter: 30 };
+
+function run(extra) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return precomputeTSNE(points, labels, { ...options, ...extra });
+  } finally {
+    console.log = log;
+  }
+}
+
+const finalOf = snapshots => snapshots.find(s => s.stepType === TSNESteps.FINAL_RESULT).data;
+
+test('restarts keep the run with the lowest final KL and summarize the others', () => {
+  const { snapshots, tsne } = run({ seed: 11, restarts: 3 });
+  const final = finalOf(snapshots);
+  const { restarts } = final;
+
+  assert.equal(restarts.count, 3);
+  assert.equal(restarts.seed, 11 + restarts.chosen);
+  assert.equal(tsne.seed, restarts.seed);
+  // The kept run's snapshots record its own seed (the live view starts from it)
+  assert.equal(snapshots.find(s => s.stepType === TSNESteps.INITIALIZE_EMBEDDING).data.seed, restarts.seed);
+  assert.deepEqual(restarts.rejected.map(r => r.restart), [0, 1, 2].filter(r => r !== restarts.chosen));
+  restarts.rejected.forEach(r => {
+    assert.equal(r.seed, 11 + r.restart);
+    assert.ok(r.finalCost >= final.finalCost);
+  });
+});
+
+test('each restart reproduces the single run with its seed', () => {
+  const { snapshots } = run({ seed: 11, restarts: 3 });
+  const { restarts } = finalOf(snapshots);
+  const rejected = restarts.rejected[0];
+
+  assert.equal(finalOf(run({ seed: restarts.seed }).snapshots).finalCost, finalOf(snapshots).finalCost);
+  assert.equal(finalOf(run({ seed: rejected.seed }).snapshots).finalCost, rejected.finalCost);
+});
+
+test('a single run and PCA-initialized runs have no restarts', () => {
+  assert.equal(finalOf(run({ seed: 1 }).snapshots).restarts, undefined);
+  assert.equal(finalOf(run({ seed: 1, restarts: 3, init: 'pca' }).snapshots).restarts, undefined);
+});
@@ -0,0 +1,63 @@
+/**
+ * Resume Checks
+ * Continuing a finished run against running the same number of iterations
+ * in one go, and merging the resumed snapshots into the original ones.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { precomputeTSNE, getResumeState, mergeResumedSnapshots, TSNESteps } from '../src/core/precomputed-tsne.js';
+import { seededRandom, randomPoints } from './helpers.js';
+
+const points = randomPoints(40, 5, seededRandom(1));
+const labels = points.map((_, i) => i % 3);
+const options = { perplexity: 8, seed: 7, earlyExaggerationIter: 50 };
+
+const find = (snapshots, stepType) => snapshots.find(s => s.stepType === stepType);
+
+/**
+ * Run the optimization quietly (the engine logs its start and end)
+ */
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('a resumed run ends where a single longer run ends', () => {
+  const { snapshots } = quietly(() => precomputeTSNE(points, labels, { ...options, maxIterations: 150 }));
+  const resumed = quietly(() => precomputeTSNE(null, labels, { resume: getResumeState(snapshots, 50) }));
+  const { snapshots: direct } = quietly(() => precomputeTSNE(points, labels, { ...options, maxIterations: 200 }));
+
+  const resumedFinal = find(resumed.snapshots, TSNESteps.FINAL_RESULT).data;
+  const directFinal = find(direct, TSNESteps.FINAL_RESULT).data;
+  assert.equal(resumedFinal.costs.length, directFinal.costs.length);
+  // Equal up to the precision the snapshots store P in (Float32), which the
+  // remaining iterations amplify a little in the coordinates
+  resumedFinal.embedding.forEach((row, i) => row.forEach((value, d) => {
+    assert.ok(Math.abs(value - directFinal.embedding[i][d]) < 1e-4 * Math.abs(directFinal.embedding[i][d]) + 1e-9);
+  }));
+  const lastCost = costs => costs[costs.length - 1];
+  assert.ok(Math.abs(lastCost(resumedFinal.costs) - lastCost(directFinal.costs)) < 1e-6 * lastCost(directFinal.costs));
+});
+
+test('merging appends the resumed iterations and replaces the final result', () => {
+  const { snapshots } = quietly(() => precomputeTSNE(points, labels, { ...options, maxIterations: 100 }));
+  const capturedBefore = find(snapshots, TSNESteps.ITERATION_PROGRESS).data.iterations.length;
+  const costsBefore = find(snapshots, TSNESteps.FINAL_RESULT).data.costs.length;
+  const resumed = quietly(() => precomputeTSNE(null, labels, { resume: getResumeState(snapshots, 40) })).snapshots;
+
+  mergeResumedSnapshots(snapshots, resumed);
+  const progress = find(snapshots, TSNESteps.ITERATION_PROGRESS).data;
+  const iterations = progress.iterations.map(s => s.iteration);
+  assert.ok(progress.iterations.length > capturedBefore);
+  assert.deepEqual(iterations, [...iterations].sort((a, b) => a - b));
+  assert.equal(iterations[iterations.length - 1], 139);
+  assert.equal(progress.totalIterations, 140);
+  assert.equal(find(snapshots, TSNESteps.FINAL_RESULT).data, find(resumed, TSNESteps.FINAL_RESULT).data);
+  assert.equal(find(snapshots, TSNESteps.FINAL_RESULT).data.costs.length, costsBefore + 40);
+});
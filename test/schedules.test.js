@@ -0,0 +1,113 @@
+/**
+ * Schedule Checks
+ * Phase lookup, ramps, the default schedules and their display ranges.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Schedule, buildSchedules, describeSchedules } from '../src/core/schedules.js';
+import { precomputeTSNE, TSNESteps } from '../src/core/precomputed-tsne.js';
+import { seededRandom, randomPoints } from './helpers.js';
+
+test('constant phases hold their value over [start, end)', () => {
+  const schedule = new Schedule([{ start: 0, end: 10, value: 4 }, { start: 10, value: 1 }], 1);
+  assert.equal(schedule.valueAt(0), 4);
+  assert.equal(schedule.valueAt(9), 4);
+  assert.equal(schedule.valueAt(10), 1);
+  assert.equal(schedule.valueAt(5000), 1);
+});
+
+test('ramps interpolate linearly and hold their end value afterwards', () => {
+  const schedule = new Schedule([{ start: 10, end: 20, from: 12, to: 2 }], 1);
+  assert.equal(schedule.valueAt(0), 12); // Before the first phase: its starting value
+  assert.equal(schedule.valueAt(15), 7);
+  assert.equal(schedule.valueAt(20), 2);
+  assert.equal(schedule.valueAt(100), 2);
+});
+
+test('gaps keep the previous phase value, and phases are sorted', () => {
+  const schedule = new Schedule([{ start: 30, value: 3 }, { start: 0, end: 10, value: 5 }], 1);
+  assert.deepEqual(schedule.phases.map(p => p.start), [0, 30]);
+  assert.equal(schedule.valueAt(20), 5);
+  assert.equal(schedule.valueAt(30), 3);
+});
+
+test('malformed phases are dropped, falling back to the default value', () => {
+  const schedule = new Schedule([{ start: 5, end: 5, value: 2 }, { start: 0, from: 1, to: 2 }, { value: 3 }], 7);
+  assert.equal(schedule.valueAt(0), 7);
+  assert.equal(schedule.valueAt(100), 7);
+});
+
+test('findIteration returns the first passing iteration or the end of the range', () => {
+  const schedule = new Schedule([{ start: 0, end: 40, from: 8, to: 1 }, { start: 40, value: 1 }], 1);
+  assert.equal(schedule.findIteration(a => a === 1, 0, 100), 40);
+  assert.equal(schedule.findIteration(a => a < 0, 0, 100), 100);
+});
+
+test('toJSON round-trips through a structured clone', () => {
+  const schedule = new Schedule([{ start: 0, end: 10, value: 4 }, { start: 10, value: 1 }], 1);
+  const copy = new Schedule(structuredClone(schedule.toJSON()), 1);
+  assert.deepEqual(copy.phases, schedule.phases);
+});
+
+test('the default schedules reproduce early exaggeration and the momentum switch', () => {
+  const schedules = buildSchedules({ earlyExaggeration: 4, earlyExaggerationIter: 100, learningRate: 200, maxIterations: 500 });
+  assert.equal(schedules.exaggeration.valueAt(99), 4);
+  assert.equal(schedules.exaggeration.valueAt(100), 1);
+  assert.equal(schedules.learningRate.valueAt(499), 200);
+  assert.equal(schedules.momentum.valueAt(249), 0.5);
+  assert.equal(schedules.momentum.valueAt(250), 0.8);
+});
+
+test('the momentum switch follows the momentum options', () => {
+  const schedules = buildSchedules({
+    earlyExaggeration: 4, earlyExaggerationIter: 100, learningRate: 200, maxIterations: 500,
+    initialMomentum: 0.3, finalMomentum: 0.9, momentumSwitchIter: 120
+  });
+  assert.equal(schedules.momentum.valueAt(119), 0.3);
+  assert.equal(schedules.momentum.valueAt(120), 0.9);
+  assert.equal(schedules.momentum.valueAt(499), 0.9);
+});
+
+test('late exaggeration covers the last iterations, and custom phases replace the defaults', () => {
+  const late = buildSchedules({
+    earlyExaggeration: 12, earlyExaggerationIter: 100, lateExaggeration: 2, lateExaggerationIter: 50,
+    learningRate: 200, maxIterations: 500
+  });
+  assert.equal(late.exaggeration.valueAt(449), 1);
+  assert.equal(late.exaggeration.valueAt(450), 2);
+
+  const custom = buildSchedules({
+    earlyExaggeration: 12, earlyExaggerationIter: 100, learningRate: 200, maxIterations: 500,
+    schedules: { learningRate: [{ start: 0, end: 100, from: 10, to: 200 }, { start: 100, value: 200 }] }
+  });
+  assert.equal(custom.learningRate.valueAt(50), 105);
+  assert.equal(custom.exaggeration.valueAt(0), 12);
+});
+
+test('describeSchedules clips every phase to the range', () => {
+  const schedules = buildSchedules({ earlyExaggeration: 4, earlyExaggerationIter: 100, learningRate: 200, maxIterations: 300 });
+  const phases = describeSchedules(schedules, 50, 300);
+  assert.deepEqual(phases.filter(p => p.param === 'exaggeration'), [
+    { param: 'exaggeration', start: 50, end: 100, from: 4, to: 4 },
+    { param: 'exaggeration', start: 100, end: 300, from: 1, to: 1 }
+  ]);
+  assert.deepEqual(phases.filter(p => p.param === 'momentum').map(p => [p.start, p.end]), [[50, 250], [250, 300]]);
+});
+
+test('a run ends early exaggeration where its custom schedule does', () => {
+  const points = randomPoints(25, 3, seededRandom(8));
+  const log = console.log;
+  console.log = () => {};
+  const { snapshots } = precomputeTSNE(points, points.map(() => 0), {
+    perplexity: 5, maxIterations: 80, seed: 1,
+    schedules: { exaggeration: [{ start: 0, end: 30, from: 12, to: 1 }, { start: 30, value: 1 }] }
+  });
+  console.log = log;
+
+  assert.equal(snapshots.find(s => s.stepType === TSNESteps.REMOVE_EXAGGERATION).data.iteration, 30);
+  const final = snapshots.find(s => s.stepType === TSNESteps.FINAL_RESULT).data;
+  // Once P is no longer exaggerated the optimized cost is the true KL
+  assert.equal(final.costs[79], final.trueCosts[79]);
+  assert.notEqual(final.costs[10], final.trueCosts[10]);
+});
@@ -0,0 +1,55 @@
+/**
+ * Snapshot Store Checks
+ * Evicted matrices are rebuilt to what the run stored.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { precomputeTSNE, TSNESteps } from '../src/core/precomputed-tsne.js';
+import { SnapshotStore } from '../src/core/snapshot-store.js';
+import { seededRandom, randomPoints } from './helpers.js';
+
+const points = randomPoints(30, 4, seededRandom(2));
+
+function run() {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return precomputeTSNE(points, points.map(() => 0), { perplexity: 5, maxIterations: 60, seed: 3, metrics: false }).snapshots;
+  } finally {
+    console.log = log;
+  }
+}
+
+test('evicting and rebuilding never changes the stored matrices', () => {
+  const snapshots = run();
+  const store = new SnapshotStore(snapshots);
+  const read = () => [
+    store.find(TSNESteps.COMPUTE_DISTANCES).data.distanceMatrix,
+    store.find(TSNESteps.COMPUTE_P_CONDITIONAL).data.P_conditional,
+    store.find(TSNESteps.COMPUTE_Q).data.Q,
+    ...store.find(TSNESteps.ITERATION_PROGRESS).data.iterations.map(frame => frame.Q)
+  ].map(matrix => Array.from(matrix.data));
+  const before = read();
+
+  store.evictAll();
+  assert.equal(store.getStats().evicted, store.entries.length);
+  const after = read();
+
+  assert.ok(store.recomputations > 0);
+  after.forEach((values, m) => values.forEach((value, i) => {
+    assert.ok(Math.abs(value - before[m][i]) <= 1e-6 * Math.abs(before[m][i]) + 1e-12, `matrix ${m}, entry ${i}`);
+  }));
+});
+
+test('a small budget keeps the resident matrices under it', () => {
+  const snapshots = run();
+  const unbounded = new SnapshotStore(run()).getStats();
+  const store = new SnapshotStore(snapshots, { budgetBytes: unbounded.fixedBytes + 20000 });
+  assert.ok(store.getStats().residentBytes <= store.budgetBytes);
+  assert.ok(store.evictions > 0);
+
+  // Reading an evicted frame rebuilds it and evicts something else instead
+  store.find(TSNESteps.ITERATION_PROGRESS).data.iterations.forEach(frame => assert.ok(frame.Q));
+  assert.ok(store.getStats().residentBytes <= store.budgetBytes);
+});
@@ -0,0 +1,68 @@
+/**
+ * Sparse Matrix Checks
+ * CSR construction, access and symmetrization against dense arrays.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SparseMatrix, isSparseMatrix } from '../src/core/sparse-matrix.js';
+
+const rows = [
+  { indices: [1, 3], values: [0.5, 0.25] },
+  { indices: [], values: [] },
+  { indices: [0, 1, 3], values: [1, 2, 3] },
+  { indices: [2], values: [4] }
+];
+
+test('fromRows stores the entries of each row', () => {
+  const m = SparseMatrix.fromRows(rows);
+  assert.equal(m.n, 4);
+  assert.equal(m.nnz, 6);
+  assert.equal(m.get(0, 3), 0.25);
+  assert.equal(m.get(2, 1), 2);
+  assert.equal(m.get(1, 0), 0);
+  assert.deepEqual([...m.row(2).indices], [0, 1, 3]);
+  assert.deepEqual([...m.row(1).values], []);
+  assert.deepEqual(m.denseRow(0), [0, 0.5, 0, 0.25]);
+});
+
+test('toDense expands every row', () => {
+  const dense = SparseMatrix.fromRows(rows).toDense().toArray();
+  assert.deepEqual(dense, [
+    [0, 0.5, 0, 0.25],
+    [0, 0, 0, 0],
+    [1, 2, 0, 3],
+    [0, 0, 4, 0]
+  ]);
+});
+
+test('addTranspose adds A and Aᵀ over the union of both patterns', () => {
+  const m = SparseMatrix.fromRows(rows);
+  const sum = m.addTranspose().toDense().toArray();
+  const dense = m.toDense().toArray();
+  for (let i = 0; i < 4; i++) {
+    for (let j = 0; j < 4; j++) {
+      assert.equal(sum[i][j], dense[i][j] + dense[j][i], `(${i}, ${j})`);
+    }
+  }
+  // Row indices stay sorted
+  const { indices } = m.addTranspose().row(2);
+  assert.deepEqual([...indices], [...indices].sort((a, b) => a - b));
+});
+
+test('scale and clone leave the original untouched', () => {
+  const m = SparseMatrix.fromRows(rows);
+  const scaled = m.scale(2);
+  const copy = m.clone();
+  copy.values[0] = 99;
+  assert.equal(scaled.get(2, 3), 6);
+  assert.equal(m.get(2, 3), 3);
+  assert.equal(m.get(0, 1), 0.5);
+});
+
+test('structured clones are recognized and restored', () => {
+  const copy = structuredClone(SparseMatrix.fromRows(rows));
+  assert.ok(isSparseMatrix(copy));
+  assert.ok(!isSparseMatrix([[1]]));
+  assert.equal(SparseMatrix.from(copy).get(3, 2), 4);
+});
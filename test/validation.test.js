@@ -0,0 +1,119 @@
+/**
+ * Run Option Validation Checks
+ * The dataset-dependent adjustments and how a run reports them.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRunOptions } from '../src/core/validation.js';
+import { precomputeTSNE, TSNESteps } from '../src/core/precomputed-tsne.js';
+import { seededRandom, randomPoints } from './helpers.js';
+
+const defaults = {
+  perplexity: 15, learningRate: 200, maxIterations: 500,
+  earlyExaggeration: 4, earlyExaggerationIter: 100, init: 'random', restarts: 1
+};
+
+test('valid options pass through without adjustments', () => {
+  const { options, adjustments } = validateRunOptions(100, { ...defaults, theta: 0.5 });
+  assert.deepEqual(options, { ...defaults, theta: 0.5 });
+  assert.deepEqual(adjustments, []);
+});
+
+test('the perplexity is limited to (N - 1) / 3', () => {
+  const { options, adjustments } = validateRunOptions(20, defaults);
+  assert.equal(options.perplexity, 6);
+  assert.deepEqual(adjustments.map(({ param, requested, applied }) => ({ param, requested, applied })),
+    [{ param: 'perplexity', requested: 15, applied: 6 }]);
+});
+
+test('the perplexity stays at least 1 on tiny datasets', () => {
+  for (const n of [2, 3]) {
+    const { options, adjustments } = validateRunOptions(n, defaults);
+    assert.equal(options.perplexity, 1);
+    assert.equal(adjustments[0].applied, 1);
+  }
+  assert.equal(validateRunOptions(3, { ...defaults, perplexity: 0.5 }).options.perplexity, 0.5);
+});
+
+test('a three-point run finishes with a finite embedding', () => {
+  const points = randomPoints(3, 2, seededRandom(4));
+  const log = console.log;
+  console.log = () => {};
+  let snapshots;
+  try {
+    ({ snapshots } = precomputeTSNE(points, [0, 1, 2], { maxIterations: 30, earlyExaggerationIter: 10, seed: 1 }));
+  } finally {
+    console.log = log;
+  }
+  const final = snapshots.find(s => s.stepType === TSNESteps.FINAL_RESULT).data;
+  assert.ok(final.embedding.flat().every(Number.isFinite));
+  assert.ok(Number.isFinite(final.finalCost));
+});
+
+test('the learning rate grows to N / exaggeration unless a schedule sets it', () => {
+  assert.equal(validateRunOptions(2000, defaults).options.learningRate, 500);
+  assert.equal(validateRunOptions(2000, { ...defaults, earlyExaggeration: 12 }).options.learningRate, 200);
+
+  const scheduled = { ...defaults, schedules: { learningRate: [{ start: 0, value: 10 }] } };
+  assert.equal(validateRunOptions(2000, scheduled).options.learningRate, 200);
+});
+
+test('exaggeration outlasting the run is cut to half of it unless a schedule sets it', () => {
+  const { options, adjustments } = validateRunOptions(100, { ...defaults, earlyExaggerationIter: 300, maxIterations: 200 });
+  assert.equal(options.earlyExaggerationIter, 100);
+  assert.equal(adjustments[0].requested, 300);
+
+  const scheduled = { ...defaults, earlyExaggerationIter: 300, maxIterations: 200, schedules: { exaggeration: [{ start: 0, value: 1 }] } };
+  assert.equal(validateRunOptions(100, scheduled).options.earlyExaggerationIter, 300);
+});
+
+test('an explicit Barnes-Hut gradient gets sparse affinities', () => {
+  const { options, adjustments } = validateRunOptions(100, { ...defaults, method: 'barnes-hut', sparse: false });
+  assert.equal(options.sparse, true);
+  assert.deepEqual(adjustments.map(a => a.param), ['sparse']);
+  assert.deepEqual(validateRunOptions(100, { ...defaults, method: 'barnes-hut', sparse: true }).adjustments, []);
+});
+
+test('PCA initialization runs once', () => {
+  const { options, adjustments } = validateRunOptions(100, { ...defaults, init: 'pca', restarts: 4 });
+  assert.equal(options.restarts, 1);
+  assert.equal(adjustments[0].param, 'restarts');
+});
+
+test('a run records the applied settings and the adjustments', () => {
+  const points = randomPoints(16, 3, seededRandom(5));
+  const log = console.log;
+  console.log = () => {};
+  let snapshots;
+  try {
+    ({ snapshots } = precomputeTSNE(points, points.map(() => 0), { perplexity: 30, maxIterations: 60, seed: 1 }));
+  } finally {
+    console.log = log;
+  }
+  const { perplexity, applied, adjustments } = snapshots.find(s => s.stepType === TSNESteps.INTRO).data;
+
+  assert.equal(perplexity, 5);
+  assert.equal(applied.perplexity, 5);
+  assert.equal(applied.earlyExaggerationIter, 30);
+  assert.deepEqual(adjustments.map(a => a.param), ['perplexity', 'earlyExaggerationIter']);
+});
+
+test('the automatic Barnes-Hut choice comes with sparse affinities and no adjustment', () => {
+  const points = randomPoints(210, 3, seededRandom(8));
+  const log = console.log;
+  console.log = () => {};
+  let snapshots;
+  try {
+    ({ snapshots } = precomputeTSNE(points, points.map(() => 0), {
+      perplexity: 5, maxIterations: 20, earlyExaggerationIter: 10, sparse: false, metrics: false, seed: 1
+    }));
+  } finally {
+    console.log = log;
+  }
+  const { applied, adjustments } = snapshots.find(s => s.stepType === TSNESteps.INTRO).data;
+
+  assert.equal(applied.method, 'barnes-hut');
+  assert.equal(applied.sparse, true);
+  assert.deepEqual(adjustments, []);
+});
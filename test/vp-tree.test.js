@@ -0,0 +1,49 @@
+/**
+ * Vantage-Point Tree Checks
+ * kNN queries against a brute-force search.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VPTree } from '../src/core/vp-tree.js';
+import { euclideanDistance } from '../src/core/math-utils.js';
+import { seededRandom, randomPoints } from './helpers.js';
+
+/**
+ * The k nearest neighbours of a point by checking every other point
+ */
+function bruteForceSearch(X, i, k) {
+  return X.map((x, j) => ({ j, distance: euclideanDistance(X[i], x) }))
+    .filter(({ j }) => j !== i)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, k);
+}
+
+test('search finds the same neighbours as a brute-force search', () => {
+  for (const d of [1, 3, 10]) {
+    const X = randomPoints(150, d, seededRandom(d));
+    const tree = new VPTree(X);
+    for (let i = 0; i < X.length; i += 7) {
+      const { indices, distances } = tree.search(i, 12);
+      const expected = bruteForceSearch(X, i, 12);
+      assert.deepEqual(distances, expected.map(e => e.distance), `${d}D point ${i}`);
+      // Ties aside, the neighbours themselves match too
+      assert.deepEqual(new Set(indices), new Set(expected.map(e => e.j)), `${d}D point ${i}`);
+    }
+  }
+});
+
+test('search never returns the query point and returns all others when k exceeds N - 1', () => {
+  const X = randomPoints(20, 2, seededRandom(5));
+  const { indices, distances } = new VPTree(X).search(4, 50);
+  assert.equal(indices.length, 19);
+  assert.ok(!indices.includes(4));
+  assert.deepEqual(distances, [...distances].sort((a, b) => a - b));
+});
+
+test('duplicate points are found at distance 0', () => {
+  const X = [[0, 0], [1, 1], [0, 0], [5, 5], [0, 0]];
+  const { indices, distances } = new VPTree(X).search(0, 2);
+  assert.deepEqual(new Set(indices), new Set([2, 4]));
+  assert.deepEqual(distances, [0, 0]);
+});